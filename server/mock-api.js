@@ -0,0 +1,324 @@
+/**
+ * StudyHub Mock API
+ *
+ * A dependency-free REST server for the test-run records shown in Scenario 12,
+ * so learners can practice cy.intercept, page.route and RequestsLibrary
+ * against real HTTP traffic.
+ *
+ * Usage:
+ *   node server/mock-api.js [--port 3001] [--latency 0] [--error-rate 0]
+ *   (environment: MOCK_API_PORT, MOCK_API_LATENCY, MOCK_API_ERROR_RATE)
+ *
+ * Endpoints (JSON, CORS enabled):
+ *   GET    /api/health
+ *   GET    /api/test-runs          ?page=1&limit=10&status=PASS&q=login&sort=-duration
+ *   GET    /api/test-runs/:id
+ *   POST   /api/test-runs          { title, status, duration }
+ *   PUT    /api/test-runs/:id      full replacement
+ *   PATCH  /api/test-runs/:id      partial update
+ *   DELETE /api/test-runs/:id
+ *   POST   /api/uploads            raw file body; X-File-Name header, max 5 MB (413 above)
+ *   GET    /api/uploads            files received since start/reset
+ *   POST   /api/reset              restore the seed records
+ *
+ * Per-request controls (query parameter or header):
+ *   latency=<ms>     / x-mock-latency   delay the response
+ *   fail=<status>    / x-mock-fail      respond with that error status (429 adds Retry-After: 1)
+ */
+import http from "node:http";
+
+const SEED_RECORDS = [
+  { id: 101, title: "Login Page Test", status: "PASS", duration: 234 },
+  { id: 102, title: "Search Functionality", status: "FAIL", duration: 512 },
+  { id: 103, title: "User Profile Update", status: "PASS", duration: 189 },
+  { id: 104, title: "Payment Processing", status: "PASS", duration: 1234 },
+  { id: 105, title: "Data Export", status: "FAIL", duration: 2101 },
+  { id: 106, title: "Password Reset Flow", status: "PASS", duration: 876 },
+  { id: 107, title: "Shopping Cart Totals", status: "PASS", duration: 431 },
+  { id: 108, title: "File Upload Limits", status: "SKIP", duration: 0 },
+  { id: 109, title: "Session Timeout", status: "FAIL", duration: 3050 },
+  { id: 110, title: "Accessibility Audit", status: "PASS", duration: 1502 },
+  { id: 111, title: "Notification Preferences", status: "PASS", duration: 298 },
+  { id: 112, title: "Report Generation", status: "SKIP", duration: 0 }
+];
+
+const STATUSES = ["PASS", "FAIL", "SKIP"];
+const MAX_LIMIT = 100;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+function readOption(flag, envName, fallback) {
+  const index = process.argv.indexOf(flag);
+  if (index !== -1 && process.argv[index + 1] !== undefined) return Number(process.argv[index + 1]);
+  if (process.env[envName] !== undefined) return Number(process.env[envName]);
+  return fallback;
+}
+
+const config = {
+  port: readOption("--port", "MOCK_API_PORT", 3001),
+  latency: readOption("--latency", "MOCK_API_LATENCY", 0),
+  errorRate: readOption("--error-rate", "MOCK_API_ERROR_RATE", 0)
+};
+
+let records = [];
+let nextId = 0;
+let uploads = [];
+
+function resetRecords() {
+  records = SEED_RECORDS.map(record => ({ ...record }));
+  nextId = Math.max(...records.map(record => record.id)) + 1;
+  uploads = [];
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(res, status, details ? { error: message, details } : { error: message });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Count an upload body's bytes without keeping it. Resolves null as soon as it passes
+ * the limit and stops reading; the caller answers 413 and closes the connection.
+ */
+function readUploadSize(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        req.off("data", onData);
+        req.pause();
+        resolve(null);
+      }
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(size));
+    req.on("error", reject);
+  });
+}
+
+function decodeFileName(header) {
+  try {
+    return decodeURIComponent(header || "upload");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a create/update payload. With partial=true only provided fields are checked.
+ * Returns a list of problems (empty when valid).
+ */
+function validateRecord(body, partial) {
+  const problems = [];
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+  if (!partial || body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) problems.push("title must be a non-empty string");
+  }
+  if (!partial || body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) problems.push(`status must be one of ${STATUSES.join(", ")}`);
+  }
+  if (!partial || body.duration !== undefined) {
+    if (typeof body.duration !== "number" || body.duration < 0) problems.push("duration must be a non-negative number (ms)");
+  }
+
+  return problems;
+}
+
+function pickRecordFields(body) {
+  const record = {};
+  ["title", "status", "duration"].forEach(field => {
+    if (body[field] !== undefined) record[field] = field === "title" ? body[field].trim() : body[field];
+  });
+  return record;
+}
+
+function listRecords(params) {
+  const q = (params.get("q") || "").toLowerCase();
+  const status = (params.get("status") || "").toUpperCase();
+  const minDuration = Number(params.get("minDuration") ?? -Infinity);
+  const maxDuration = Number(params.get("maxDuration") ?? Infinity);
+
+  let matches = records.filter(record =>
+    (!q || record.title.toLowerCase().includes(q)) &&
+    (!status || record.status === status) &&
+    record.duration >= minDuration &&
+    record.duration <= maxDuration
+  );
+
+  const sort = params.get("sort");
+  if (sort) {
+    const field = sort.replace(/^-/, "");
+    const direction = sort.startsWith("-") ? -1 : 1;
+    matches = matches.slice().sort((a, b) => {
+      if (a[field] === b[field]) return 0;
+      return (a[field] > b[field] ? 1 : -1) * direction;
+    });
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.get("limit"), 10) || 10));
+  const totalPages = Math.max(1, Math.ceil(matches.length / limit));
+  const page = Math.max(1, parseInt(params.get("page"), 10) || 1);
+  const start = (page - 1) * limit;
+
+  return {
+    data: matches.slice(start, start + limit),
+    page,
+    limit,
+    total: matches.length,
+    totalPages
+  };
+}
+
+async function handleRequest(req, res, url) {
+  const path = url.pathname.replace(/\/+$/, "");
+  const idMatch = /^\/api\/test-runs\/(\d+)$/.exec(path);
+
+  if (req.method === "GET" && path === "/api/health") {
+    return sendJson(res, 200, { status: "ok", records: records.length });
+  }
+
+  if (req.method === "POST" && path === "/api/reset") {
+    resetRecords();
+    return sendJson(res, 200, { status: "reset", records: records.length });
+  }
+
+  if (path === "/api/uploads") {
+    if (req.method === "GET") {
+      return sendJson(res, 200, { data: uploads });
+    }
+
+    if (req.method === "POST") {
+      const name = decodeFileName(req.headers["x-file-name"]);
+      if (name === null) return sendError(res, 400, "X-File-Name must be URI-encoded");
+
+      const size = await readUploadSize(req);
+      if (size === null) {
+        res.setHeader("Connection", "close");
+        res.once("finish", () => req.destroy());
+        return sendError(res, 413, `File is larger than ${MAX_UPLOAD_BYTES} bytes`);
+      }
+      if (size === 0) return sendError(res, 400, "Upload body is empty");
+
+      const upload = {
+        id: uploads.length + 1,
+        name,
+        type: req.headers["content-type"] || "application/octet-stream",
+        size
+      };
+      uploads.push(upload);
+      return sendJson(res, 201, upload);
+    }
+
+    return sendError(res, 405, `Method ${req.method} not allowed on ${path}`);
+  }
+
+  if (path === "/api/test-runs") {
+    if (req.method === "GET") {
+      return sendJson(res, 200, listRecords(url.searchParams));
+    }
+
+    if (req.method === "POST") {
+      const body = await readBody(req);
+      const problems = validateRecord(body, false);
+      if (problems.length > 0) return sendError(res, 400, "Invalid test run", problems);
+
+      const record = { id: nextId++, ...pickRecordFields(body) };
+      records.push(record);
+      return sendJson(res, 201, record);
+    }
+
+    return sendError(res, 405, `Method ${req.method} not allowed on ${path}`);
+  }
+
+  if (idMatch) {
+    const id = Number(idMatch[1]);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return sendError(res, 404, `Test run ${id} not found`);
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, records[index]);
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const body = await readBody(req);
+      const problems = validateRecord(body, req.method === "PATCH");
+      if (problems.length > 0) return sendError(res, 400, "Invalid test run", problems);
+
+      records[index] = { ...(req.method === "PATCH" ? records[index] : {}), ...pickRecordFields(body), id };
+      return sendJson(res, 200, records[index]);
+    }
+
+    if (req.method === "DELETE") {
+      records.splice(index, 1);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    return sendError(res, 405, `Method ${req.method} not allowed on ${path}`);
+  }
+
+  return sendError(res, 404, `No route for ${req.method} ${path}`);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Mock-Latency, X-Mock-Fail, X-File-Name");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const latency = Number(url.searchParams.get("latency") ?? req.headers["x-mock-latency"] ?? config.latency) || 0;
+  const forcedStatus = Number(url.searchParams.get("fail") ?? req.headers["x-mock-fail"]) || 0;
+
+  setTimeout(() => {
+    if (forcedStatus >= 400) {
+      if (forcedStatus === 429) res.setHeader("Retry-After", "1");
+      return sendError(res, forcedStatus, `Injected failure (${forcedStatus})`);
+    }
+    if (/^\/api\/(test-runs|uploads)/.test(url.pathname) && Math.random() < config.errorRate) {
+      return sendError(res, 500, "Injected random failure");
+    }
+
+    handleRequest(req, res, url).catch(error => {
+      if (error instanceof SyntaxError) return sendError(res, 400, "Request body is not valid JSON");
+      console.error(error);
+      sendError(res, 500, "Internal server error");
+    });
+  }, latency);
+});
+
+resetRecords();
+server.listen(config.port, () => {
+  console.log(`StudyHub mock API listening on http://localhost:${config.port}/api`);
+  console.log(`  latency: ${config.latency}ms, error rate: ${config.errorRate}`);
+});
@@ -2,22 +2,675 @@
  * StudyHub QA - Test Automation Learning Platform
  * 
  * Main application file containing all interactive page logic:
- * - Login form validation
+ * - Login form validation, sessions and protected pages
  * - Student list filtering
- * - Quiz form handling
+ * - Quiz form handling (grading, exam mode, imported quizzes)
+ * - Learner progress tracking
+ * - Test controls for deterministic timing and failures
+ * - Activity log: an event bus recording app events, with an optional panel
+ * - Test-support API (window.studyhub) to reset, inspect and seed scenarios
+ * - Selector inspector overlay that suggests Cypress, Playwright and Robot locators
+ * - Interaction recorder that exports and replays Cypress, Playwright and Robot tests
+ * - "Try it in…" example tests for every scenario in Cypress, Playwright and Robot
+ * - Dialog component and the Scenario 3 preferences modal (preferences are applied by preferences.js)
  * - Practice scenario handlers
  * 
  * All interactive elements have data-test attributes for reliable locating in automated tests.
  */
 
 document.addEventListener("DOMContentLoaded", function () {
+  // Protected pages redirect to login before anything else runs
+  if (!setupSession()) return;
+
   // Initialize all page handlers when DOM is ready
+  setupGlobalShortcuts();
+  setupActivityLog();
   setupLoginForm();
   setupStudentFilter();
   setupQuizForm();
+  setupQuizImport();
+  setupProgressTracking();
   setupPracticeScenarios();
+  setupTryItPanels();
+  // Last, so ?inspect=1 scans the fully rendered page and recordings start from it
+  setupSelectorInspector();
+  setupRecorder();
 });
 
+/**
+ * Test Controls
+ *
+ * One switchboard for every timer and random outcome in the scenarios, so a
+ * test run can be fully deterministic, or deliberately slow and failing.
+ *
+ * Sources, later ones winning:
+ * 1. window.STUDYHUB_CONTROLS set before main.js loads
+ *    (Playwright addInitScript, Cypress onBeforeLoad)
+ * 2. Query parameters:
+ *    ?delay=<ms>            replace every scenario delay (delay=0 → instant),
+ *                           except how long toasts stay up (set delay-toast for that)
+ *    ?delay-<name>=<ms>     replace one delay (names below)
+ *    ?delayScale=<n>        multiply default delays (e.g. 3 for slow mode)
+ *    ?outcome=success|failure|random
+ *    ?failureRate=<0..1>    failure probability when outcome is random
+ *    ?seed=<n>              seed all randomness (also used by quiz exam mode)
+ * 3. window.studyhubControls.set({ delay, delays, delayScale, outcome, failureRate, seed })
+ *
+ * Delay names and defaults: visibility 2000, async 3000, api 1500,
+ * apiRetry 500 (doubled per retry), upload 200 (per progress tick), toast 3000,
+ * lockout 30000 (login lockout after failed attempts), search 300 (filter debounce).
+ * Delays are never negative.
+ */
+const TEST_CONTROL_DEFAULTS = {
+  delay: null,
+  delays: {},
+  delayScale: 1,
+  outcome: "random",
+  failureRate: null,
+  seed: null
+};
+// Not a wait but a display time: a global delay of 0 would dismiss every toast at once
+const TEST_CONTROL_GLOBAL_DELAY_EXCLUDED = ["toast"];
+
+function readTestControlsFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const settings = { delays: {} };
+  const number = value => (value !== null && value !== "" && !Number.isNaN(Number(value)) ? Number(value) : undefined);
+
+  params.forEach((value, key) => {
+    const match = /^delay-(\w+)$/.exec(key);
+    if (match && number(value) !== undefined) settings.delays[match[1]] = number(value);
+  });
+
+  if (number(params.get("delay")) !== undefined) settings.delay = number(params.get("delay"));
+  if (number(params.get("delayScale")) !== undefined) settings.delayScale = number(params.get("delayScale"));
+  if (number(params.get("failureRate")) !== undefined) settings.failureRate = number(params.get("failureRate"));
+  if (number(params.get("seed")) !== undefined) settings.seed = number(params.get("seed"));
+  if (["success", "failure", "random"].includes(params.get("outcome"))) settings.outcome = params.get("outcome");
+
+  return settings;
+}
+
+function mergeTestControls(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    delays: { ...base.delays, ...(overrides.delays || {}) }
+  };
+}
+
+function createTestControls() {
+  let settings = TEST_CONTROL_DEFAULTS;
+  let random = Math.random;
+
+  function apply(next) {
+    settings = next;
+    random = settings.seed !== null && settings.seed !== undefined
+      ? createSeededRandom(settings.seed)
+      : Math.random;
+  }
+
+  function initialSettings() {
+    return mergeTestControls(
+      mergeTestControls(TEST_CONTROL_DEFAULTS, window.STUDYHUB_CONTROLS || {}),
+      readTestControlsFromUrl()
+    );
+  }
+
+  apply(initialSettings());
+
+  return {
+    /** Merge new settings into the current ones. Setting seed restarts the sequence. */
+    set(overrides) {
+      apply(mergeTestControls(settings, overrides || {}));
+      return this.get();
+    },
+
+    /** Back to the page-load settings (preset + query parameters). */
+    reset() {
+      apply(initialSettings());
+      return this.get();
+    },
+
+    get() {
+      return JSON.parse(JSON.stringify(settings));
+    },
+
+    /** Effective delay in ms for a named timer. */
+    delay(name, defaultMs) {
+      if (settings.delays[name] !== undefined) return Math.max(0, settings.delays[name]);
+      if (settings.delay !== null && settings.delay !== undefined && !TEST_CONTROL_GLOBAL_DELAY_EXCLUDED.includes(name)) {
+        return Math.max(0, settings.delay);
+      }
+      return Math.max(0, defaultMs * settings.delayScale);
+    },
+
+    /** Drop-in replacement for Math.random(), seeded when a seed is set. */
+    random() {
+      return random();
+    },
+
+    /** Whether a simulated operation should fail, honoring a forced outcome. */
+    shouldFail(defaultRate) {
+      if (settings.outcome === "success") return false;
+      if (settings.outcome === "failure") return true;
+      const rate = settings.failureRate ?? defaultRate;
+      return random() < rate;
+    }
+  };
+}
+
+const testControls = createTestControls();
+window.studyhubControls = testControls;
+
+/**
+ * Activity Log
+ *
+ * An event bus for side effects a test can't otherwise see: a toast that has
+ * already gone, a saved setting, a deleted row. logEvent(type, payload) records
+ * { id, type, time, page, payload }. Types are "<area>.<what happened>", e.g.
+ * login.attempt, filters.applied, sort.changed, toast.shown, grid.deleted or
+ * wizard.submitted (the README lists them all). The last ACTIVITY_LOG_LIMIT events
+ * are kept in sessionStorage, so a login can still be checked on the page it
+ * redirects to.
+ *
+ * - window.studyhubEvents: list(type?), last(type?), clear(), subscribe(listener)
+ *   returning an unsubscribe function. type may be a prefix such as "grid.*".
+ *   Listeners get each new event, or null after clear().
+ * - [data-test="activity-log"] is on every page, hidden unless the panel is on, with
+ *   one [data-test="activity-log-entry"] (data-type, data-payload) per event.
+ * - The panel is turned on with ?activityLog=1 (or =collapsed) or Ctrl+Shift+L and
+ *   remembers whether it is open or collapsed (localStorage "studyhub-activity-log").
+ */
+const ACTIVITY_LOG_EVENTS_KEY = "studyhub-activity-events";
+const ACTIVITY_LOG_PANEL_KEY = "studyhub-activity-log";
+const ACTIVITY_LOG_LIMIT = 200;
+
+function createEventLog() {
+  const listeners = new Set();
+  let events = [];
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(ACTIVITY_LOG_EVENTS_KEY));
+    if (Array.isArray(saved)) events = saved;
+  } catch (error) {
+    events = [];
+  }
+  let nextId = events.reduce((max, event) => Math.max(max, event.id), 0) + 1;
+
+  function matches(event, type) {
+    if (!type) return true;
+    return type.endsWith(".*") ? event.type.startsWith(type.slice(0, -1)) : event.type === type;
+  }
+
+  function copy(event) {
+    return JSON.parse(JSON.stringify(event));
+  }
+
+  function persist() {
+    try {
+      sessionStorage.setItem(ACTIVITY_LOG_EVENTS_KEY, JSON.stringify(events));
+    } catch (error) {
+      // Storage full or unavailable: the in-memory log still works
+    }
+  }
+
+  return {
+    log(type, payload = {}) {
+      const event = copy({ id: nextId++, type, time: new Date().toISOString(), page: window.location.pathname, payload });
+      events.push(event);
+      if (events.length > ACTIVITY_LOG_LIMIT) events.splice(0, events.length - ACTIVITY_LOG_LIMIT);
+      persist();
+      listeners.forEach(listener => listener(copy(event)));
+      return copy(event);
+    },
+
+    list(type) {
+      return events.filter(event => matches(event, type)).map(copy);
+    },
+
+    last(type) {
+      const found = events.filter(event => matches(event, type)).pop();
+      return found ? copy(found) : null;
+    },
+
+    clear() {
+      events = [];
+      persist();
+      listeners.forEach(listener => listener(null));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+const eventLog = createEventLog();
+window.studyhubEvents = eventLog;
+
+function logEvent(type, payload) {
+  return eventLog.log(type, payload);
+}
+
+/** "email: a@b.co, result: invalid" for the panel; nested values are shown as JSON. */
+function formatEventPayload(payload) {
+  return Object.entries(payload || {})
+    .map(([key, value]) => `${key}: ${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`)
+    .join(", ");
+}
+
+function setupActivityLog() {
+  const panel = document.createElement("section");
+  panel.className = "activity-log";
+  panel.dataset.test = "activity-log";
+  panel.dataset.toolUi = "";
+  panel.setAttribute("aria-labelledby", "activity-log-title");
+  panel.innerHTML = `
+    <div class="activity-log-header">
+      <button type="button" class="activity-log-toggle" data-test="activity-log-toggle" aria-expanded="true" aria-controls="activity-log-entries">
+        <span id="activity-log-title">Activity log</span>
+        <span class="activity-log-count" data-test="activity-log-count">0</span>
+      </button>
+      <button type="button" class="activity-log-action" data-test="activity-log-clear">Clear</button>
+      <button type="button" class="activity-log-action" data-test="activity-log-close" aria-label="Hide activity log">×</button>
+    </div>
+    <ol id="activity-log-entries" class="activity-log-entries" data-test="activity-log-entries"></ol>
+  `;
+  document.body.appendChild(panel);
+
+  const toggle = panel.querySelector('[data-test="activity-log-toggle"]');
+  const count = panel.querySelector('[data-test="activity-log-count"]');
+  const list = panel.querySelector('[data-test="activity-log-entries"]');
+  let state = "off";
+
+  function renderEntry(event) {
+    const item = document.createElement("li");
+    item.dataset.test = "activity-log-entry";
+    item.dataset.id = event.id;
+    item.dataset.type = event.type;
+    item.dataset.time = event.time;
+    item.dataset.payload = JSON.stringify(event.payload);
+
+    const time = document.createElement("time");
+    time.dateTime = event.time;
+    time.textContent = new Date(event.time).toLocaleTimeString();
+    const type = document.createElement("code");
+    type.textContent = event.type;
+    const details = document.createElement("span");
+    details.className = "activity-log-payload";
+    details.textContent = formatEventPayload(event.payload);
+
+    item.append(time, " ", type, " ", details);
+    return item;
+  }
+
+  function render() {
+    list.replaceChildren(...eventLog.list().map(renderEntry));
+    count.textContent = list.children.length;
+    list.scrollTop = list.scrollHeight;
+  }
+
+  // "off" hides the whole panel; the entries stay in the DOM for tests either way
+  function setState(next) {
+    state = next;
+    panel.hidden = state === "off";
+    panel.dataset.state = state;
+    list.hidden = state !== "open";
+    toggle.setAttribute("aria-expanded", String(state === "open"));
+    try {
+      if (state === "off") localStorage.removeItem(ACTIVITY_LOG_PANEL_KEY);
+      else localStorage.setItem(ACTIVITY_LOG_PANEL_KEY, state);
+    } catch (error) {
+      // Storage unavailable: the panel just won't reopen on the next page
+    }
+  }
+
+  eventLog.subscribe(event => {
+    if (!event) {
+      render();
+      return;
+    }
+    list.appendChild(renderEntry(event));
+    // The stored log drops its oldest events past the limit; so does the panel
+    while (list.children.length > ACTIVITY_LOG_LIMIT) list.firstElementChild.remove();
+    count.textContent = list.children.length;
+    list.scrollTop = list.scrollHeight;
+  });
+
+  toggle.addEventListener("click", () => setState(state === "open" ? "collapsed" : "open"));
+  panel.querySelector('[data-test="activity-log-clear"]').addEventListener("click", () => eventLog.clear());
+  panel.querySelector('[data-test="activity-log-close"]').addEventListener("click", () => setState("off"));
+
+  shortcuts.register({
+    keys: "ctrl+shift+l",
+    description: "Show or hide the activity log",
+    handler: () => setState(state === "off" ? "open" : "off")
+  });
+
+  const param = new URLSearchParams(window.location.search).get("activityLog");
+  const fromParam = { 1: "open", open: "open", collapsed: "collapsed", 0: "off", off: "off" }[param];
+  let saved = null;
+  try {
+    saved = localStorage.getItem(ACTIVITY_LOG_PANEL_KEY);
+  } catch (error) {
+    saved = null;
+  }
+  render();
+  setState(fromParam || (["open", "collapsed"].includes(saved) ? saved : "off"));
+}
+
+/**
+ * Test Support API
+ *
+ * Lets a suite isolate tests without reloading the page. Exposed as window.studyhub
+ * only when the page is opened with ?testApi=1, or window.STUDYHUB_TEST_API = true
+ * is set before main.js loads:
+ *   studyhub.scenarios()          scenarios on this page: [{ id, number }]
+ *   studyhub.reset(id?)           back to the initial state and returns the snapshot; without
+ *                                 an id every scenario on the page, plus open dialogs and toasts
+ *   studyhub.snapshot(id?)        JSON copy of one scenario's state, or { id: state } for all
+ *   studyhub.seed(id, data)       replace a scenario's data (shapes are listed in the README)
+ *   studyhub.settled({ timeout }) resolves once tracked timers and requests have finished;
+ *                                 rejects after timeout ms (default 10000) naming what is pending
+ *   studyhub.pending()            labels of the work settled() is waiting for
+ *   studyhub.controls             the test controls (same object as window.studyhubControls)
+ *   studyhub.events               the activity log (same object as window.studyhubEvents)
+ *
+ * Scenarios are addressed by id ("pagination") or number (7). Each setup function
+ * registers itself with registerScenarioApi(); work that settled() waits for goes
+ * through trackWork() or trackedTimeout(). Toast auto-dismiss timers are not tracked.
+ */
+const TEST_API_SETTLE_TIMEOUT_MS = 10000;
+const TEST_API_POLL_MS = 10;
+
+const scenarioApis = [];
+const pendingWork = new Map();
+const trackedTimers = new Map();
+let nextWorkId = 1;
+
+function isTestApiEnabled() {
+  const flag = new URLSearchParams(window.location.search).get("testApi");
+  return window.STUDYHUB_TEST_API === true || (flag !== null && !["0", "false"].includes(flag));
+}
+
+/** Called by each scenario: reset() and snapshot() are required, seed(data) is optional. */
+function registerScenarioApi(id, number, handlers) {
+  scenarioApis.push({ id, number, ...handlers });
+}
+
+/** Mark async work as pending until the returned done() is called. */
+function trackWork(label) {
+  const workId = nextWorkId++;
+  pendingWork.set(workId, label);
+  return function done() {
+    pendingWork.delete(workId);
+  };
+}
+
+/** setTimeout that settled() waits for. Cancel it with clearTrackedTimeout(). */
+function trackedTimeout(label, callback, ms) {
+  const done = trackWork(label);
+  const timer = setTimeout(() => {
+    trackedTimers.delete(timer);
+    try {
+      callback();
+    } finally {
+      done();
+    }
+  }, ms);
+  trackedTimers.set(timer, done);
+  return timer;
+}
+
+function clearTrackedTimeout(timer) {
+  clearTimeout(timer);
+  const done = trackedTimers.get(timer);
+  if (!done) return;
+  trackedTimers.delete(timer);
+  done();
+}
+
+/** Every scenario on the page back to its initial state, with dialogs and toasts closed. */
+function resetPageScenarios() {
+  dialogStack.slice().reverse().forEach(dialog => dialog.close(false));
+  toastManager.clear();
+  scenarioApis.forEach(api => api.reset());
+}
+
+function createTestApi() {
+  function find(id) {
+    const api = scenarioApis.find(item => item.id === id || item.number === Number(id));
+    if (!api) {
+      const available = scenarioApis.map(item => item.id).join(", ") || "none";
+      throw new Error(`Unknown scenario "${id}" on this page (available: ${available})`);
+    }
+    return api;
+  }
+
+  function snapshotOf(api) {
+    return JSON.parse(JSON.stringify(api.snapshot()));
+  }
+
+  return {
+    scenarios() {
+      return scenarioApis.map(({ id, number }) => ({ id, number }));
+    },
+
+    reset(id) {
+      if (id !== undefined) {
+        find(id).reset();
+        return this.snapshot(id);
+      }
+      resetPageScenarios();
+      return this.snapshot();
+    },
+
+    snapshot(id) {
+      if (id !== undefined) return snapshotOf(find(id));
+      return Object.fromEntries(scenarioApis.map(api => [api.id, snapshotOf(api)]));
+    },
+
+    seed(id, data) {
+      const api = find(id);
+      if (!api.seed) throw new Error(`Scenario "${api.id}" has no data to seed`);
+      api.seed(data || {});
+      return this.snapshot(api.id);
+    },
+
+    settled({ timeout = TEST_API_SETTLE_TIMEOUT_MS } = {}) {
+      const started = Date.now();
+      return new Promise((resolve, reject) => {
+        (function check() {
+          if (pendingWork.size === 0) return resolve();
+          if (Date.now() - started >= timeout) {
+            const labels = Array.from(new Set(pendingWork.values())).join(", ");
+            return reject(new Error(`Still pending after ${timeout}ms: ${labels}`));
+          }
+          setTimeout(check, TEST_API_POLL_MS);
+        })();
+      });
+    },
+
+    pending() {
+      return Array.from(pendingWork.values());
+    },
+
+    controls: testControls,
+    events: eventLog
+  };
+}
+
+if (isTestApiEnabled()) window.studyhub = createTestApi();
+
+/**
+ * Session Handling
+ *
+ * A successful login stores a session in localStorage (key "studyhub-session")
+ * with an expiry, so it survives reloads and can be captured with cy.session or
+ * Playwright storageState. Every page shows the logged-in user in the header with
+ * a logout button. Pages with <body data-requires-auth> redirect to the login form
+ * on the home page with a returnTo parameter when there is no valid session.
+ */
+const SESSION_STORAGE_KEY = "studyhub-session";
+const SESSION_DURATION_MS = 30 * 60 * 1000;
+
+function getSession() {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (error) {
+    session = null;
+  }
+  if (!session || typeof session.email !== "string" || typeof session.expiresAt !== "number") return null;
+  if (session.expiresAt <= Date.now()) {
+    endSession();
+    return null;
+  }
+  return session;
+}
+
+/** Returns the new session, or null when storage is unavailable and nothing was saved. */
+function startSession(email) {
+  const now = Date.now();
+  const session = { email, createdAt: now, expiresAt: now + SESSION_DURATION_MS };
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    return null;
+  }
+  return session;
+}
+
+function endSession() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable: there is no saved session to remove
+  }
+}
+
+/** URL of the login form, optionally carrying where to go back to and why. */
+function getLoginUrl(returnTo, reason) {
+  const homeLink = document.querySelector('[data-test="nav-home"]');
+  const url = new URL(homeLink ? homeLink.href : "index.html", window.location.href);
+  if (returnTo) url.searchParams.set("returnTo", returnTo);
+  if (reason) url.searchParams.set("reason", reason);
+  url.hash = "login-form";
+  return url.href;
+}
+
+/** Only same-site paths are followed after login, never another origin. */
+function getSafeReturnTo() {
+  const returnTo = new URLSearchParams(window.location.search).get("returnTo");
+  if (!returnTo) return null;
+  // Resolve it the way the browser would, so "/\evil.example" can't leave the site
+  let url;
+  try {
+    url = new URL(returnTo, window.location.href);
+  } catch (error) {
+    return null;
+  }
+  if (url.origin !== window.location.origin) return null;
+  return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Render the header session controls and guard protected pages.
+ * Returns false when the page is redirecting to login.
+ */
+function setupSession() {
+  let hadSession = false;
+  try {
+    hadSession = localStorage.getItem(SESSION_STORAGE_KEY) !== null;
+  } catch (error) {
+    // Storage unavailable (private mode): treat it as never signed in
+    hadSession = false;
+  }
+  const session = getSession();
+
+  if (!session && document.body.hasAttribute("data-requires-auth")) {
+    const returnTo = window.location.pathname + window.location.search + window.location.hash;
+    window.location.replace(getLoginUrl(returnTo, hadSession ? "expired" : "login-required"));
+    return false;
+  }
+
+  renderSessionNav();
+
+  // Log out of this page too when the session expires or ends in another tab
+  if (session) {
+    setTimeout(() => handleSessionEnded(), Math.min(session.expiresAt - Date.now(), 2147483647));
+  }
+  window.addEventListener("storage", function (event) {
+    if (event.key === SESSION_STORAGE_KEY) {
+      if (!getSession()) handleSessionEnded("logged-out");
+      else renderSessionNav();
+    }
+  });
+
+  return true;
+}
+
+function handleSessionEnded(reason = "expired") {
+  if (getSession()) return;
+  if (document.body.hasAttribute("data-requires-auth")) {
+    const returnTo = window.location.pathname + window.location.search + window.location.hash;
+    window.location.replace(getLoginUrl(returnTo, reason));
+    return;
+  }
+  renderSessionNav();
+}
+
+function renderSessionNav() {
+  const navList = document.querySelector("header nav ul");
+  if (!navList) return;
+
+  let item = navList.querySelector('[data-test="session-nav"]');
+  if (!item) {
+    item = document.createElement("li");
+    item.className = "session-nav";
+    item.dataset.test = "session-nav";
+    navList.appendChild(item);
+  }
+  item.innerHTML = "";
+
+  const session = getSession();
+  item.dataset.state = session ? "logged-in" : "logged-out";
+
+  if (!session) {
+    const loginLink = document.createElement("a");
+    loginLink.href = getLoginUrl();
+    loginLink.textContent = "Log in";
+    loginLink.dataset.test = "nav-login";
+    item.appendChild(loginLink);
+    return;
+  }
+
+  const user = document.createElement("span");
+  user.className = "session-user";
+  user.dataset.test = "session-user";
+  user.dataset.expiresAt = new Date(session.expiresAt).toISOString();
+  user.textContent = session.email;
+
+  const logoutButton = document.createElement("button");
+  logoutButton.type = "button";
+  logoutButton.className = "session-logout";
+  logoutButton.dataset.test = "logout-button";
+  logoutButton.textContent = "Log out";
+  logoutButton.addEventListener("click", function () {
+    logEvent("session.logout", { email: session.email });
+    endSession();
+    handleSessionEnded("logged-out");
+    const loginMessage = document.getElementById("login-message");
+    if (loginMessage) {
+      loginMessage.textContent = "You have been logged out.";
+      loginMessage.style.color = "";
+    }
+  });
+
+  item.append(user, logoutButton);
+}
+
 /**
  * Login Form Handler
  * 
@@ -25,26 +678,103 @@ document.addEventListener("DOMContentLoaded", function () {
  * - HTML5 constraint validation (email format, required fields)
  * - Custom application-level validation (credentials check)
  * - Real-time error messaging
+ * - Session creation and redirect back to the returnTo page
+ * - Lockout with a countdown after too many failed attempts
  * 
  * Demo credentials:
  * - Email: tester@example.com
  * - Password: password123
  */
+const LOGIN_ATTEMPTS_KEY = "studyhub-login-attempts";
+const LOGIN_MAX_FAILURES = 3;
+const LOGIN_LOCKOUT_MS = 30000;
+
 function setupLoginForm() {
   const loginForm = document.getElementById("login-form");
   if (!loginForm) return;
 
   const emailInput = document.getElementById("login-email");
   const passwordInput = document.getElementById("login-password");
+  const loginButton = document.getElementById("login-button");
   const message = document.getElementById("login-message");
 
   // Demo credentials for training purposes
   const VALID_EMAIL = "tester@example.com";
   const VALID_PASSWORD = "password123";
 
+  let countdownTimer = null;
+
+  function readAttempts() {
+    try {
+      const attempts = JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY));
+      if (attempts && typeof attempts.failures === "number") return attempts;
+    } catch (error) {
+      // Fall through to a fresh record
+    }
+    return { failures: 0, lockedUntil: 0 };
+  }
+
+  function saveAttempts(attempts) {
+    try {
+      localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+    } catch (error) {
+      // Storage unavailable: the count just doesn't survive a reload
+    }
+  }
+
+  // Disable the form and count down until the lockout ends
+  function showLockout(lockedUntil) {
+    clearInterval(countdownTimer);
+    loginButton.disabled = true;
+    message.dataset.locked = "true";
+    message.style.color = "red";
+
+    function tick() {
+      const secondsLeft = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (secondsLeft <= 0) {
+        clearInterval(countdownTimer);
+        saveAttempts({ failures: 0, lockedUntil: 0 });
+        loginButton.disabled = false;
+        delete message.dataset.locked;
+        message.textContent = "You can try logging in again.";
+        message.style.color = "";
+        return;
+      }
+      message.textContent = "Too many failed attempts. Try again in ";
+      const countdown = document.createElement("span");
+      countdown.dataset.test = "login-countdown";
+      countdown.textContent = secondsLeft;
+      message.append(countdown, "s.");
+    }
+
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+  }
+
+  const initialAttempts = readAttempts();
+  const session = getSession();
+  const reason = new URLSearchParams(window.location.search).get("reason");
+
+  if (initialAttempts.lockedUntil > Date.now()) {
+    showLockout(initialAttempts.lockedUntil);
+  } else if (session) {
+    message.textContent = `You are logged in as ${session.email}.`;
+    message.style.color = "green";
+  } else if (reason === "expired") {
+    message.textContent = "Your session has expired. Please log in again.";
+    message.style.color = "red";
+  } else if (reason === "logged-out") {
+    message.textContent = "You have been logged out.";
+  } else if (reason === "login-required") {
+    message.textContent = "Please log in to view that page.";
+    message.style.color = "red";
+  }
+
   loginForm.addEventListener("submit", function (event) {
     event.preventDefault();
 
+    if (readAttempts().lockedUntil > Date.now()) return;
+
     const email = emailInput.value.trim();
     const password = passwordInput.value.trim();
 
@@ -70,17 +800,45 @@ function setupLoginForm() {
       loginForm.reportValidity();
       message.textContent = "Please fix the highlighted errors.";
       message.style.color = "red";
+      logEvent("login.attempt", { email, result: "invalid-input" });
       return;
     }
 
     // Custom application-level validation (fake login)
     if (email === VALID_EMAIL && password === VALID_PASSWORD) {
+      saveAttempts({ failures: 0, lockedUntil: 0 });
+      if (!startSession(email)) {
+        logEvent("login.attempt", { email, result: "storage-unavailable" });
+        message.textContent = "Couldn't start a session: this browser isn't letting the site save data. Allow site data (or leave private mode) and try again.";
+        message.style.color = "red";
+        return;
+      }
+      logEvent("login.attempt", { email, result: "success" });
+      renderSessionNav();
       message.textContent = "Login successful.";
       message.style.color = "green";
-    } else {
-      message.textContent = "Invalid credentials.";
-      message.style.color = "red";
+
+      const returnTo = getSafeReturnTo();
+      if (returnTo) window.location.assign(returnTo);
+      return;
+    }
+
+    const attempts = readAttempts();
+    attempts.failures += 1;
+
+    if (attempts.failures >= LOGIN_MAX_FAILURES) {
+      attempts.lockedUntil = Date.now() + testControls.delay("lockout", LOGIN_LOCKOUT_MS);
+      saveAttempts(attempts);
+      logEvent("login.attempt", { email, result: "locked-out", failures: attempts.failures });
+      showLockout(attempts.lockedUntil);
+      return;
     }
+
+    saveAttempts(attempts);
+    logEvent("login.attempt", { email, result: "invalid-credentials", failures: attempts.failures });
+    const remaining = LOGIN_MAX_FAILURES - attempts.failures;
+    message.textContent = `Invalid credentials. ${remaining} attempt${remaining === 1 ? "" : "s"} remaining.`;
+    message.style.color = "red";
   });
 }
 
@@ -121,665 +879,6312 @@ function setupStudentFilter() {
     } else {
       filterMessage.textContent = visibleCount + " student(s) found.";
     }
+    logEvent("students.filtered", { query: searchInput.value, count: visibleCount });
   });
 }
 
+/**
+ * Quiz Definitions
+ *
+ * Answer keys for the five quiz pages (pages/quizzes/practice-15..19.html).
+ * A quiz form selects its definition with data-quiz="<id>", and each question
+ * row is matched by data-question="<id>" (which is also the input name).
+ *
+ * Question fields:
+ * - type: "radio" | "checkbox" | "text" (text covers inputs and textareas)
+ * - answer: radio → the correct value
+ *           checkbox → every value that must be checked (and nothing else)
+ *           text → accepted phrases (shorthand for a one-criterion rubric)
+ * - rubric: text questions only; criteria graded with partial credit (see gradeQuizTextAnswer)
+ * - points: score awarded for a correct answer
+ * - explanation: shown under the question after grading
+ * - shuffleOptions: false keeps option order fixed in exam mode (e.g. "All of the above")
+ *
+ * questions are the ones already marked up on the page, so their prompt and
+ * options are read from the DOM. bank questions only exist here and carry their
+ * own prompt/options; exam mode samples from questions + bank.
+ * timeLimit is the exam countdown in seconds.
+ */
+const QUIZ_DEFINITIONS = {
+  "visibility-waits": {
+    title: "Quiz 1: Visibility & Waits",
+    timeLimit: 300,
+    questions: [
+      {
+        id: "q1",
+        type: "radio",
+        answer: "dynamic",
+        points: 1,
+        explanation: "Longer timeouts belong on assertions for elements that appear after async work, not on every action."
+      },
+      {
+        id: "q2",
+        type: "checkbox",
+        answer: ["explicit", "retry", "data-test"],
+        points: 1,
+        explanation: "Explicit waits, built-in retries and stable data-test locators all reduce flakiness. Fixed sleeps add it."
+      },
+      {
+        id: "q3",
+        type: "text",
+        rubric: [
+          { label: "State settles eventually", keywords: ["eventual", "over time", "settle", "converge", "becomes consistent"] },
+          { label: "Assertions retry or poll", keywords: ["retry", "retries", "retried", "poll", "re-run", "rerun", "until"] },
+          { label: "Bounded by a timeout", keywords: ["timeout", "time out", "time limit", "deadline"] }
+        ],
+        points: 1,
+        explanation: "The UI reaches the expected state eventually, so assertions should retry until it does or a timeout expires."
+      },
+      {
+        id: "q4",
+        type: "radio",
+        answer: "visibility",
+        points: 1,
+        explanation: "An element can exist in the DOM while hidden. should('be.visible') retries until it is actually shown."
+      },
+      {
+        id: "q5",
+        type: "text",
+        rubric: [
+          { label: "30000 ms (30 seconds)", numeric: { value: 30000, unit: "ms" } }
+        ],
+        points: 1,
+        explanation: "Playwright's default test timeout is 30000ms (30 seconds)."
+      }
+    ],
+    bank: [
+      {
+        id: "q6",
+        type: "radio",
+        prompt: "Which Cypress assertion retries until an element is hidden?",
+        options: [
+          { value: "not-visible", label: "cy.get(selector).should('not.be.visible')" },
+          { value: "wait", label: "cy.wait(2000) followed by a check" },
+          { value: "then", label: "A manual check inside .then()" }
+        ],
+        answer: "not-visible",
+        points: 1,
+        explanation: "should() re-runs the query and assertion until it passes or times out. wait() and then() do not retry."
+      },
+      {
+        id: "q7",
+        type: "checkbox",
+        prompt: "Which of these are Playwright actionability checks before a click?",
+        options: [
+          { value: "visible", label: "Element is visible" },
+          { value: "stable", label: "Element is stable (not animating)" },
+          { value: "enabled", label: "Element is enabled" },
+          { value: "network-idle", label: "Network is idle" }
+        ],
+        answer: ["visible", "stable", "enabled"],
+        points: 1,
+        explanation: "Playwright waits for visible, stable, enabled and hit-testable elements. Network idle is not an actionability check."
+      },
+      {
+        id: "q8",
+        type: "radio",
+        prompt: "What is the main problem with fixed sleeps such as cy.wait(3000)?",
+        options: [
+          { value: "slow-flaky", label: "Slow when the app is fast, flaky when it is slow" },
+          { value: "none", label: "They have no real downside" },
+          { value: "unsupported", label: "They are not supported by Cypress" }
+        ],
+        answer: "slow-flaky",
+        points: 1,
+        explanation: "A fixed delay is always either too long or too short. Wait for a condition instead."
+      },
+      {
+        id: "q9",
+        type: "text",
+        prompt: "Which SeleniumLibrary keyword waits for an element to become visible?",
+        rubric: [
+          { label: "Wait Until Element Is Visible", keywords: ["wait until element is visible"] }
+        ],
+        points: 1,
+        explanation: "Robot Framework's SeleniumLibrary provides Wait Until Element Is Visible."
+      }
+    ]
+  },
+  "form-handling": {
+    title: "Quiz 2: Form Handling",
+    timeLimit: 300,
+    questions: [
+      {
+        id: "q1",
+        type: "radio",
+        shuffleOptions: false,
+        answer: "both",
+        points: 1,
+        explanation: "Each assertion is the idiomatic disabled check in its own framework."
+      },
+      {
+        id: "q2",
+        type: "checkbox",
+        answer: ["required", "minlength", "pattern"],
+        points: 1,
+        explanation: "required, minlength and pattern are HTML5 constraint attributes. There is no validate attribute."
+      },
+      {
+        id: "q3",
+        type: "text",
+        rubric: [
+          { label: "Required fields and validation errors", keywords: ["required", "validat", "mandatory", "error"] },
+          { label: "Navigation between steps", keywords: ["next", "previous", "back", "navigat", "progress", "step indicator"] },
+          { label: "Data is kept across steps", keywords: ["persist", "kept", "keep", "retain", "preserv", "remember", "data"] }
+        ],
+        points: 1,
+        explanation: "Check each step's required fields and error messages, Next/Back navigation, and that entered data is kept between steps."
+      },
+      {
+        id: "q4",
+        type: "radio",
+        answer: "fill-submit",
+        points: 1,
+        explanation: "Enter invalid data, trigger validation and assert on the specific error message."
+      },
+      {
+        id: "q5",
+        type: "text",
+        rubric: [
+          { label: "Fill the form first", keywords: ["fill", "enter", "type", "populate", "input"] },
+          { label: "Fields return to empty or default values", keywords: ["empty", "default", "blank", "clear", "initial", "original"] }
+        ],
+        points: 1,
+        explanation: "Fill the form, reset it, then assert every field is back to its empty or default value."
+      }
+    ],
+    bank: [
+      {
+        id: "q6",
+        type: "radio",
+        prompt: "Which property reports whether an input passes its HTML5 constraints?",
+        options: [
+          { value: "validity", label: "input.validity.valid" },
+          { value: "length", label: "input.value.length" },
+          { value: "checked", label: "input.checked" }
+        ],
+        answer: "validity",
+        points: 1,
+        explanation: "The ValidityState object on every input reports constraint validation results."
+      },
+      {
+        id: "q7",
+        type: "checkbox",
+        prompt: "Which conditions must hold before Scenario 2 enables its submit button?",
+        options: [
+          { value: "email", label: "Email is valid" },
+          { value: "password", label: "Password has 8+ characters" },
+          { value: "terms", label: "Terms checkbox is checked" },
+          { value: "newsletter", label: "Newsletter opt-in is checked" }
+        ],
+        answer: ["email", "password", "terms"],
+        points: 1,
+        explanation: "The button enables only for a valid email, an 8+ character password and accepted terms."
+      },
+      {
+        id: "q8",
+        type: "radio",
+        prompt: "How do you assert the browser's native validation message?",
+        options: [
+          { value: "validation-message", label: "Read the element's validationMessage property" },
+          { value: "screenshot", label: "Take a screenshot of the tooltip" },
+          { value: "impossible", label: "It cannot be tested" }
+        ],
+        answer: "validation-message",
+        points: 1,
+        explanation: "Native tooltips aren't in the DOM, but validationMessage exposes their text."
+      },
+      {
+        id: "q9",
+        type: "text",
+        prompt: "Which Playwright locator method clears an input and types a new value?",
+        rubric: [
+          { label: "locator.fill()", keywords: ["fill"] }
+        ],
+        points: 1,
+        explanation: "locator.fill() clears the field and sets the new value in one step."
+      }
+    ]
+  },
+  "table-operations": {
+    title: "Quiz 3: Table Operations",
+    timeLimit: 300,
+    questions: [
+      {
+        id: "q1",
+        type: "radio",
+        shuffleOptions: false,
+        answer: "both",
+        points: 1,
+        explanation: "contains().closest('tr') and filter(':contains()') both locate the row that holds the text."
+      },
+      {
+        id: "q2",
+        type: "checkbox",
+        shuffleOptions: false,
+        answer: ["order", "direction", "data"],
+        points: 1,
+        explanation: "Row order, the direction indicator and the actual data order are separate assertions. Name each one rather than relying on \"All of above\"."
+      },
+      {
+        id: "q3",
+        type: "text",
+        rubric: [
+          { label: "Content changes per page", keywords: ["content", "rows", "data", "items", "change"] },
+          { label: "Tracking page state or count", keywords: ["state", "count", "page number", "total", "current page"] },
+          { label: "First/last page boundaries", keywords: ["boundar", "first", "last", "disabled", "edge"] }
+        ],
+        points: 1,
+        explanation: "Content changes per page, so tests must track state, the page count, and the first/last page boundaries with disabled buttons."
+      },
+      {
+        id: "q4",
+        type: "radio",
+        answer: "different",
+        points: 1,
+        explanation: "Text sorting puts \"10\" before \"9\", so numeric columns must be converted before comparing."
+      },
+      {
+        id: "q5",
+        type: "text",
+        rubric: [
+          { label: "Check the visible row count", keywords: ["count", "number of", "length", "how many"] },
+          { label: "Every remaining row matches", keywords: ["every", "each", "all rows", "match", "contain"] }
+        ],
+        points: 1,
+        explanation: "Assert the visible row count and that every remaining row matches the filter."
+      }
+    ],
+    bank: [
+      {
+        id: "q6",
+        type: "radio",
+        prompt: "After sorting a column, how should you verify the order?",
+        options: [
+          { value: "compare", label: "Read every cell in the column and compare with a sorted copy" },
+          { value: "first", label: "Check only the first row" },
+          { value: "count", label: "Check that the row count is unchanged" }
+        ],
+        answer: "compare",
+        points: 1,
+        explanation: "Only comparing the whole column against a sorted copy proves the order is right."
+      },
+      {
+        id: "q7",
+        type: "checkbox",
+        prompt: "Which edge cases matter when testing pagination?",
+        options: [
+          { value: "first-page", label: "Previous is disabled on the first page" },
+          { value: "last-page", label: "Next is disabled on the last page" },
+          { value: "partial", label: "The last page may hold fewer rows" },
+          { value: "colors", label: "The exact button colors" }
+        ],
+        answer: ["first-page", "last-page", "partial"],
+        points: 1,
+        explanation: "Boundaries and partial pages are where pagination bugs hide. Colors are a visual concern."
+      },
+      {
+        id: "q8",
+        type: "radio",
+        prompt: "Sorting the strings \"9\" and \"10\" ascending as text gives which order?",
+        options: [
+          { value: "10-9", label: "10, 9" },
+          { value: "9-10", label: "9, 10" }
+        ],
+        answer: "10-9",
+        points: 1,
+        explanation: "Text comparison goes character by character, and \"1\" sorts before \"9\"."
+      },
+      {
+        id: "q9",
+        type: "text",
+        prompt: "Which Cypress command scopes subsequent queries to a single table row?",
+        rubric: [
+          { label: "within()", keywords: ["within"] }
+        ],
+        points: 1,
+        explanation: "cy.get(row).within(() => { ... }) limits queries to that row."
+      }
+    ]
+  },
+  "ui-interactions": {
+    title: "Quiz 4: UI Interactions",
+    timeLimit: 300,
+    questions: [
+      {
+        id: "q1",
+        type: "radio",
+        answer: "same",
+        points: 1,
+        explanation: "Modal content is part of the same DOM, so ordinary locators work once the modal is visible."
+      },
+      {
+        id: "q2",
+        type: "checkbox",
+        answer: ["disabled", "loading", "wait", "completion"],
+        points: 1,
+        explanation: "A complete async test covers the disabled button, the loading state, an appropriate wait and the final state."
+      },
+      {
+        id: "q3",
+        type: "text",
+        rubric: [
+          { label: "Clicked tab becomes active", keywords: ["active", "selected", "aria-selected", "highlight"] },
+          { label: "Only its panel content is visible", keywords: ["content", "panel", "pane", "visible", "shown", "display"] }
+        ],
+        points: 1,
+        explanation: "Click each tab and assert it becomes active while only its panel content is visible."
+      },
+      {
+        id: "q4",
+        type: "radio",
+        shuffleOptions: false,
+        answer: "all",
+        points: 1,
+        explanation: "Auto-dismiss timing, detecting a short-lived element and stacked toasts are all common sources of flakiness."
+      },
+      {
+        id: "q5",
+        type: "text",
+        rubric: [
+          { label: "Body visible after expanding", keywords: ["visible", "expand", "open", "shown", "display"] },
+          { label: "Body hidden after collapsing", keywords: ["hidden", "collapse", "close", "not visible", "not be visible"] }
+        ],
+        points: 1,
+        explanation: "Toggle the header and assert the body becomes visible, then hidden again (aria-expanded should follow)."
+      }
+    ],
+    bank: [
+      {
+        id: "q6",
+        type: "radio",
+        prompt: "How should a test close a modal by clicking its overlay?",
+        options: [
+          { value: "edge", label: "Click the overlay outside the dialog content" },
+          { value: "center", label: "Click the center of the screen" },
+          { value: "escape-only", label: "Overlays can only be closed with Escape" }
+        ],
+        answer: "edge",
+        points: 1,
+        explanation: "The center usually lands on the dialog itself. Click a position on the overlay outside it."
+      },
+      {
+        id: "q7",
+        type: "checkbox",
+        prompt: "What should a toast notification test assert?",
+        options: [
+          { value: "text", label: "Its message text" },
+          { value: "type", label: "Its type (success, error, ...)" },
+          { value: "dismiss", label: "That it dismisses" },
+          { value: "pixels", label: "Its exact pixel position" }
+        ],
+        answer: ["text", "type", "dismiss"],
+        points: 1,
+        explanation: "Message, type and dismissal are behavior. Pixel positions make tests brittle."
+      },
+      {
+        id: "q8",
+        type: "radio",
+        prompt: "In Playwright, how do you wait for a loading indicator to disappear?",
+        options: [
+          { value: "hidden", label: "await expect(locator).toBeHidden()" },
+          { value: "timeout", label: "await page.waitForTimeout(3000)" },
+          { value: "reload", label: "await page.reload()" }
+        ],
+        answer: "hidden",
+        points: 1,
+        explanation: "Web-first assertions retry until the condition holds."
+      },
+      {
+        id: "q9",
+        type: "text",
+        prompt: "Which ARIA attribute marks the currently selected tab?",
+        rubric: [
+          { label: "aria-selected", keywords: ["aria-selected", "aria selected"] }
+        ],
+        points: 1,
+        explanation: "Tabs expose their selection with aria-selected=\"true\"."
+      }
+    ]
+  },
+  "advanced-topics": {
+    title: "Quiz 5: Advanced Topics",
+    timeLimit: 300,
+    questions: [
+      {
+        id: "q1",
+        type: "checkbox",
+        answer: ["valid", "size", "progress", "error"],
+        points: 1,
+        explanation: "Type validation, size limits, progress feedback and error handling are all part of an upload's contract."
+      },
+      {
+        id: "q2",
+        type: "text",
+        rubric: [
+          { label: "Simulate the drop", keywords: ["drop", "drag", "datatransfer", "data transfer", "selectfile", "setinputfiles", "choose file"] },
+          { label: "Assert the file appears in the list", keywords: ["list", "appear", "file name", "filename", "shown", "visible", "assert", "verify"] }
+        ],
+        points: 1,
+        explanation: "Fire drag/drop events with a DataTransfer (selectFile with action: 'drag-drop' in Cypress) and assert the file is listed."
+      },
+      {
+        id: "q3",
+        type: "radio",
+        shuffleOptions: false,
+        answer: "both",
+        points: 1,
+        explanation: "Spying verifies the real request while mocking makes every response branch reproducible."
+      },
+      {
+        id: "q4",
+        type: "radio",
+        shuffleOptions: false,
+        answer: "depends",
+        points: 1,
+        explanation: "Cypress uses type('{downArrow}'), Playwright uses press('ArrowDown'): the API depends on the framework."
+      },
+      {
+        id: "q5",
+        type: "text",
+        rubric: [
+          { label: "Target the correct row", keywords: ["row", "correct", "right", "specific", "id"] },
+          { label: "Handle the confirmation", keywords: ["confirm", "dialog", "prompt"] },
+          { label: "Assert the resulting state", keywords: ["state", "status", "removed", "deleted", "updated", "result"] }
+        ],
+        points: 1,
+        explanation: "Target the right row, handle the confirmation and assert the row's resulting state."
+      }
+    ],
+    bank: [
+      {
+        id: "q6",
+        type: "radio",
+        prompt: "Which Playwright method attaches files to an <input type=\"file\">?",
+        options: [
+          { value: "set-input-files", label: "locator.setInputFiles()" },
+          { value: "upload", label: "locator.upload()" },
+          { value: "type", label: "locator.type() with the file path" }
+        ],
+        answer: "set-input-files",
+        points: 1,
+        explanation: "setInputFiles() accepts paths or in-memory buffers."
+      },
+      {
+        id: "q7",
+        type: "checkbox",
+        prompt: "Which API response branches should UI tests cover?",
+        options: [
+          { value: "success", label: "Successful response" },
+          { value: "error", label: "Server error (500)" },
+          { value: "empty", label: "Empty result" },
+          { value: "slow", label: "Slow response with a loading state" }
+        ],
+        answer: ["success", "error", "empty", "slow"],
+        points: 1,
+        explanation: "Each branch renders different UI, so each deserves a test."
+      },
+      {
+        id: "q8",
+        type: "radio",
+        prompt: "Which Cypress command stubs or spies on network requests?",
+        options: [
+          { value: "intercept", label: "cy.intercept()" },
+          { value: "request", label: "cy.request()" },
+          { value: "route", label: "cy.route()" }
+        ],
+        answer: "intercept",
+        points: 1,
+        explanation: "cy.intercept() replaced the deprecated cy.route(). cy.request() makes its own requests."
+      },
+      {
+        id: "q9",
+        type: "text",
+        prompt: "Which key clears the selection in Scenario 13's keyboard list?",
+        rubric: [
+          { label: "Escape", keywords: ["escape", "esc"] }
+        ],
+        points: 1,
+        explanation: "Escape clears the current selection."
+      }
+    ]
+  }
+};
+
 /**
  * Quiz Form Handler
- * 
- * Manages multi-type quiz form with:
- * - Text input validation (Q1)
- * - Checkbox selection (Q2: testing types)
- * - Radio button selection (Q3: testing timing)
- * - Optional textarea (Q4: comments)
- * - Automatic scoring logic
- * 
- * Scoring rules:
- * Q1: Exact match of "quality assurance"
- * Q2: Must select unit AND manual, NOT coffee
- * Q3: Must select "early"
+ *
+ * Grades any quiz page whose #quiz-form declares a data-quiz definition:
+ * - Every question must be answered before grading
+ * - Each question row is marked correct/incorrect with its explanation
+ * - The final score is written to #quiz-message, and also exposed as
+ *   data-score / data-total / data-percent attributes for assertions
+ * - After grading, a review panel walks through each answer
+ *
+ * Exam mode (?exam=1) turns the page into an assessment:
+ * - Questions are sampled from the page + bank pool and shuffled, options too
+ * - Order is reproducible: ?seed=<n> (a random seed is chosen and shown otherwise)
+ * - ?count=<n> sets the number of questions (default 5)
+ * - ?time=<seconds> overrides the countdown; ?time=0 disables it
+ * - When the countdown expires the quiz auto-submits, unanswered questions score 0
+ * - After submission the form is locked; "New attempt" draws a fresh seed
  */
 function setupQuizForm() {
   const quizForm = document.getElementById("quiz-form");
   if (!quizForm) return;
 
-  const result = document.getElementById("quiz-result");
-
-  quizForm.addEventListener("submit", function (event) {
-    event.preventDefault();
+  const quizId = quizForm.getAttribute("data-quiz");
+  const quiz = QUIZ_DEFINITIONS[quizId];
+  if (!quiz) return;
 
-    const q1Input = document.getElementById("q1");
-    const q1 = q1Input.value.trim().toLowerCase();
+  initQuizForm(quizForm, quiz, {
+    onGraded: (result, exam) => recordQuizAttempt(quizId, result, exam)
+  });
+}
 
-    const q2Checked = Array.from(
-      document.querySelectorAll("input[name='q2']:checked")
-    );
-    const q3Checked = document.querySelector("input[name='q3']:checked");
+/**
+ * Wire grading, exam mode and review to a quiz form for the given definition.
+ * Shared by the built-in quiz pages and quizzes imported on quiz.html.
+ *
+ * Options:
+ * - allowExam: false hides the exam launcher (e.g. for quizzes picked from a
+ *   local file, which a page reload cannot bring back)
+ * - onGraded(result, exam): called after each graded submission
+ */
+function initQuizForm(quizForm, quiz, options = {}) {
+  const message = quizForm.querySelector("#quiz-message");
+  const exam = getQuizExamSettings(quiz);
+  const pool = buildQuizQuestionPool(quizForm, quiz);
+  let questions = pool.slice(0, quiz.questions.length);
+  let timer = null;
+  let submitted = false;
 
-    // Reset any previous message
-    result.textContent = "";
-    result.style.color = "orange";
+  if (exam) {
+    const random = createSeededRandom(exam.seed);
+    questions = seededShuffle(pool, random).slice(0, exam.questionCount);
+    renderQuizQuestions(quizForm, questions, random);
+    renderQuizExamBar(quizForm, exam, questions.length);
 
-    // Validation: ensure required questions answered
-    if (!q1) {
-      result.textContent = "Please answer question 1.";
-      q1Input.focus();
-      return;
+    if (exam.timeLimit > 0) {
+      timer = startQuizTimer(quizForm, exam.timeLimit, () => submitQuiz(true));
     }
+  } else if (options.allowExam !== false) {
+    renderQuizExamLauncher(quizForm);
+  }
 
-    if (q2Checked.length === 0) {
-      result.textContent = "Please select at least one option for question 2.";
-      return;
-    }
+  const attempt = { ...quiz, questions };
 
-    if (!q3Checked) {
-      result.textContent = "Please select an option for question 3.";
-      return;
-    }
+  function submitQuiz(timedOut) {
+    if (submitted) return;
 
-    // Scoring
-    let score = 0;
+    const responses = readQuizResponses(quizForm, attempt);
 
-    // Q1
-    if (q1 === "quality assurance") {
-      score++;
+    // Validation: ensure every question is answered (skipped when time runs out)
+    const unansweredIndex = questions.findIndex(q => !isQuizAnswered(q, responses[q.id]));
+    if (!timedOut && unansweredIndex !== -1) {
+      const question = questions[unansweredIndex];
+      message.textContent = "Please answer question " + (unansweredIndex + 1) + ".";
+      message.style.color = "orange";
+      quizForm.querySelector(`[name="${question.id}"]`)?.focus();
+      return;
     }
 
-    // Q2
-    const q2Values = q2Checked.map(el => el.value);
-    const hasUnit = q2Values.includes("unit");
-    const hasManual = q2Values.includes("manual");
-    const hasCoffee = q2Values.includes("coffee");
-    if (hasUnit && hasManual && !hasCoffee) {
-      score++;
-    }
+    const result = gradeQuiz(attempt, responses);
+    renderQuizFeedback(quizForm, attempt, result);
+    renderQuizReview(quizForm, questions, responses, result);
+
+    const prefix = timedOut ? "Time's up! " : "";
+    message.textContent = `${prefix}Your score: ${result.score} / ${result.total} (${result.percent}%)`;
+    message.style.color = result.score === result.total ? "green" : "orange";
+    message.setAttribute("data-score", result.score);
+    message.setAttribute("data-total", result.total);
+    message.setAttribute("data-percent", result.percent);
+    logEvent("quiz.submitted", { quiz: quiz.title, score: result.score, total: result.total, percent: result.percent, timedOut: Boolean(timedOut) });
+    options.onGraded?.(result, exam);
 
-    // Q3
-    if (q3Checked.value === "early") {
-      score++;
+    // Exam attempts are final: stop the clock and lock the answers
+    if (exam) {
+      submitted = true;
+      timer?.stop();
+      quizForm.querySelectorAll("input, textarea, button[type='submit']").forEach(el => {
+        el.disabled = true;
+      });
     }
+  }
 
-    result.textContent = "Your score: " + score + " / 3";
-    result.style.color = score === 3 ? "green" : "orange";
+  quizForm.addEventListener("submit", function (event) {
+    event.preventDefault();
+    submitQuiz(false);
   });
 }
 
 /**
- * Practice Page Scenarios
- * 
- * Six interactive test automation learning scenarios:
- * 1. Visibility & Waits - Handle elements that appear/disappear dynamically
- * 2. Form State - Real-time validation and field dependencies
- * 3. Modal Interactions - Dialog/overlay context switching
- * 4. Dynamic List Filtering - Multi-criteria filtering and state management
- * 5. Async Operations - Button states during async work (saving, loading)
- * 6. Sortable Tables - DOM manipulation and data reordering
+ * Read exam settings from the query string. Returns null outside exam mode.
  */
+function getQuizExamSettings(quiz) {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("exam") || params.get("exam") === "0") return null;
 
-function setupPracticeScenarios() {
-  setupVisibilityScenario();
-  setupFormStateScenario();
-  setupModalScenario();
-  setupDynamicListScenario();
-  setupAsyncButtonScenario();
-  setupSortableTableScenario();
-  setupPaginationScenario();
-  setupTabsAndAccordion();
-  setupToastNotifications();
-  setupWizardForm();
-  setupFileUpload();
-  setupApiSimulation();
-  setupKeyboardNavigation();
-  setupDataGridActions();
+  const seed = parseInt(params.get("seed"), 10);
+  const count = parseInt(params.get("count"), 10);
+  const time = parseInt(params.get("time"), 10);
+
+  return {
+    seed: Number.isNaN(seed) ? generateQuizSeed() : seed,
+    questionCount: count > 0 ? count : 5,
+    timeLimit: Number.isNaN(time) ? (quiz.timeLimit || 0) : Math.max(0, time)
+  };
+}
+
+function generateQuizSeed() {
+  return Math.floor(testControls.random() * 1000000);
 }
 
 /**
- * Scenario 1: Visibility & Wait Patterns
- * Tests the ability to handle dynamically appearing elements
- * Click button → show spinner → 2s delay → hide spinner & show result
+ * Seeded pseudo-random generator (mulberry32).
+ * Returns a function producing floats in [0, 1), identical for identical seeds.
  */
-function setupVisibilityScenario() {
-  const loadButton = document.getElementById("load-button");
-  if (!loadButton) return;
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-  loadButton.addEventListener("click", function () {
-    document.getElementById("loading-spinner").style.display = "block";
-    document.getElementById("data-result").style.display = "none";
+/**
+ * Fisher-Yates shuffle driven by the given random function. Returns a new array.
+ */
+function seededShuffle(items, random) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Combine the page's questions (prompt and options read from the markup)
+ * with the definition's bank into a single pool of renderable questions.
+ */
+function buildQuizQuestionPool(quizForm, quiz) {
+  const pageQuestions = quiz.questions.map(question => {
+    const row = quizForm.querySelector(`[data-question="${question.id}"]`);
+    if (!row) return { ...question };
 
-    setTimeout(function () {
-      document.getElementById("loading-spinner").style.display = "none";
-      document.getElementById("data-result").style.display = "block";
-      document.getElementById("load-timestamp").textContent = new Date().toLocaleTimeString();
-    }, 2000);
+    const prompt = (row.querySelector("label strong")?.textContent || "").replace(/^\d+\.\s*/, "");
+    const options = Array.from(row.querySelectorAll("input[type='radio'], input[type='checkbox']"))
+      .map(input => ({ value: input.value, label: input.parentElement.textContent.trim() }));
+    const field = row.querySelector("textarea, input[type='text']");
+
+    return {
+      ...question,
+      prompt: question.prompt || prompt,
+      options: question.options || options,
+      multiline: field ? field.tagName === "TEXTAREA" : false,
+      placeholder: field?.getAttribute("placeholder") || ""
+    };
   });
+
+  return pageQuestions.concat(quiz.bank || []);
 }
 
 /**
- * Scenario 2: Form State & Validation
- * Tests real-time field validation and form dependency logic
- * Submit button should only be enabled when:
- * - Email is valid
- * - Password is 8+ characters
- * - Terms checkbox is checked
+ * Replace the form's question rows with the given questions, numbered in order.
+ * Options are shuffled with the seeded random (when given) unless shuffleOptions is false.
+ * Markup mirrors the hand-written quiz pages so existing locators keep working.
  */
-function setupFormStateScenario() {
-  const form = document.getElementById("state-form");
-  if (!form) return;
+function renderQuizQuestions(quizForm, questions, random) {
+  quizForm.querySelectorAll("[data-question]").forEach(row => row.remove());
+  const submitButton = quizForm.querySelector("button[type='submit']");
 
-  const emailInput = document.getElementById("state-email");
-  const passwordInput = document.getElementById("state-password");
-  const agreeCheckbox = document.getElementById("agree-terms");
-  const submitButton = document.getElementById("state-submit");
-  const emailError = document.getElementById("email-error");
-  const passwordError = document.getElementById("password-error");
-  const formMessage = document.getElementById("form-message");
+  questions.forEach((question, index) => {
+    const row = document.createElement("div");
+    row.className = "form-row";
+    row.setAttribute("data-question", question.id);
 
-  // Enable submit only when all conditions met
-  function checkFormValidity() {
-    const emailValid = emailInput.validity.valid && emailInput.value.length > 0;
-    const passwordValid = passwordInput.value.length >= 8;
-    const agreeChecked = agreeCheckbox.checked;
-    submitButton.disabled = !(emailValid && passwordValid && agreeChecked);
-  }
+    const promptLabel = document.createElement("label");
+    const strong = document.createElement("strong");
+    strong.textContent = `${index + 1}. ${question.prompt}`;
+    promptLabel.appendChild(strong);
+    row.appendChild(promptLabel);
 
-  // Real-time validation feedback
-  emailInput.addEventListener("input", function () {
-    emailError.style.display = "";
-    if (!this.validity.valid && this.value.length > 0) {
-      emailError.textContent = "Please enter a valid email address.";
-      emailError.style.display = "block";
-    } else {
-      emailError.style.display = "none";
-    }
-    checkFormValidity();
-  });
+    if (question.type === "radio" || question.type === "checkbox") {
+      const options = !random || question.shuffleOptions === false
+        ? question.options
+        : seededShuffle(question.options, random);
 
-  passwordInput.addEventListener("input", function () {
-    passwordError.style.display = "";
-    if (this.value.length > 0 && this.value.length < 8) {
-      passwordError.textContent = "Password must be at least 8 characters.";
-      passwordError.style.display = "block";
+      options.forEach(option => {
+        const label = document.createElement("label");
+        label.className = "quiz-option";
+        const input = document.createElement("input");
+        input.type = question.type;
+        input.name = question.id;
+        input.value = option.value;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(" " + option.label));
+        row.appendChild(label);
+      });
     } else {
-      passwordError.style.display = "none";
+      const field = document.createElement(question.multiline ? "textarea" : "input");
+      if (question.multiline) {
+        field.rows = 3;
+      } else {
+        field.type = "text";
+      }
+      field.name = question.id;
+      field.placeholder = question.placeholder || "Your answer...";
+      row.appendChild(field);
     }
-    checkFormValidity();
-  });
 
-  agreeCheckbox.addEventListener("change", checkFormValidity);
-
-  form.addEventListener("submit", function (event) {
-    event.preventDefault();
-    formMessage.textContent = "✓ Form submitted successfully!";
-    formMessage.style.color = "green";
+    quizForm.insertBefore(row, submitButton);
   });
 }
 
 /**
- * Scenario 3: Modal Interactions
- * Tests ability to interact with dialog windows and overlays
- * Tests modal open/close, form interaction within modal, and overlay click handling
+ * Exam URL for the current page with a new seed, keeping other parameters
+ * (such as an imported quiz's ?src=) intact.
  */
-function setupModalScenario() {
-  const openButton = document.getElementById("open-modal");
-  const closeButton = document.getElementById("close-modal");
-  const cancelButton = document.getElementById("modal-cancel");
-  const saveButton = document.getElementById("modal-save");
-  const modalOverlay = document.getElementById("modal-overlay");
+function buildQuizExamUrl(seed) {
+  const params = new URLSearchParams(window.location.search);
+  params.set("exam", "1");
+  params.set("seed", seed);
+  return "?" + params.toString();
+}
 
-  if (!openButton) return;
+/**
+ * Offer a link into exam mode on regular quiz pages.
+ */
+function renderQuizExamLauncher(quizForm) {
+  const bar = document.createElement("div");
+  bar.className = "quiz-exam-bar";
+  bar.setAttribute("data-test", "quiz-exam-launcher");
 
-  openButton.addEventListener("click", function () {
-    modalOverlay.style.display = "flex";
-    document.body.style.overflow = "hidden"; // Prevent background scroll
-  });
+  const text = document.createElement("span");
+  text.textContent = "Want a real assessment? Exam mode draws random questions against the clock.";
 
-  function closeModal() {
-    modalOverlay.style.display = "none";
-    document.body.style.overflow = "auto";
-  }
+  const link = document.createElement("a");
+  link.href = buildQuizExamUrl(generateQuizSeed());
+  link.className = "btn-secondary";
+  link.setAttribute("data-test", "quiz-start-exam");
+  link.textContent = "Start exam";
 
-  closeButton.addEventListener("click", closeModal);
-  cancelButton.addEventListener("click", closeModal);
+  bar.append(text, link);
+  quizForm.before(bar);
+}
 
-  saveButton.addEventListener("click", function () {
-    const theme = document.getElementById("theme-select").value;
-    const notificationsEnabled = document.getElementById("notifications").checked;
-    console.log("Settings saved:", { theme, notificationsEnabled });
-    closeModal();
-  });
+/**
+ * Show the exam's seed, size and countdown above the form.
+ */
+function renderQuizExamBar(quizForm, exam, questionCount) {
+  const bar = document.createElement("div");
+  bar.className = "quiz-exam-bar active";
+  bar.setAttribute("data-test", "quiz-exam-bar");
 
-  // Close modal when clicking outside
-  modalOverlay.addEventListener("click", function (event) {
-    if (event.target === modalOverlay) {
-      closeModal();
-    }
-  });
+  const details = document.createElement("span");
+  details.innerHTML = `Exam mode · ${questionCount} questions · Seed <code data-test="quiz-seed"></code>`;
+  details.querySelector("code").textContent = exam.seed;
+
+  const timer = document.createElement("span");
+  timer.className = "quiz-timer";
+  timer.setAttribute("data-test", "quiz-timer");
+  timer.setAttribute("role", "timer");
+  timer.hidden = exam.timeLimit === 0;
+
+  const newAttempt = document.createElement("a");
+  newAttempt.href = buildQuizExamUrl(generateQuizSeed());
+  newAttempt.className = "btn-secondary";
+  newAttempt.setAttribute("data-test", "quiz-new-attempt");
+  newAttempt.textContent = "New attempt";
+
+  bar.append(details, timer, newAttempt);
+  quizForm.before(bar);
 }
 
 /**
- * Scenario 4: Dynamic List & Multiple Filters
- * Tests combining multiple filter criteria
- * Filters table by name AND role, updates row visibility, and provides feedback
+ * Count down from the given number of seconds in [data-test="quiz-timer"].
+ * Uses the wall clock so background-tab throttling cannot stretch the exam.
+ * Returns a handle with stop().
  */
-function setupDynamicListScenario() {
-  const searchInput = document.getElementById("member-search");
-  const roleFilter = document.getElementById("role-filter");
-  const resetButton = document.getElementById("reset-filters");
-  const table = document.getElementById("members-table");
-  const resultMessage = document.getElementById("filter-result-message");
+function startQuizTimer(quizForm, seconds, onExpire) {
+  const display = quizForm.parentElement.querySelector("[data-test='quiz-timer']");
+  const deadline = Date.now() + seconds * 1000;
 
-  if (!searchInput) return;
+  function tick() {
+    const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const secs = String(remaining % 60).padStart(2, "0");
 
-  function applyFilters() {
-    const searchTerm = searchInput.value.toLowerCase();
-    const selectedRole = roleFilter.value;
-    const rows = table.querySelectorAll("tbody tr");
-    let visibleCount = 0;
+    if (display) {
+      display.textContent = `⏱ ${minutes}:${secs}`;
+      display.setAttribute("data-remaining", remaining);
+      display.classList.toggle("warning", remaining <= 60);
+    }
 
-    rows.forEach(row => {
-      const name = row.getAttribute("data-name") || "";
-      const role = row.getAttribute("data-role") || "";
-      
-      const matchesSearch = name.includes(searchTerm);
-      const matchesRole = selectedRole === "" || role.toLowerCase() === selectedRole;
-      const isVisible = matchesSearch && matchesRole;
+    if (remaining === 0) {
+      clearInterval(interval);
+      onExpire();
+    }
+  }
 
-      row.style.display = isVisible ? "" : "none";
-      if (isVisible) visibleCount++;
-    });
+  const interval = setInterval(tick, 1000);
+  tick();
 
-    // Update message
-    if (visibleCount === 0 && (searchTerm || selectedRole)) {
-      resultMessage.textContent = "No members found matching your filters.";
-      resultMessage.style.color = "var(--text-muted)";
+  return {
+    stop: () => clearInterval(interval)
+  };
+}
+
+/**
+ * Collect the learner's answers keyed by question id.
+ * Radios yield a value (or null), checkboxes an array, text fields a trimmed string.
+ */
+function readQuizResponses(quizForm, quiz) {
+  const responses = {};
+
+  quiz.questions.forEach(question => {
+    const fields = quizForm.querySelectorAll(`[name="${question.id}"]`);
+
+    if (question.type === "checkbox") {
+      responses[question.id] = Array.from(fields).filter(el => el.checked).map(el => el.value);
+    } else if (question.type === "radio") {
+      const checked = Array.from(fields).find(el => el.checked);
+      responses[question.id] = checked ? checked.value : null;
     } else {
-      resultMessage.textContent = visibleCount > 0 ? visibleCount + " member(s) found" : "";
+      responses[question.id] = fields[0] ? fields[0].value.trim() : "";
     }
-  }
+  });
 
-  searchInput.addEventListener("input", applyFilters);
-  roleFilter.addEventListener("change", applyFilters);
+  return responses;
+}
 
-  resetButton.addEventListener("click", function () {
-    searchInput.value = "";
-    roleFilter.value = "";
-    resultMessage.textContent = "";
-    applyFilters();
-  });
+function isQuizAnswered(question, response) {
+  if (question.type === "checkbox") return response.length > 0;
+  return Boolean(response);
 }
 
 /**
- * Scenario 5: Async Button & Loading States
- * Tests button state management during async operations
- * Button disables during operation, shows loading state, then success message
+ * Grade a single question against its answer key.
+ * Returns { correct, earned } where earned is 0 or the question's points.
  */
-function setupAsyncButtonScenario() {
-  const asyncButton = document.getElementById("async-submit");
-  if (!asyncButton) return;
+function gradeQuizQuestion(question, response) {
+  const points = question.points ?? 1;
 
-  asyncButton.addEventListener("click", function () {
-    asyncButton.disabled = true;
-    document.getElementById("async-loading").style.display = "block";
-    document.getElementById("async-success").style.display = "none";
+  if (question.type === "text") {
+    return gradeQuizTextAnswer(question, response, points);
+  }
 
-    setTimeout(function () {
-      document.getElementById("async-loading").style.display = "none";
-      document.getElementById("async-success").style.display = "block";
-      document.getElementById("async-timestamp").textContent = new Date().toLocaleTimeString();
-      asyncButton.disabled = false;
-    }, 3000);
-  });
+  let correct = false;
+  if (question.type === "radio") {
+    correct = response === question.answer;
+  } else if (question.type === "checkbox") {
+    const selected = response || [];
+    correct = selected.length === question.answer.length &&
+      question.answer.every(value => selected.includes(value));
+  }
+
+  return {
+    correct,
+    status: correct ? "correct" : "incorrect",
+    earned: correct ? points : 0
+  };
 }
 
 /**
- * Scenario 6: Sortable Table
- * Tests ability to sort table data by clicking column headers
- * Supports ascending/descending toggle and numeric/text sorting
+ * Free-text Rubric Grading
+ *
+ * A text question is graded against rubric criteria. Each criterion is either:
+ * - { label, keywords: [...] } → hit when any keyword (synonyms) appears in the answer.
+ *   Keywords match at the start of a word, so "validat" also covers "validation".
+ * - { label, numeric: { value, unit, tolerance } } → hit when the answer contains a
+ *   quantity equal to value (± tolerance) once converted to unit. A bare number is
+ *   read in unit, so "30s", "30000" and "30,000 ms" all equal 30000 ms. A word after
+ *   the number only counts as its unit when it is one of QUIZ_UNITS, so "30000 by
+ *   default" is still a bare 30000.
+ * Criteria may carry a weight (default 1). Points are awarded in proportion to the
+ * weight of criteria hit, so partial answers earn partial credit.
+ *
+ * Answers and keywords are normalized the same way: lower case, punctuation
+ * replaced by spaces, whitespace collapsed.
+ *
+ * A plain `answer: [...]` list is shorthand for a single keyword criterion.
  */
-function setupSortableTableScenario() {
-  const table = document.getElementById("scores-table");
-  if (!table) return;
+const QUIZ_UNITS = {
+  ms: { dimension: "time", factor: 1 },
+  msec: { dimension: "time", factor: 1 },
+  millisecond: { dimension: "time", factor: 1 },
+  milliseconds: { dimension: "time", factor: 1 },
+  s: { dimension: "time", factor: 1000 },
+  sec: { dimension: "time", factor: 1000 },
+  secs: { dimension: "time", factor: 1000 },
+  second: { dimension: "time", factor: 1000 },
+  seconds: { dimension: "time", factor: 1000 },
+  min: { dimension: "time", factor: 60000 },
+  mins: { dimension: "time", factor: 60000 },
+  minute: { dimension: "time", factor: 60000 },
+  minutes: { dimension: "time", factor: 60000 },
+  b: { dimension: "size", factor: 1 },
+  bytes: { dimension: "size", factor: 1 },
+  kb: { dimension: "size", factor: 1024 },
+  mb: { dimension: "size", factor: 1024 * 1024 },
+  "%": { dimension: "percent", factor: 1 },
+  percent: { dimension: "percent", factor: 1 }
+};
 
-  const headers = table.querySelectorAll("th.sortable");
-  let currentSort = { field: null, direction: "asc" };
+function normalizeQuizText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  headers.forEach(header => {
-    header.style.cursor = "pointer";
-    header.addEventListener("click", function () {
-      const sortField = this.getAttribute("data-sort");
-      
-      // Toggle direction if same field clicked
-      if (currentSort.field === sortField) {
-        currentSort.direction = currentSort.direction === "asc" ? "desc" : "asc";
-      } else {
-        currentSort.field = sortField;
-        currentSort.direction = "asc";
-      }
+function getQuizRubric(question) {
+  if (question.rubric) return question.rubric;
+  return [{ label: "Mentions " + question.answer.join(" / "), keywords: question.answer }];
+}
 
-      // Update sort indicators
-      headers.forEach(h => h.querySelector(".sort-indicator").textContent = "");
-      this.querySelector(".sort-indicator").textContent = currentSort.direction === "asc" ? "↑" : "↓";
+/**
+ * Extract every number (with optional unit) from an answer.
+ * Thousands separators are ignored: "30,000 ms" → { value: 30000, unit: "ms" }.
+ * A following word that isn't in QUIZ_UNITS leaves the number bare: "30000 in Cypress"
+ * → { value: 30000, unit: null }.
+ */
+function parseQuizQuantities(text) {
+  const quantities = [];
+  const pattern = /(-?\d[\d,]*(?:\.\d+)?)\s*(%|[a-z]+)?/gi;
+  let match;
 
-      // Sort table
-      sortTable(table, sortField, currentSort.direction);
+  while ((match = pattern.exec(String(text || ""))) !== null) {
+    const word = match[2] ? match[2].toLowerCase() : null;
+    quantities.push({
+      value: parseFloat(match[1].replace(/,/g, "")),
+      unit: word && QUIZ_UNITS[word] ? word : null
     });
+  }
+
+  return quantities;
+}
+
+function matchesQuizNumeric(text, numeric) {
+  const target = QUIZ_UNITS[numeric.unit] || { dimension: null, factor: 1 };
+  const tolerance = numeric.tolerance || 0;
+
+  return parseQuizQuantities(text).some(quantity => {
+    const unit = quantity.unit ? QUIZ_UNITS[quantity.unit] : target;
+    // Other dimensions (e.g. "30 kb" for a time) never match
+    if (!unit || unit.dimension !== target.dimension) return false;
+    const converted = (quantity.value * unit.factor) / target.factor;
+    return Math.abs(converted - numeric.value) <= tolerance;
   });
+}
 
-  function sortTable(table, field, direction) {
-    const tbody = table.querySelector("tbody");
-    const rows = Array.from(tbody.querySelectorAll("tr"));
-    const headerIndex = Array.from(headers).findIndex(h => h.getAttribute("data-sort") === field);
+function matchesQuizKeywords(text, keywords) {
+  const haystack = " " + normalizeQuizText(text);
+  return keywords.some(keyword => haystack.includes(" " + normalizeQuizText(keyword)));
+}
 
-    rows.sort((rowA, rowB) => {
-      const cellA = rowA.querySelectorAll("td")[headerIndex].textContent.trim();
-      const cellB = rowB.querySelectorAll("td")[headerIndex].textContent.trim();
+function gradeQuizTextAnswer(question, response, points) {
+  const rubric = getQuizRubric(question).map(criterion => ({
+    label: criterion.label,
+    weight: criterion.weight ?? 1,
+    hit: criterion.numeric
+      ? matchesQuizNumeric(response, criterion.numeric)
+      : matchesQuizKeywords(response, criterion.keywords || [])
+  }));
 
-      // Try to parse as number for numeric fields
-      const numA = parseFloat(cellA);
-      const numB = parseFloat(cellB);
-      
-      let comparison = 0;
-      if (!isNaN(numA) && !isNaN(numB)) {
-        comparison = numA - numB;
-      } else {
-        comparison = cellA.localeCompare(cellB);
-      }
+  const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+  const hitWeight = rubric.filter(c => c.hit).reduce((sum, c) => sum + c.weight, 0);
+  const earned = totalWeight > 0 ? roundQuizScore((points * hitWeight) / totalWeight) : 0;
+  const status = hitWeight === totalWeight ? "correct" : hitWeight > 0 ? "partial" : "incorrect";
 
-      return direction === "asc" ? comparison : -comparison;
-    });
+  return { correct: status === "correct", status, earned, rubric };
+}
 
-    // Re-append sorted rows
-    rows.forEach(row => tbody.appendChild(row));
-  }
+function roundQuizScore(value) {
+  return Math.round(value * 100) / 100;
 }
 
 /**
- * Scenario 7: Pagination
- * Tests pagination controls and table state management
- * Click prev/next → table updates → reflection in UI
+ * Grade a whole quiz. Returns the total score plus a per-question breakdown.
  */
-function setupPaginationScenario() {
-  const itemsPerPage = 5;
-  let currentPage = 1;
-  
-  // Sample data
-  const allData = [
-    { id: 1, name: 'Alice Johnson', email: 'alice@example.com', role: 'QA Engineer' },
-    { id: 2, name: 'Bob Smith', email: 'bob@example.com', role: 'Developer' },
-    { id: 3, name: 'Carol White', email: 'carol@example.com', role: 'Product Manager' },
-    { id: 4, name: 'David Lee', email: 'david@example.com', role: 'QA Engineer' },
-    { id: 5, name: 'Eve Davis', email: 'eve@example.com', role: 'DevOps' },
-    { id: 6, name: 'Frank Brown', email: 'frank@example.com', role: 'Developer' },
-    { id: 7, name: 'Grace Chen', email: 'grace@example.com', role: 'QA Engineer' },
-    { id: 8, name: 'Henry Wilson', email: 'henry@example.com', role: 'Architect' },
-    { id: 9, name: 'Iris Taylor', email: 'iris@example.com', role: 'QA Engineer' },
-    { id: 10, name: 'Jack Martin', email: 'jack@example.com', role: 'Developer' },
-    { id: 11, name: 'Kate Anderson', email: 'kate@example.com', role: 'Manager' },
-    { id: 12, name: 'Liam Garcia', email: 'liam@example.com', role: 'QA Engineer' },
-    { id: 13, name: 'Maria Rodriguez', email: 'maria@example.com', role: 'Developer' },
-    { id: 14, name: 'Nathan Moore', email: 'nathan@example.com', role: 'QA Engineer' },
-    { id: 15, name: 'Olivia Jackson', email: 'olivia@example.com', role: 'Product Manager' }
-  ];
+function gradeQuiz(quiz, responses) {
+  const questions = {};
+  let score = 0;
+  let total = 0;
 
-  function renderPage() {
-    const tbody = document.getElementById('pagination-body');
-    if (!tbody) return;
-    
-    tbody.innerHTML = '';
-    const startIdx = (currentPage - 1) * itemsPerPage;
-    const endIdx = startIdx + itemsPerPage;
-    const pageData = allData.slice(startIdx, endIdx);
-    
-    pageData.forEach(item => {
-      const row = document.createElement('tr');
-      row.innerHTML = `
-        <td>${item.id}</td>
-        <td data-test="pagination-name">${item.name}</td>
-        <td>${item.email}</td>
-        <td><span class="status-badge active">${item.role}</span></td>
-      `;
-      tbody.appendChild(row);
-    });
-    
-    // Update pagination info
-    const totalPages = Math.ceil(allData.length / itemsPerPage);
-    const paginationInfo = document.getElementById('pagination-info');
-    if (paginationInfo) {
-      paginationInfo.textContent = `Page ${currentPage} of ${totalPages}`;
-    }
-    
-    // Enable/disable buttons
-    const prevBtn = document.getElementById('prev-page');
-    const nextBtn = document.getElementById('next-page');
-    if (prevBtn) prevBtn.disabled = currentPage === 1;
-    if (nextBtn) nextBtn.disabled = currentPage === totalPages;
-  }
-  
-  // Event listeners
-  const prevBtn = document.getElementById('prev-page');
-  const nextBtn = document.getElementById('next-page');
-  
-  if (prevBtn) {
-    prevBtn.addEventListener('click', () => {
-      if (currentPage > 1) {
-        currentPage--;
-        renderPage();
-      }
-    });
-  }
-  
-  if (nextBtn) {
-    nextBtn.addEventListener('click', () => {
-      const totalPages = Math.ceil(allData.length / itemsPerPage);
-      if (currentPage < totalPages) {
-        currentPage++;
-        renderPage();
-      }
-    });
-  }
-  
-  // Initial render
-  renderPage();
+  quiz.questions.forEach(question => {
+    const outcome = gradeQuizQuestion(question, responses[question.id]);
+    questions[question.id] = outcome;
+    score += outcome.earned;
+    total += question.points ?? 1;
+  });
+
+  score = roundQuizScore(score);
+  const percent = total > 0 ? Math.round((score / total) * 100) : 0;
+  return { score, total, percent, questions };
 }
 
+const QUIZ_STATUS_PREFIX = {
+  correct: "✓ Correct. ",
+  partial: "◐ Partially correct. ",
+  incorrect: "✕ Incorrect. "
+};
+
 /**
- * Scenario 8: Accordion & Tabs
- * Tests tab switching and accordion expansion/collapse
- * Click tab → switch view | Click accordion header → toggle expansion
+ * Build the explanation paragraph for a graded question, listing which
+ * rubric points were hit or missed for free-text answers.
  */
-function setupTabsAndAccordion() {
-  // Tabs functionality
-  const tabButtons = document.querySelectorAll('[data-tab-button]');
-  const tabPanes = document.querySelectorAll('[data-tab-pane]');
-  
-  tabButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const tabName = button.getAttribute('data-tab-button');
-      
-      // Remove active class from all
-      tabButtons.forEach(btn => btn.classList.remove('active'));
-      tabPanes.forEach(pane => pane.classList.remove('active'));
-      
-      // Add active to clicked
-      button.classList.add('active');
-      const activePane = document.querySelector(`[data-tab-pane="${tabName}"]`);
-      if (activePane) activePane.classList.add('active');
-    });
-  });
-  
-  // Accordion functionality
-  const accordionHeaders = document.querySelectorAll('.accordion-header');
-  accordionHeaders.forEach(header => {
-    header.addEventListener('click', () => {
-      header.classList.toggle('active');
-      const body = header.nextElementSibling;
-      if (body) {
-        body.style.display = body.style.display === 'none' ? 'block' : 'none';
-      }
+function createQuizFeedback(question, outcome) {
+  const feedback = document.createElement("div");
+  feedback.className = `quiz-feedback ${outcome.status}`;
+
+  const text = document.createElement("p");
+  text.textContent = QUIZ_STATUS_PREFIX[outcome.status] + question.explanation;
+  feedback.appendChild(text);
+
+  if (outcome.rubric) {
+    const list = document.createElement("ul");
+    list.className = "quiz-rubric";
+    outcome.rubric.forEach(criterion => {
+      const item = document.createElement("li");
+      item.setAttribute("data-test", "quiz-rubric-point");
+      item.setAttribute("data-hit", criterion.hit);
+      item.textContent = (criterion.hit ? "✓ " : "✕ Missed: ") + criterion.label;
+      list.appendChild(item);
     });
-  });
+    feedback.appendChild(list);
+  }
+
+  return feedback;
 }
 
 /**
- * Scenario 9: Toast Notifications
- * Tests temporary notification messages
- * Click button → toast appears → auto-dismiss after 3s | or click X to close
+ * Mark each question row with its outcome and explanation.
+ * Previous feedback is replaced so the quiz can be resubmitted.
  */
-function setupToastNotifications() {
-  const toastContainer = document.getElementById('toast-container');
-  if (!toastContainer) return;
-  
-  window.showToast = function(message, type = 'info', duration = 3000) {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.setAttribute('data-test', `toast-${type}`);
-    
-    const typeIcons = {
-      success: '✓',
-      error: '✕',
-      info: 'ℹ',
-      warning: '⚠'
-    };
-    
-    toast.innerHTML = `
-      <span>${typeIcons[type]} ${message}</span>
-      <button class="toast-close" aria-label="Close">×</button>
-    `;
-    
-    toastContainer.appendChild(toast);
-    
-    const closeBtn = toast.querySelector('.toast-close');
-    const removeToast = () => toast.remove();
-    
-    closeBtn.addEventListener('click', removeToast);
-    
-    if (duration > 0) {
-      setTimeout(removeToast, duration);
-    }
-  };
-  
-  // Toast trigger buttons
-  const toastButtons = document.querySelectorAll('[data-test^="toast-trigger"]');
-  toastButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const type = btn.getAttribute('data-test').replace('toast-trigger-', '');
-      window.showToast(`This is a ${type} notification!`, type);
-    });
+function renderQuizFeedback(quizForm, quiz, result) {
+  quiz.questions.forEach(question => {
+    const row = quizForm.querySelector(`[data-question="${question.id}"]`);
+    if (!row) return;
+
+    const outcome = result.questions[question.id];
+    row.querySelector(".quiz-feedback")?.remove();
+    row.classList.toggle("question-correct", outcome.status === "correct");
+    row.classList.toggle("question-partial", outcome.status === "partial");
+    row.classList.toggle("question-incorrect", outcome.status === "incorrect");
+    row.setAttribute("data-result", outcome.status);
+
+    const feedback = createQuizFeedback(question, outcome);
+    feedback.setAttribute("data-test", `quiz-feedback-${question.id}`);
+    row.appendChild(feedback);
   });
 }
 
 /**
- * Scenario 10: Multi-Step Wizard Form
- * Tests form flow across multiple steps
- * Next → validation → step update | Prev → step back | Submit → confirmation
+ * Describe a response (or the answer key) in human-readable form for review.
  */
-function setupWizardForm() {
-  let currentStep = 1;
-  const totalSteps = 3;
+function formatQuizAnswer(question, value) {
+  if (question.type === "radio" || question.type === "checkbox") {
+    const values = [].concat(value ?? []);
+    if (values.length === 0) return "(no answer)";
+    return values
+      .map(v => question.options?.find(option => option.value === v)?.label || v)
+      .join(", ");
+  }
+  return value ? value : "(no answer)";
+}
+
+function describeQuizAnswerKey(question) {
+  if (question.type === "text") {
+    return getQuizRubric(question).map(criterion => criterion.label).join("; ");
+  }
+  return formatQuizAnswer(question, question.answer);
+}
+
+/**
+ * Step-through review of a graded attempt: one question at a time with the
+ * learner's answer, the expected answer and the explanation.
+ */
+function renderQuizReview(quizForm, questions, responses, result) {
+  quizForm.parentElement.querySelector(".quiz-review")?.remove();
+
+  const review = document.createElement("section");
+  review.className = "quiz-review";
+  review.setAttribute("data-test", "quiz-review");
+  review.innerHTML = `
+    <h3>Review <span data-test="quiz-review-position"></span></h3>
+    <div class="quiz-review-item" data-test="quiz-review-item" aria-live="polite"></div>
+    <div class="quiz-review-nav">
+      <button type="button" class="btn-secondary" data-test="quiz-review-prev">← Previous</button>
+      <button type="button" class="btn-secondary" data-test="quiz-review-next">Next →</button>
+    </div>
+  `;
+
+  const position = review.querySelector("[data-test='quiz-review-position']");
+  const item = review.querySelector("[data-test='quiz-review-item']");
+  const prevBtn = review.querySelector("[data-test='quiz-review-prev']");
+  const nextBtn = review.querySelector("[data-test='quiz-review-next']");
+  let index = 0;
+
+  function show() {
+    const question = questions[index];
+    const outcome = result.questions[question.id];
+
+    position.textContent = `(${index + 1} of ${questions.length})`;
+    item.setAttribute("data-question", question.id);
+    item.setAttribute("data-result", outcome.status);
+    item.innerHTML = `
+      <p class="quiz-review-prompt"></p>
+      <p><strong>Your answer:</strong> <span data-test="quiz-review-response"></span></p>
+      <p><strong>Expected:</strong> <span data-test="quiz-review-expected"></span></p>
+    `;
+    item.querySelector(".quiz-review-prompt").textContent = `${index + 1}. ${question.prompt || question.id}`;
+    item.querySelector("[data-test='quiz-review-response']").textContent = formatQuizAnswer(question, responses[question.id]);
+    item.querySelector("[data-test='quiz-review-expected']").textContent = describeQuizAnswerKey(question);
+
+    item.appendChild(createQuizFeedback(question, outcome));
+
+    prevBtn.disabled = index === 0;
+    nextBtn.disabled = index === questions.length - 1;
+  }
+
+  prevBtn.addEventListener("click", () => {
+    if (index > 0) {
+      index--;
+      show();
+    }
+  });
+
+  nextBtn.addEventListener("click", () => {
+    if (index < questions.length - 1) {
+      index++;
+      show();
+    }
+  });
+
+  show();
+  quizForm.after(review);
+}
+
+/**
+ * Quiz Import (quiz.html)
+ *
+ * Instructors can load their own quiz without editing HTML:
+ * - Pick a .json or .md file with #quiz-file-input, or
+ * - Link to one with ?src=<url> (e.g. quiz.html?src=src/quizzes/example-quiz.md)
+ *
+ * The file is parsed, validated and rendered into the #quiz-form on quiz.html
+ * using the same markup and data-test hooks as the built-in quiz pages, then
+ * graded by initQuizForm. Problems are listed in #quiz-import-errors, one per
+ * line, each prefixed with the line of the file it refers to.
+ *
+ * See src/quizzes/ for an example of each format.
+ */
+function setupQuizImport() {
+  const fileInput = document.getElementById("quiz-file-input");
+  if (!fileInput) return;
+
+  fileInput.addEventListener("change", function () {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    file.text()
+      .then(text => loadImportedQuiz(text, file.name, { allowExam: false }))
+      .catch(error => {
+        showQuizImportErrors([{ line: null, message: `Could not read "${file.name}" (${error.message}).` }]);
+      });
+  });
+
+  const src = new URLSearchParams(window.location.search).get("src");
+  if (src) {
+    fetch(src)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(text => loadImportedQuiz(text, src))
+      .catch(error => {
+        showQuizImportErrors([{ line: null, message: `Could not load quiz from "${src}" (${error.message}).` }]);
+      });
+  }
+}
+
+/**
+ * Parse, validate and render an imported quiz. Returns true when the quiz loaded.
+ */
+function loadImportedQuiz(text, fileName, options = {}) {
+  const output = document.getElementById("quiz-import-output");
+  let parsed;
+
+  try {
+    parsed = isMarkdownQuizFile(fileName, text) ? parseQuizMarkdown(text) : parseQuizJson(text);
+  } catch (error) {
+    output.hidden = true;
+    showQuizImportErrors([{ line: error.line ?? null, message: error.message }]);
+    return false;
+  }
+
+  const { quiz, errors } = validateQuizDefinition(parsed.quiz, parsed.lines);
+  if (errors.length > 0) {
+    output.hidden = true;
+    showQuizImportErrors(errors);
+    return false;
+  }
+
+  showQuizImportErrors([]);
+
+  // Start from a fresh form so listeners from a previously loaded quiz are dropped
+  const oldForm = document.getElementById("quiz-form");
+  const quizForm = oldForm.cloneNode(false);
+  quizForm.append(oldForm.querySelector("button[type='submit']"), oldForm.querySelector("#quiz-message"));
+  oldForm.replaceWith(quizForm);
+  output.querySelectorAll(".quiz-exam-bar, .quiz-review").forEach(el => el.remove());
+
+  const message = quizForm.querySelector("#quiz-message");
+  message.textContent = "";
+  ["data-score", "data-total", "data-percent"].forEach(attr => message.removeAttribute(attr));
+  quizForm.querySelectorAll("button[type='submit']").forEach(button => {
+    button.disabled = false;
+  });
+
+  document.getElementById("quiz-import-title").textContent = quiz.title;
+  document.getElementById("quiz-import-description").textContent = quiz.description || "";
+  quizForm.setAttribute("data-quiz", quiz.id);
+
+  renderQuizQuestions(quizForm, quiz.questions, null);
+  initQuizForm(quizForm, quiz, options);
+  output.hidden = false;
+  return true;
+}
+
+function isMarkdownQuizFile(fileName, text) {
+  if (/\.(md|markdown)$/i.test(fileName || "")) return true;
+  if (/\.json$/i.test(fileName || "")) return false;
+  return !/^\s*[{[]/.test(text);
+}
+
+function showQuizImportErrors(errors) {
+  const list = document.getElementById("quiz-import-errors");
+  if (!list) return;
+
+  list.innerHTML = "";
+  errors.forEach(error => {
+    const item = document.createElement("li");
+    item.setAttribute("data-test", "quiz-import-error");
+    if (error.line) item.setAttribute("data-line", error.line);
+    item.textContent = (error.line ? `Line ${error.line}: ` : "") + error.message;
+    list.appendChild(item);
+  });
+  list.hidden = errors.length === 0;
+}
+
+function quizImportError(line, message) {
+  const error = new Error(message);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Strict JSON parser that records the line where every value starts.
+ * Returns { quiz, lines } where lines maps paths such as "questions[2].answer"
+ * to line numbers. Syntax errors are thrown with a line and column, which
+ * JSON.parse does not report consistently across browsers.
+ */
+function parseQuizJson(text) {
+  const lines = {};
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") lineStarts.push(i + 1);
+  }
+  let index = 0;
+
+  function lineOf(position) {
+    let line = 1;
+    while (line < lineStarts.length && lineStarts[line] <= position) line++;
+    return line;
+  }
+
+  function fail(message) {
+    const line = lineOf(index);
+    const column = index - lineStarts[line - 1] + 1;
+    throw quizImportError(line, `${message} (column ${column}).`);
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) index++;
+  }
+
+  function parseString() {
+    const match = /^"(?:[^"\\\n]|\\.)*"/.exec(text.slice(index));
+    if (!match) fail("Unterminated string");
+    try {
+      index += match[0].length;
+      return JSON.parse(match[0]);
+    } catch (error) {
+      index -= match[0].length;
+      fail("Invalid escape sequence in string");
+    }
+  }
+
+  function parseValue(path) {
+    skipWhitespace();
+    lines[path] = lineOf(index);
+
+    const char = text[index];
+    if (char === "{") return parseObject(path);
+    if (char === "[") return parseArray(path);
+    if (char === "\"") return parseString();
+
+    // JSON numbers have no leading zeros, so "01" stops after the 0 and fails on the 1
+    const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(index));
+    if (!literal) fail(char === undefined ? "Unexpected end of file" : `Unexpected character "${char}"`);
+    index += literal[0].length;
+    return JSON.parse(literal[0]);
+  }
+
+  function parseObject(path) {
+    const result = {};
+    index++;
+    skipWhitespace();
+    if (text[index] === "}") {
+      index++;
+      return result;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[index] !== "\"") fail("Expected a property name in double quotes");
+      const key = parseString();
+      skipWhitespace();
+      if (text[index] !== ":") fail(`Expected ":" after "${key}"`);
+      index++;
+      result[key] = parseValue(path ? `${path}.${key}` : key);
+      skipWhitespace();
+      if (text[index] === ",") {
+        index++;
+        continue;
+      }
+      if (text[index] === "}") {
+        index++;
+        return result;
+      }
+      fail("Expected \",\" or \"}\"");
+    }
+  }
+
+  function parseArray(path) {
+    const result = [];
+    index++;
+    skipWhitespace();
+    if (text[index] === "]") {
+      index++;
+      return result;
+    }
+
+    for (;;) {
+      result.push(parseValue(`${path}[${result.length}]`));
+      skipWhitespace();
+      if (text[index] === ",") {
+        index++;
+        continue;
+      }
+      if (text[index] === "]") {
+        index++;
+        return result;
+      }
+      fail("Expected \",\" or \"]\"");
+    }
+  }
+
+  const quiz = parseValue("");
+  skipWhitespace();
+  if (index < text.length) fail("Unexpected content after the end of the quiz");
+  return { quiz, lines };
+}
+
+/**
+ * Markdown quiz format: optional front matter, then a numbered list of questions.
+ *
+ *   ---
+ *   title: Selector Basics
+ *   timeLimit: 300
+ *   ---
+ *
+ *   1. Which selector is the most stable?
+ *      - [ ] .btn-primary
+ *      - [x] [data-test="submit"]
+ *      - explanation: data-test attributes don't change with styling.
+ *   2. [text] What is Playwright's default test timeout?
+ *      - numeric: 30000 ms
+ *
+ * Options marked [x] are correct; one correct option makes a radio question,
+ * several make a checkbox question. Questions without options are text
+ * questions graded by "- keywords: a, b" (one rubric criterion per line) and
+ * "- numeric: <value> <unit>" items. A [radio], [checkbox] or [text] tag after
+ * the number overrides the inferred type. Other items: points, explanation,
+ * multiline (true for a textarea). Headings and blank lines are ignored.
+ */
+function parseQuizMarkdown(text) {
+  const rows = text.split(/\r?\n/);
+  const quiz = { questions: [] };
+  const lines = { "": 1 };
+  let i = 0;
+
+  if (rows[0] !== undefined && rows[0].trim() === "---") {
+    for (i = 1; i < rows.length && rows[i].trim() !== "---"; i++) {
+      const trimmed = rows[i].trim();
+      if (!trimmed) continue;
+
+      const match = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(trimmed);
+      if (!match) throw quizImportError(i + 1, "Front matter lines must look like \"key: value\".");
+      quiz[match[1]] = parseQuizMarkdownValue(match[2]);
+      lines[match[1]] = i + 1;
+    }
+    if (i >= rows.length) throw quizImportError(1, "Front matter opened with \"---\" is never closed.");
+    i++;
+  }
+
+  let question = null;
+  let path = "";
+
+  for (; i < rows.length; i++) {
+    const line = i + 1;
+    const raw = rows[i];
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+
+    const heading = /^\d+[.)]\s+(?:\[(radio|checkbox|text)\]\s*)?(.*)$/.exec(trimmed);
+    if (heading && !/^\s/.test(raw)) {
+      path = `questions[${quiz.questions.length}]`;
+      question = {
+        id: `q${quiz.questions.length + 1}`,
+        type: heading[1],
+        prompt: heading[2].trim(),
+        options: [],
+        correct: []
+      };
+      quiz.questions.push(question);
+      lines[path] = line;
+      lines[`${path}.prompt`] = line;
+      continue;
+    }
+
+    const item = /^[-*]\s+(.*)$/.exec(trimmed);
+    if (!item) {
+      throw quizImportError(line, "Expected a numbered question (\"1. ...\") or an indented \"- \" item.");
+    }
+    if (!question) throw quizImportError(line, "List item appears before the first question.");
+
+    const option = /^\[( |x|X)\]\s+(.+)$/.exec(item[1]);
+    if (option) {
+      const value = String.fromCharCode(97 + question.options.length);
+      lines[`${path}.options[${question.options.length}]`] = line;
+      question.options.push({ value, label: option[2].trim() });
+      if (option[1] !== " ") {
+        question.correct.push(value);
+        lines[`${path}.answer`] = lines[`${path}.answer`] || line;
+      }
+      continue;
+    }
+
+    const field = /^(\w+)\s*:\s*(.*)$/.exec(item[1]);
+    if (!field) {
+      throw quizImportError(line, `Unrecognized item "${item[1]}". Use "- [x] option", "- [ ] option" or "- key: value".`);
+    }
+
+    const key = field[1];
+    const value = field[2].trim();
+    if (key === "keywords" || key === "numeric") {
+      question.rubric = question.rubric || [];
+      lines[`${path}.rubric[${question.rubric.length}]`] = line;
+      lines[`${path}.rubric`] = lines[`${path}.rubric`] || line;
+      question.rubric.push(key === "keywords"
+        ? { label: value, keywords: value.split(",").map(k => k.trim()).filter(Boolean) }
+        : { label: value, numeric: parseQuizMarkdownNumeric(value, line) });
+    } else if (["points", "explanation", "multiline"].includes(key)) {
+      question[key] = key === "explanation" ? value : parseQuizMarkdownValue(value);
+      lines[`${path}.${key}`] = line;
+    } else {
+      throw quizImportError(line, `Unknown question field "${key}". Expected keywords, numeric, points, explanation or multiline.`);
+    }
+  }
+
+  // Infer types and answers from the collected options
+  quiz.questions.forEach(q => {
+    if (!q.type) {
+      q.type = q.options.length === 0 ? "text" : q.correct.length > 1 ? "checkbox" : "radio";
+    }
+    if (q.type === "radio") q.answer = q.correct.length === 1 ? q.correct[0] : q.correct;
+    if (q.type === "checkbox") q.answer = q.correct;
+    if (q.type === "text" && q.options.length === 0) delete q.options;
+    delete q.correct;
+  });
+
+  return { quiz, lines };
+}
+
+function parseQuizMarkdownValue(value) {
+  const trimmed = value.trim();
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+  if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+  return trimmed.replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function parseQuizMarkdownNumeric(value, line) {
+  const quantity = parseQuizQuantities(value)[0];
+  if (!quantity) throw quizImportError(line, `numeric needs a number, e.g. "30000 ms" (got "${value}").`);
+  return { value: quantity.value, unit: quantity.unit };
+}
+
+/**
+ * Validate a parsed quiz and fill in defaults.
+ * Returns { quiz, errors }; errors are { line, message } pairs located with
+ * the parser's path → line map (falling back to the closest parent path).
+ */
+function validateQuizDefinition(raw, lines) {
+  const errors = [];
+  const usedIds = new Set();
+
+  function lineFor(path) {
+    let current = path;
+    while (current && lines[current] === undefined) {
+      current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+    }
+    return lines[current] ?? 1;
+  }
+
+  function report(path, message) {
+    errors.push({ line: lineFor(path), message });
+  }
+
+  const isText = value => typeof value === "string" && value.trim() !== "";
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    report("", "A quiz must be an object with a title and a questions list.");
+    return { quiz: null, errors };
+  }
+
+  if (!isText(raw.title)) report("title", "Quiz title is required.");
+  if (raw.timeLimit !== undefined && !(typeof raw.timeLimit === "number" && raw.timeLimit >= 0)) {
+    report("timeLimit", "timeLimit must be a number of seconds (0 or more).");
+  }
+  if (!Array.isArray(raw.questions) || raw.questions.length === 0) {
+    report("questions", "The quiz needs at least one question.");
+    return { quiz: null, errors };
+  }
+
+  const questions = raw.questions.map((q, index) => {
+    const path = `questions[${index}]`;
+    const name = `Question ${index + 1}`;
+
+    if (!q || typeof q !== "object" || Array.isArray(q)) {
+      report(path, `${name} must be an object.`);
+      return null;
+    }
+
+    const id = q.id === undefined ? `q${index + 1}` : q.id;
+    if (typeof id !== "string" || !/^[A-Za-z][\w-]*$/.test(id)) {
+      report(`${path}.id`, `${name}: id must start with a letter and contain only letters, digits, "-" or "_".`);
+    } else if (usedIds.has(id)) {
+      report(`${path}.id`, `${name}: id "${id}" is already used by another question.`);
+    }
+    usedIds.add(id);
+
+    if (!["radio", "checkbox", "text"].includes(q.type)) {
+      report(`${path}.type`, `${name}: type must be "radio", "checkbox" or "text".`);
+    }
+    if (!isText(q.prompt)) report(`${path}.prompt`, `${name}: prompt is required.`);
+    if (q.points !== undefined && !(typeof q.points === "number" && q.points > 0)) {
+      report(`${path}.points`, `${name}: points must be a positive number.`);
+    }
+    if (q.explanation !== undefined && typeof q.explanation !== "string") {
+      report(`${path}.explanation`, `${name}: explanation must be text.`);
+    }
+
+    const question = {
+      id,
+      type: q.type,
+      prompt: q.prompt,
+      points: q.points ?? 1,
+      explanation: q.explanation || "",
+      multiline: q.multiline === true,
+      shuffleOptions: q.shuffleOptions
+    };
+
+    if (q.type === "radio" || q.type === "checkbox") {
+      question.options = validateQuizOptions(q, path, name, report);
+      const values = question.options.map(option => option.value);
+
+      if (q.type === "radio") {
+        if (Array.isArray(q.answer) && q.answer.length !== 1) {
+          report(`${path}.answer`, `${name}: a radio question needs exactly one correct option (found ${q.answer.length}).`);
+        } else {
+          const answer = Array.isArray(q.answer) ? q.answer[0] : q.answer;
+          if (!values.includes(answer)) {
+            report(`${path}.answer`, `${name}: answer must be one of the option values (${values.join(", ")}).`);
+          }
+          question.answer = answer;
+        }
+      } else if (!Array.isArray(q.answer) || q.answer.length === 0) {
+        report(`${path}.answer`, `${name}: a checkbox question needs a list of correct option values.`);
+      } else {
+        q.answer.filter(value => !values.includes(value)).forEach(value => {
+          report(`${path}.answer`, `${name}: answer "${value}" is not one of the option values.`);
+        });
+        question.answer = q.answer;
+      }
+    } else if (q.type === "text") {
+      if (Array.isArray(q.options) && q.options.length > 0) {
+        report(`${path}.options`, `${name}: text questions cannot have options. Use [radio] or [checkbox].`);
+      }
+      if (q.rubric !== undefined) {
+        question.rubric = validateQuizRubric(q.rubric, path, name, report);
+      } else if (Array.isArray(q.answer) && q.answer.length > 0 && q.answer.every(isText)) {
+        question.answer = q.answer;
+      } else {
+        report(`${path}.answer`, `${name}: a text question needs a rubric or a list of accepted answers.`);
+      }
+    }
+
+    return question;
+  });
+
+  const quiz = {
+    id: "imported",
+    title: raw.title,
+    description: typeof raw.description === "string" ? raw.description : "",
+    timeLimit: raw.timeLimit || 0,
+    questions
+  };
+
+  return { quiz: errors.length === 0 ? quiz : null, errors };
+}
+
+function validateQuizOptions(q, path, name, report) {
+  if (!Array.isArray(q.options) || q.options.length < 2) {
+    report(`${path}.options`, `${name}: ${q.type} questions need at least two options.`);
+    return [];
+  }
+
+  const seen = new Set();
+  return q.options.map((option, index) => {
+    const normalized = typeof option === "string" ? { value: option, label: option } : option;
+    const valid = normalized && typeof normalized.value === "string" && normalized.value !== "" &&
+      typeof normalized.label === "string" && normalized.label.trim() !== "";
+
+    if (!valid) {
+      report(`${path}.options[${index}]`, `${name}: option ${index + 1} must be text or { "value": ..., "label": ... }.`);
+      return { value: "", label: "" };
+    }
+    if (seen.has(normalized.value)) {
+      report(`${path}.options[${index}]`, `${name}: option value "${normalized.value}" is used twice.`);
+    }
+    seen.add(normalized.value);
+    return { value: normalized.value, label: normalized.label };
+  });
+}
+
+function validateQuizRubric(rubric, path, name, report) {
+  if (!Array.isArray(rubric) || rubric.length === 0) {
+    report(`${path}.rubric`, `${name}: rubric must be a non-empty list of criteria.`);
+    return [];
+  }
+
+  rubric.forEach((criterion, index) => {
+    const criterionPath = `${path}.rubric[${index}]`;
+    const label = `${name}, rubric point ${index + 1}`;
+
+    if (!criterion || typeof criterion.label !== "string" || !criterion.label.trim()) {
+      report(criterionPath, `${label}: label is required.`);
+      return;
+    }
+    if (criterion.numeric) {
+      const { value, unit } = criterion.numeric;
+      if (typeof value !== "number") report(criterionPath, `${label}: numeric.value must be a number.`);
+      if (unit && !QUIZ_UNITS[unit]) {
+        report(criterionPath, `${label}: unknown unit "${unit}". Known units: ${Object.keys(QUIZ_UNITS).join(", ")}.`);
+      }
+    } else if (!Array.isArray(criterion.keywords) || criterion.keywords.length === 0) {
+      report(criterionPath, `${label}: needs keywords or a numeric value.`);
+    }
+  });
+
+  return rubric;
+}
+
+/**
+ * Learner Progress
+ *
+ * Remembers what a learner has done across page loads (localStorage):
+ * - Scenario pages record a visit on load and offer a "Mark as complete" toggle
+ * - Quiz submissions record the score, exam seed and timestamp
+ * - practice.html / quiz.html show a badge on each card
+ * - index.html shows a summary with export, import and reset controls
+ *
+ * Stored shape (key "studyhub-progress"):
+ * {
+ *   version: 1,
+ *   scenarios: { "3": { visitedAt: ISO, completedAt: ISO | null } },
+ *   quizzes: { "visibility-waits": { attempts: [{ score, total, percent, exam, seed, completedAt }] } }
+ * }
+ */
+const PROGRESS_STORAGE_KEY = "studyhub-progress";
+const PROGRESS_VERSION = 1;
+const SCENARIO_COUNT = 14;
+
+function setupProgressTracking() {
+  setupScenarioProgress();
+  renderProgressBadges();
+  setupProgressSummary();
+}
+
+function createEmptyProgress() {
+  return { version: PROGRESS_VERSION, scenarios: {}, quizzes: {} };
+}
+
+function loadProgress() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    return isValidProgress(stored) ? stored : createEmptyProgress();
+  } catch (error) {
+    // Storage unavailable (private mode) or corrupted: start fresh
+    return createEmptyProgress();
+  }
+}
+
+function saveProgress(progress) {
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  } catch (error) {
+    // Storage unavailable or full: progress just isn't kept for the next visit
+  }
+}
+
+/** Checks the whole stored shape, so an imported file can't merge in bad attempts or dates. */
+function isValidProgress(progress) {
+  const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+  return isObject(progress) &&
+    progress.version === PROGRESS_VERSION &&
+    isObject(progress.scenarios) &&
+    Object.values(progress.scenarios).every(isValidScenarioProgress) &&
+    isObject(progress.quizzes) &&
+    Object.values(progress.quizzes).every(entry => isObject(entry) && Array.isArray(entry.attempts) && entry.attempts.every(isValidQuizAttempt));
+}
+
+function isProgressDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isValidScenarioProgress(entry) {
+  return typeof entry === "object" && entry !== null &&
+    (entry.visitedAt === null || entry.visitedAt === undefined || isProgressDate(entry.visitedAt)) &&
+    (entry.completedAt === null || entry.completedAt === undefined || isProgressDate(entry.completedAt));
+}
+
+function isValidQuizAttempt(attempt) {
+  return typeof attempt === "object" && attempt !== null &&
+    ["score", "total", "percent"].every(field => Number.isFinite(attempt[field])) &&
+    (attempt.exam === undefined || typeof attempt.exam === "boolean") &&
+    isProgressDate(attempt.completedAt);
+}
+
+/**
+ * Scenario number of the current page (pages/scenarios/practice-N.html), or null.
+ */
+function getCurrentScenarioNumber() {
+  const match = /\/scenarios\/practice-(\d+)\.html$/.exec(window.location.pathname);
+  return match ? match[1] : null;
+}
+
+function recordScenarioVisit(scenario) {
+  const progress = loadProgress();
+  const entry = progress.scenarios[scenario] || { visitedAt: null, completedAt: null };
+  entry.visitedAt = entry.visitedAt || new Date().toISOString();
+  progress.scenarios[scenario] = entry;
+  saveProgress(progress);
+}
+
+function setScenarioComplete(scenario, complete) {
+  const progress = loadProgress();
+  const entry = progress.scenarios[scenario] || { visitedAt: new Date().toISOString(), completedAt: null };
+  entry.completedAt = complete ? new Date().toISOString() : null;
+  progress.scenarios[scenario] = entry;
+  saveProgress(progress);
+}
+
+function recordQuizAttempt(quizId, result, exam) {
+  const progress = loadProgress();
+  const entry = progress.quizzes[quizId] || { attempts: [] };
+  entry.attempts.push({
+    score: result.score,
+    total: result.total,
+    percent: result.percent,
+    exam: Boolean(exam),
+    seed: exam ? exam.seed : null,
+    completedAt: new Date().toISOString()
+  });
+  progress.quizzes[quizId] = entry;
+  saveProgress(progress);
+}
+
+function getBestQuizPercent(entry) {
+  if (!entry || entry.attempts.length === 0) return null;
+  return Math.max(...entry.attempts.map(attempt => attempt.percent));
+}
+
+/**
+ * On scenario pages: record the visit and add a "Mark as complete" toggle
+ * next to the back button.
+ */
+function setupScenarioProgress() {
+  const scenario = getCurrentScenarioNumber();
+  if (!scenario) return;
+
+  recordScenarioVisit(scenario);
+
+  const backButton = document.querySelector("[data-test='back-button']");
+  if (!backButton) return;
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "btn-secondary progress-toggle";
+  toggle.setAttribute("data-test", "mark-complete");
+
+  function render() {
+    const complete = Boolean(loadProgress().scenarios[scenario]?.completedAt);
+    toggle.textContent = complete ? "✓ Completed" : "Mark as complete";
+    toggle.setAttribute("aria-pressed", complete);
+    toggle.classList.toggle("completed", complete);
+  }
+
+  toggle.addEventListener("click", () => {
+    const complete = toggle.getAttribute("aria-pressed") === "true";
+    setScenarioComplete(scenario, !complete);
+    logEvent("progress.scenario-marked", { scenario, complete: !complete });
+    render();
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "page-actions";
+  backButton.before(actions);
+  actions.append(toggle, backButton);
+  render();
+}
+
+/**
+ * Add a status badge to every hub card that declares data-progress-scenario
+ * or data-progress-quiz.
+ */
+function renderProgressBadges() {
+  const progress = loadProgress();
+
+  document.querySelectorAll("[data-progress-scenario]").forEach(card => {
+    const scenario = card.getAttribute("data-progress-scenario");
+    const entry = progress.scenarios[scenario];
+    const status = entry?.completedAt ? "completed" : entry?.visitedAt ? "visited" : "not-started";
+    const labels = { completed: "✓ Completed", visited: "Visited", "not-started": "Not started" };
+
+    const badge = getProgressBadge(card);
+    badge.setAttribute("data-status", status);
+    badge.className = `progress-badge ${status}`;
+    badge.textContent = labels[status];
+  });
+
+  document.querySelectorAll("[data-progress-quiz]").forEach(card => {
+    const entry = progress.quizzes[card.getAttribute("data-progress-quiz")];
+    const attempts = entry ? entry.attempts.length : 0;
+    const best = getBestQuizPercent(entry);
+
+    const badge = getProgressBadge(card);
+    badge.setAttribute("data-attempts", attempts);
+    badge.setAttribute("data-best", best ?? "");
+    badge.className = `progress-badge ${attempts > 0 ? (best === 100 ? "completed" : "visited") : "not-started"}`;
+    badge.textContent = attempts > 0
+      ? `Best ${best}% · ${attempts} attempt${attempts === 1 ? "" : "s"}`
+      : "Not attempted";
+  });
+}
+
+function getProgressBadge(card) {
+  let badge = card.querySelector(".progress-badge");
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.setAttribute("data-test", `${card.getAttribute("data-test")}-progress`);
+    card.appendChild(badge);
+  }
+  return badge;
+}
+
+/**
+ * Home page summary with export (JSON download), import (merge) and reset.
+ */
+function setupProgressSummary() {
+  const summary = document.querySelector("[data-test='progress-summary']");
+  if (!summary) return;
+
+  const exportButton = document.getElementById("progress-export");
+  const importButton = document.getElementById("progress-import");
+  const importInput = document.getElementById("progress-import-input");
+  const resetButton = document.getElementById("progress-reset");
+  const message = document.getElementById("progress-message");
+
+  function showMessage(text, color) {
+    message.textContent = text;
+    message.style.color = color;
+  }
+
+  exportButton.addEventListener("click", () => {
+    const blob = new Blob([JSON.stringify(loadProgress(), null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `studyhub-progress-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showMessage("Progress exported.", "green");
+  });
+
+  importButton.addEventListener("click", () => importInput.click());
+
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+      let imported;
+      try {
+        imported = JSON.parse(text);
+      } catch (error) {
+        showMessage("Import failed: the file is not valid JSON.", "red");
+        return;
+      }
+
+      if (!isValidProgress(imported)) {
+        showMessage("Import failed: this is not a StudyHub progress file.", "red");
+        return;
+      }
+
+      saveProgress(mergeProgress(loadProgress(), imported));
+      renderProgressSummary(summary);
+      showMessage("Progress imported.", "green");
+    }).catch(() => {
+      showMessage("Import failed: the file could not be read.", "red");
+    }).finally(() => {
+      importInput.value = "";
+    });
+  });
+
+  resetButton.addEventListener("click", async () => {
+    const confirmed = await showConfirmDialog({
+      title: "Reset progress?",
+      message: "Reset all progress? This cannot be undone.",
+      confirmLabel: "Reset",
+      danger: true
+    });
+    if (!confirmed) return;
+    saveProgress(createEmptyProgress());
+    renderProgressSummary(summary);
+    showMessage("Progress reset.", "green");
+  });
+
+  renderProgressSummary(summary);
+}
+
+function renderProgressSummary(summary) {
+  const progress = loadProgress();
+  const scenarios = Object.values(progress.scenarios);
+  const quizIds = Object.keys(QUIZ_DEFINITIONS);
+  const bestScores = quizIds
+    .map(id => getBestQuizPercent(progress.quizzes[id]))
+    .filter(best => best !== null);
+
+  summary.querySelector("[data-test='progress-scenarios-completed']").textContent =
+    scenarios.filter(entry => entry.completedAt).length;
+  summary.querySelector("[data-test='progress-scenarios-visited']").textContent =
+    scenarios.filter(entry => entry.visitedAt).length;
+  summary.querySelector("[data-test='progress-quizzes-attempted']").textContent = bestScores.length;
+  summary.querySelector("[data-test='progress-average-best']").textContent = bestScores.length > 0
+    ? Math.round(bestScores.reduce((sum, best) => sum + best, 0) / bestScores.length) + "%"
+    : "–";
+}
+
+/**
+ * Combine two progress records: earliest visit, latest completion, and the
+ * union of quiz attempts (identical attempts are kept once).
+ */
+function mergeProgress(current, incoming) {
+  const merged = createEmptyProgress();
+  const earliest = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+  const latest = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+
+  new Set([...Object.keys(current.scenarios), ...Object.keys(incoming.scenarios)]).forEach(scenario => {
+    const a = current.scenarios[scenario] || {};
+    const b = incoming.scenarios[scenario] || {};
+    merged.scenarios[scenario] = {
+      visitedAt: earliest(a.visitedAt, b.visitedAt) || null,
+      completedAt: latest(a.completedAt, b.completedAt) || null
+    };
+  });
+
+  new Set([...Object.keys(current.quizzes), ...Object.keys(incoming.quizzes)]).forEach(quizId => {
+    const attempts = [
+      ...(current.quizzes[quizId]?.attempts || []),
+      ...(incoming.quizzes[quizId]?.attempts || [])
+    ];
+    const seen = new Set();
+    merged.quizzes[quizId] = {
+      attempts: attempts
+        .filter(attempt => {
+          const key = JSON.stringify(attempt);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .sort((a, b) => (a.completedAt < b.completedAt ? -1 : 1))
+    };
+  });
+
+  return merged;
+}
+
+/**
+ * Dialog Component
+ *
+ * WAI-ARIA modal dialogs that can stack. createDialog() wraps a .modal-overlay
+ * element whose .modal-content is the dialog box:
+ * - role="dialog" (or "alertdialog") and aria-modal="true" on the box
+ * - focus moves into the dialog on open and returns to the opener on close
+ * - Tab/Shift+Tab stay inside the topmost dialog
+ * - Escape and overlay clicks close the topmost dialog (unless dismissible: false)
+ * - opening a dialog on top of another keeps the lower one open underneath
+ *
+ * Returns { element, open(), close(result), isOpen() }. options.onClose(result)
+ * runs after closing; options.onRequestClose(reason) may return false to keep
+ * the dialog open (e.g. to ask about unsaved changes first).
+ */
+const dialogStack = [];
+const DIALOG_FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function createDialog(overlay, options = {}) {
+  const box = overlay.querySelector(".modal-content") || overlay;
+  const { dismissible = true } = options;
+  let previousFocus = null;
+
+  if (!box.hasAttribute("role")) box.setAttribute("role", "dialog");
+  box.setAttribute("aria-modal", "true");
+  if (!box.hasAttribute("tabindex")) box.setAttribute("tabindex", "-1");
+
+  const dialog = {
+    element: overlay,
+
+    isOpen() {
+      return dialogStack.includes(dialog);
+    },
+
+    open() {
+      if (dialog.isOpen()) return;
+      previousFocus = document.activeElement;
+      dialogStack.push(dialog);
+      overlay.style.display = "flex";
+      overlay.style.zIndex = String(1000 + dialogStack.length * 10);
+      overlay.dataset.open = "true";
+      document.body.style.overflow = "hidden"; // Prevent background scroll
+
+      const target = (options.initialFocus && box.querySelector(options.initialFocus)) ||
+        box.querySelector("[autofocus]") ||
+        box.querySelector(DIALOG_FOCUSABLE) ||
+        box;
+      target.focus();
+    },
+
+    close(result) {
+      const index = dialogStack.indexOf(dialog);
+      if (index === -1) return;
+      dialogStack.splice(index, 1);
+      overlay.style.display = "none";
+      overlay.dataset.open = "false";
+      if (dialogStack.length === 0) document.body.style.overflow = "";
+      if (previousFocus && document.contains(previousFocus)) previousFocus.focus();
+      if (options.onClose) options.onClose(result);
+    },
+
+    /** Close in response to Escape, the overlay or a close button, if allowed. */
+    requestClose(reason) {
+      if (!dismissible && reason !== "button") return;
+      if (options.onRequestClose && options.onRequestClose(reason) === false) return;
+      dialog.close(undefined);
+    },
+
+    box
+  };
+
+  overlay.addEventListener("click", event => {
+    if (event.target === overlay && dialogStack[dialogStack.length - 1] === dialog) {
+      dialog.requestClose("overlay");
+    }
+  });
+
+  return dialog;
+}
+
+// One keyboard handler for the whole stack: only the topmost dialog reacts
+document.addEventListener("keydown", function (event) {
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) return;
+
+  if (event.key === "Escape") {
+    event.preventDefault();
+    top.requestClose("escape");
+    return;
+  }
+
+  if (event.key === "Tab") {
+    const focusable = Array.from(top.box.querySelectorAll(DIALOG_FOCUSABLE))
+      .filter(element => element.offsetParent !== null || element === document.activeElement);
+    if (focusable.length === 0) {
+      event.preventDefault();
+      top.box.focus();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && (document.activeElement === first || !top.box.contains(document.activeElement))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !top.box.contains(document.activeElement))) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+});
+
+// Keep focus inside the topmost dialog if something outside grabs it
+document.addEventListener("focusin", function (event) {
+  const top = dialogStack[dialogStack.length - 1];
+  if (top && !top.element.contains(event.target)) {
+    top.box.focus();
+  }
+});
+
+/** Build a throwaway dialog that is removed from the DOM once closed. */
+function buildMessageDialog({ title, message, role, buttons, testId }) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.style.display = "none";
+  overlay.dataset.test = `${testId}-overlay`;
+
+  const box = document.createElement("div");
+  box.className = "modal-content";
+  box.setAttribute("role", role);
+  box.dataset.test = testId;
+
+  const idPrefix = `${testId}-${dialogStack.length}`;
+  const header = document.createElement("div");
+  header.className = "modal-header";
+  const heading = document.createElement("h3");
+  heading.id = `${idPrefix}-title`;
+  heading.dataset.test = `${testId}-title`;
+  heading.textContent = title;
+  header.appendChild(heading);
+  box.setAttribute("aria-labelledby", heading.id);
+
+  const body = document.createElement("div");
+  body.className = "modal-body";
+  const text = document.createElement("p");
+  text.id = `${idPrefix}-message`;
+  text.dataset.test = `${testId}-message`;
+  text.textContent = message;
+  body.appendChild(text);
+  box.setAttribute("aria-describedby", text.id);
+
+  const footer = document.createElement("div");
+  footer.className = "modal-footer";
+  buttons.forEach(button => footer.appendChild(button));
+
+  box.append(header, body, footer);
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+function createDialogButton(label, testId, className) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.dataset.test = testId;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * In-page replacement for window.confirm() that automation can drive like any
+ * other element. Resolves true when confirmed, false on cancel, Escape or overlay click.
+ * Hooks: confirm-dialog, confirm-dialog-title, confirm-dialog-message,
+ * confirm-dialog-confirm, confirm-dialog-cancel.
+ */
+function showConfirmDialog({ title = "Are you sure?", message = "", confirmLabel = "Confirm", cancelLabel = "Cancel", danger = false } = {}) {
+  return new Promise(resolve => {
+    const cancelButton = createDialogButton(cancelLabel, "confirm-dialog-cancel", "btn-secondary");
+    const confirmButton = createDialogButton(confirmLabel, "confirm-dialog-confirm", danger ? "btn-danger" : "btn-primary");
+    const overlay = buildMessageDialog({ title, message, role: "alertdialog", buttons: [cancelButton, confirmButton], testId: "confirm-dialog" });
+
+    const dialog = createDialog(overlay, {
+      initialFocus: '[data-test="confirm-dialog-confirm"]',
+      onClose(result) {
+        overlay.remove();
+        resolve(result === true);
+      }
+    });
+
+    cancelButton.addEventListener("click", () => dialog.close(false));
+    confirmButton.addEventListener("click", () => dialog.close(true));
+    dialog.open();
+  });
+}
+
+/**
+ * Toast Notifications
+ *
+ * One notification manager for every page. window.showToast(message, type, duration, options)
+ * returns a handle { id, element, update(changes), dismiss() }.
+ * - at most TOAST_MAX_VISIBLE toasts are shown; the rest wait in a queue
+ * - an identical message of the same type that is still showing or queued is not
+ *   repeated; its counter (data-count) goes up and its timer restarts
+ * - timers pause while a toast is hovered or focused (data-paused="true")
+ * - options.actions: [{ label, onClick }] buttons such as Undo or Retry
+ *   (options.action is accepted for a single button)
+ * - options.position: top-right (default), top-left, top-center, bottom-right,
+ *   bottom-left or bottom-center
+ * - every toast is announced through a polite live region (errors: assertive)
+ * - with notifications turned off, only errors and toasts with actions are shown
+ * Messages are always rendered as text, never as HTML.
+ */
+const TOAST_MAX_VISIBLE = 3;
+const TOAST_POSITIONS = ["top-right", "top-left", "top-center", "bottom-right", "bottom-left", "bottom-center"];
+const TOAST_ICONS = { success: "✓", error: "✕", info: "ℹ", warning: "⚠" };
+
+function createToastManager({ maxVisible = TOAST_MAX_VISIBLE } = {}) {
+  const visible = [];
+  const queue = [];
+  let nextId = 1;
+
+  function getContainer(position) {
+    const existing = document.querySelector(`.toast-region[data-position="${position}"]`);
+    if (existing) return existing;
+
+    // Pages may provide their own #toast-container for the default corner
+    let container = position === "top-right" ? document.getElementById("toast-container") : null;
+    if (!container) {
+      container = document.createElement("div");
+      container.dataset.test = position === "top-right" ? "toast-container" : `toast-container-${position}`;
+      if (position === "top-right") container.id = "toast-container";
+      document.body.appendChild(container);
+    }
+    container.removeAttribute("style");
+    container.classList.add("toast-region");
+    container.dataset.position = position;
+    return container;
+  }
+
+  function getLiveRegion(assertive) {
+    const id = assertive ? "toast-live-alert" : "toast-live-status";
+    let region = document.getElementById(id);
+    if (!region) {
+      region = document.createElement("div");
+      region.id = id;
+      region.className = "visually-hidden";
+      region.dataset.test = assertive ? "toast-live-alert" : "toast-live-status";
+      region.setAttribute("aria-live", assertive ? "assertive" : "polite");
+      region.setAttribute("role", assertive ? "alert" : "status");
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  function announce(toast) {
+    const region = getLiveRegion(toast.type === "error");
+    region.textContent = "";
+    // A fresh text node after clearing makes screen readers repeat identical messages
+    setTimeout(() => {
+      region.textContent = toast.count > 1 ? `${toast.message} (${toast.count})` : toast.message;
+    }, 50);
+  }
+
+  function startTimer(toast) {
+    clearTimeout(toast.timer);
+    if (toast.duration <= 0 || toast.paused) return;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismiss(toast), toast.remaining);
+  }
+
+  function pause(toast) {
+    if (toast.paused || toast.duration <= 0) return;
+    toast.paused = true;
+    toast.element.dataset.paused = "true";
+    clearTimeout(toast.timer);
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+  }
+
+  function resume(toast) {
+    if (!toast.paused) return;
+    toast.paused = false;
+    toast.element.dataset.paused = "false";
+    startTimer(toast);
+  }
+
+  function resetTimer(toast) {
+    toast.remaining = testControls.delay("toast", toast.duration);
+    if (!toast.paused) startTimer(toast);
+  }
+
+  function render(toast) {
+    const element = toast.element;
+    element.className = `toast ${toast.type}`;
+    element.dataset.test = `toast-${toast.type}`;
+    element.dataset.count = toast.count;
+    element.innerHTML = "";
+
+    const text = document.createElement("span");
+    text.className = "toast-message";
+    text.dataset.test = "toast-message";
+    text.textContent = `${TOAST_ICONS[toast.type] || ""} ${toast.message}`.trim();
+    element.appendChild(text);
+
+    if (toast.count > 1) {
+      const count = document.createElement("span");
+      count.className = "toast-count";
+      count.dataset.test = "toast-count";
+      count.setAttribute("aria-label", `${toast.count} times`);
+      count.textContent = `×${toast.count}`;
+      element.appendChild(count);
+    }
+
+    toast.actions.forEach(action => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "toast-action";
+      button.dataset.test = "toast-action";
+      button.dataset.action = action.label.toLowerCase();
+      button.textContent = action.label;
+      button.addEventListener("click", () => {
+        dismiss(toast);
+        action.onClick();
+      });
+      element.appendChild(button);
+    });
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "toast-close";
+    closeButton.dataset.test = "toast-close";
+    closeButton.setAttribute("aria-label", "Dismiss notification");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => dismiss(toast));
+    element.appendChild(closeButton);
+  }
+
+  function mount(toast) {
+    visible.push(toast);
+    const container = getContainer(toast.position);
+    if (toast.position.startsWith("bottom")) container.prepend(toast.element);
+    else container.appendChild(toast.element);
+    announce(toast);
+    resetTimer(toast);
+  }
+
+  function dismiss(toast) {
+    clearTimeout(toast.timer);
+    const queued = queue.indexOf(toast);
+    if (queued !== -1) queue.splice(queued, 1);
+    const index = visible.indexOf(toast);
+    if (index !== -1) {
+      visible.splice(index, 1);
+      toast.element.remove();
+      if (queue.length > 0) mount(queue.shift());
+    }
+    toast.dismissed = true;
+  }
+
+  function createHandle(toast) {
+    return {
+      id: toast.id,
+      get element() {
+        return toast.element;
+      },
+      get dismissed() {
+        return toast.dismissed;
+      },
+      update(changes = {}) {
+        if (toast.dismissed) return;
+        if (changes.message !== undefined) toast.message = String(changes.message);
+        if (changes.type !== undefined) toast.type = changes.type;
+        if (changes.actions !== undefined) toast.actions = changes.actions;
+        if (changes.duration !== undefined) toast.duration = changes.duration;
+        toast.key = `${toast.type}:${toast.message}`;
+        render(toast);
+        if (visible.includes(toast)) {
+          announce(toast);
+          resetTimer(toast);
+        }
+      },
+      dismiss() {
+        dismiss(toast);
+      }
+    };
+  }
+
+  function show(message, type = "info", duration = 3000, options = {}) {
+    const actions = options.actions || (options.action ? [options.action] : []);
+    const suppressed = !loadPreferences().notifications && type !== "error" && actions.length === 0;
+    logEvent("toast.shown", { message: String(message), type, suppressed });
+
+    if (suppressed) {
+      // Still a truthy handle, so callers don't fall back to another kind of message
+      return { id: null, element: null, dismissed: true, suppressed: true, update() {}, dismiss() {} };
+    }
+
+    const key = `${type}:${message}`;
+    const duplicate = visible.concat(queue).find(toast => toast.key === key && actions.length === 0 && toast.actions.length === 0);
+    if (duplicate) {
+      duplicate.count += 1;
+      render(duplicate);
+      if (visible.includes(duplicate)) {
+        announce(duplicate);
+        resetTimer(duplicate);
+      }
+      return duplicate.handle;
+    }
+
+    const element = document.createElement("div");
+    const toast = {
+      id: nextId++,
+      key,
+      message: String(message),
+      type,
+      duration,
+      actions,
+      position: TOAST_POSITIONS.includes(options.position) ? options.position : "top-right",
+      count: 1,
+      element,
+      timer: null,
+      remaining: 0,
+      startedAt: 0,
+      paused: false,
+      dismissed: false
+    };
+    element.dataset.toastId = toast.id;
+    element.addEventListener("mouseenter", () => pause(toast));
+    element.addEventListener("mouseleave", () => {
+      if (!element.contains(document.activeElement)) resume(toast);
+    });
+    element.addEventListener("focusin", () => pause(toast));
+    element.addEventListener("focusout", event => {
+      if (!element.contains(event.relatedTarget) && !element.matches(":hover")) resume(toast);
+    });
+    toast.handle = createHandle(toast);
+    render(toast);
+
+    if (visible.length < maxVisible) mount(toast);
+    else queue.push(toast);
+
+    return toast.handle;
+  }
+
+  return {
+    show,
+    /** Dismiss every visible and queued toast. */
+    clear() {
+      queue.splice(0).forEach(toast => dismiss(toast));
+      visible.slice().forEach(toast => dismiss(toast));
+    },
+    get visibleCount() {
+      return visible.length;
+    },
+    get queuedCount() {
+      return queue.length;
+    }
+  };
+}
+
+const toastManager = createToastManager();
+window.showToast = toastManager.show;
+
+/**
+ * Keyboard Shortcuts
+ *
+ * One registry for every keyboard shortcut on the site, so pages never attach
+ * their own document-level keydown listeners. shortcuts.register({ keys, scope,
+ * element, description, handler }) returns an unregister function.
+ * - keys: "ctrl+k", "shift+arrowdown", "?" (or an array). Modifiers are ctrl, alt,
+ *   shift and meta; shift is implied by characters like "?".
+ * - scope "input": only while typing in a field (inside element, if given)
+ * - scope "list": while focus is inside element, or when nothing is focused
+ * - scope "global": anywhere except while typing, unless the combo has ctrl, alt or meta
+ * The most specific scope wins (input, then list, then global). While a dialog is
+ * open only bindings inside it are active. Registering a combo that is already
+ * bound in the same scope and element is a conflict: the newer binding wins and
+ * the clash is reported with console.warn and shortcuts.conflicts().
+ * A handler that returns false lets the browser's default action happen.
+ */
+const SHORTCUT_SCOPES = ["input", "list", "global"];
+const SHORTCUT_MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+const SHORTCUT_ALIASES = { control: "ctrl", cmd: "meta", command: "meta", option: "alt", esc: "escape", up: "arrowup", down: "arrowdown", left: "arrowleft", right: "arrowright", " ": "space" };
+const SHORTCUT_LABELS = { ctrl: "Ctrl", alt: "Alt", shift: "Shift", meta: "⌘", arrowup: "↑", arrowdown: "↓", arrowleft: "←", arrowright: "→", escape: "Esc", enter: "Enter", space: "Space", home: "Home", end: "End" };
+
+/** Canonical form of a combo: modifiers in a fixed order, then the key ("ctrl+shift+k"). */
+function normalizeShortcut(combo) {
+  const parts = combo.toLowerCase().split("+").map(part => SHORTCUT_ALIASES[part] || part);
+  const key = parts.pop();
+  const modifiers = SHORTCUT_MODIFIERS.filter(modifier => parts.includes(modifier));
+  return [...modifiers, key].join("+");
+}
+
+function shortcutFromEvent(event) {
+  const key = SHORTCUT_ALIASES[event.key.toLowerCase()] || event.key.toLowerCase();
+  // Shift is part of characters like "?" or "!", so it isn't a separate modifier for them
+  const shiftIsCharacter = event.key.length === 1 && !/[a-z0-9]/i.test(event.key);
+  const modifiers = SHORTCUT_MODIFIERS.filter(modifier =>
+    event[`${modifier}Key`] && !(modifier === "shift" && shiftIsCharacter)
+  );
+  return [...modifiers, key].join("+");
+}
+
+function formatShortcut(combo) {
+  return combo.split("+").map(part => SHORTCUT_LABELS[part] || part.toUpperCase()).join("+");
+}
+
+function isTypingTarget(element) {
+  if (!element || element === document.body) return false;
+  if (element.isContentEditable || element.tagName === "TEXTAREA" || element.tagName === "SELECT") return true;
+  if (element.tagName !== "INPUT") return false;
+  return !["checkbox", "radio", "button", "submit", "reset", "range", "color", "file"].includes(element.type);
+}
+
+function createShortcutRegistry() {
+  const bindings = [];
+  const conflicts = [];
+  let sequence = 0;
+
+  function isActive(binding, active, typing) {
+    const top = dialogStack[dialogStack.length - 1];
+    if (top && !(binding.element && top.element.contains(binding.element))) return false;
+    if (binding.when && !binding.when()) return false;
+
+    if (binding.scope === "input") {
+      return typing && (!binding.element || binding.element.contains(active));
+    }
+    if (binding.scope === "list") {
+      if (typing || !binding.element || !document.contains(binding.element)) return false;
+      return binding.element.contains(active) || !active || active === document.body;
+    }
+    return !typing || /(^|\+)(ctrl|alt|meta)\+/.test(binding.combo);
+  }
+
+  function activeBindings(active) {
+    const typing = isTypingTarget(active);
+    return bindings
+      .filter(binding => isActive(binding, active, typing))
+      .sort((a, b) => SHORTCUT_SCOPES.indexOf(a.scope) - SHORTCUT_SCOPES.indexOf(b.scope) || b.order - a.order);
+  }
+
+  document.addEventListener("keydown", function (event) {
+    if (event.defaultPrevented || event.isComposing || !event.key) return;
+    const combo = shortcutFromEvent(event);
+    const binding = activeBindings(document.activeElement).find(item => item.combo === combo);
+    if (!binding) return;
+    if (binding.handler(event) !== false) event.preventDefault();
+  });
+
+  return {
+    register({ keys, scope = "global", element = null, description = "", handler, when = null }) {
+      if (!SHORTCUT_SCOPES.includes(scope)) throw new Error(`Unknown shortcut scope "${scope}"`);
+      const added = [].concat(keys).map(combo => {
+        const binding = { combo: normalizeShortcut(combo), scope, element, description, handler, when, order: sequence++ };
+        const clash = bindings.find(item => item.combo === binding.combo && item.scope === scope && item.element === element);
+        if (clash) {
+          const conflict = { combo: binding.combo, scope, existing: clash.description, added: description };
+          conflicts.push(conflict);
+          console.warn(`Shortcut conflict: ${formatShortcut(binding.combo)} (${scope}) is bound to "${clash.description}" and "${description}"`);
+        }
+        bindings.push(binding);
+        return binding;
+      });
+
+      return function unregister() {
+        added.forEach(binding => {
+          const index = bindings.indexOf(binding);
+          if (index !== -1) bindings.splice(index, 1);
+        });
+      };
+    },
+
+    /** Shortcuts that would fire with focus on `element`, by scope and then registration order. */
+    list(element = document.activeElement) {
+      const seen = new Set();
+      return activeBindings(element)
+        .filter(binding => !seen.has(binding.combo) && seen.add(binding.combo))
+        .sort((a, b) => SHORTCUT_SCOPES.indexOf(a.scope) - SHORTCUT_SCOPES.indexOf(b.scope) || a.order - b.order)
+        .map(({ combo, scope, description }) => ({ combo, keys: formatShortcut(combo), scope, description }));
+    },
+
+    conflicts() {
+      return conflicts.slice();
+    }
+  };
+}
+
+const shortcuts = createShortcutRegistry();
+window.studyhubShortcuts = shortcuts;
+
+/** Every page the command palette can jump to, relative to the site root. */
+const SITE_PAGES = [
+  { title: "Home", path: "index.html", keywords: "login start" },
+  { title: "Practice Scenarios", path: "practice.html", keywords: "hub list" },
+  { title: "Quiz Topics", path: "quiz.html", keywords: "hub list quizzes" },
+  { title: "Scenario 1: Visibility & Waits", path: "pages/scenarios/practice-1.html", keywords: "wait hidden" },
+  { title: "Scenario 2: Form State & Validation", path: "pages/scenarios/practice-2.html", keywords: "form validation" },
+  { title: "Scenario 3: Modal Interactions", path: "pages/scenarios/practice-3.html", keywords: "dialog settings theme" },
+  { title: "Scenario 4: Dynamic Filtering", path: "pages/scenarios/practice-4.html", keywords: "search filter" },
+  { title: "Scenario 5: Async Operations", path: "pages/scenarios/practice-5.html", keywords: "loading button" },
+  { title: "Scenario 6: Sortable Tables", path: "pages/scenarios/practice-6.html", keywords: "sort table" },
+  { title: "Scenario 7: Pagination", path: "pages/scenarios/practice-7.html", keywords: "pages load more" },
+  { title: "Scenario 8: Accordion & Tabs", path: "pages/scenarios/practice-8.html", keywords: "tabs accordion" },
+  { title: "Scenario 9: Toast Notifications", path: "pages/scenarios/practice-9.html", keywords: "toast notification" },
+  { title: "Scenario 10: Multi-Step Wizard", path: "pages/scenarios/practice-10.html", keywords: "wizard form steps" },
+  { title: "Scenario 11: File Upload", path: "pages/scenarios/practice-11.html", keywords: "upload file" },
+  { title: "Scenario 12: API Simulation", path: "pages/scenarios/practice-12.html", keywords: "api fetch network" },
+  { title: "Scenario 13: Keyboard Navigation", path: "pages/scenarios/practice-13.html", keywords: "keyboard listbox shortcuts" },
+  { title: "Scenario 14: Data Grid Actions", path: "pages/scenarios/practice-14.html", keywords: "grid crud table" },
+  { title: "Quiz 1: Visibility & Waits", path: "pages/quizzes/practice-15.html", keywords: "quiz" },
+  { title: "Quiz 2: Form Handling", path: "pages/quizzes/practice-16.html", keywords: "quiz" },
+  { title: "Quiz 3: Table Operations", path: "pages/quizzes/practice-17.html", keywords: "quiz" },
+  { title: "Quiz 4: UI Interactions", path: "pages/quizzes/practice-18.html", keywords: "quiz" },
+  { title: "Quiz 5: Advanced Topics", path: "pages/quizzes/practice-19.html", keywords: "quiz" }
+];
+
+/** Site root URL, taken from the header's Home link like getLoginUrl(). */
+function getSiteRoot() {
+  const homeLink = document.querySelector('[data-test="nav-home"]');
+  return new URL(".", homeLink ? homeLink.href : window.location.href).href;
+}
+
+/** Shell for the help overlay and command palette: overlay + titled dialog box. */
+function buildPanelDialog({ title, testId }) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.style.display = "none";
+  overlay.dataset.test = `${testId}-overlay`;
+
+  const box = document.createElement("div");
+  box.className = "modal-content";
+  box.setAttribute("role", "dialog");
+  box.setAttribute("aria-modal", "true");
+  box.dataset.test = testId;
+
+  const header = document.createElement("div");
+  header.className = "modal-header";
+  const heading = document.createElement("h3");
+  heading.id = `${testId}-title`;
+  heading.textContent = title;
+  const close = createDialogButton("×", `${testId}-close`, "modal-close");
+  close.setAttribute("aria-label", "Close");
+  header.append(heading, close);
+  box.setAttribute("aria-labelledby", heading.id);
+
+  const body = document.createElement("div");
+  body.className = "modal-body";
+  box.append(header, body);
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+  return { overlay, body, close };
+}
+
+/**
+ * "?" opens a list of the shortcuts that are active where focus was
+ * (hooks: shortcut-help, shortcut-help-row with data-keys and data-scope).
+ */
+function showShortcutHelp() {
+  const context = document.activeElement;
+  const { overlay, body, close } = buildPanelDialog({ title: "Keyboard shortcuts", testId: "shortcut-help" });
+  const table = document.createElement("table");
+  table.className = "shortcut-table";
+  shortcuts.list(context).forEach(item => {
+    const row = document.createElement("tr");
+    row.dataset.test = "shortcut-help-row";
+    row.dataset.keys = item.combo;
+    row.dataset.scope = item.scope;
+    const keys = document.createElement("td");
+    const kbd = document.createElement("kbd");
+    kbd.textContent = item.keys;
+    keys.appendChild(kbd);
+    const description = document.createElement("td");
+    description.textContent = item.description;
+    const scope = document.createElement("td");
+    scope.className = "shortcut-scope";
+    scope.textContent = item.scope;
+    row.append(keys, description, scope);
+    table.appendChild(row);
+  });
+  body.appendChild(table);
+
+  const dialog = createDialog(overlay, { onClose: () => overlay.remove() });
+  close.addEventListener("click", () => dialog.requestClose("button"));
+  dialog.open();
+}
+
+/**
+ * Ctrl+K (⌘K) opens a command palette that jumps to any page. The input is an
+ * ARIA combobox over a listbox; ↑/↓ wrap, Enter opens the highlighted page.
+ * Hooks: command-palette, command-palette-input, command-palette-option (data-path),
+ * command-palette-empty.
+ */
+function createCommandPalette() {
+  const { overlay, body, close } = buildPanelDialog({ title: "Go to…", testId: "command-palette" });
+  overlay.classList.add("command-palette-overlay");
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.dataset.test = "command-palette-input";
+  input.placeholder = "Search scenarios and quizzes";
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-expanded", "true");
+  input.setAttribute("aria-controls", "command-palette-list");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-label", "Search pages");
+
+  const list = document.createElement("ul");
+  list.id = "command-palette-list";
+  list.className = "command-palette-list";
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", "Pages");
+  body.append(input, list);
+
+  const dialog = createDialog(overlay, { initialFocus: '[data-test="command-palette-input"]' });
+  close.addEventListener("click", () => dialog.requestClose("button"));
+
+  let matches = [];
+  let activeIndex = 0;
+
+  function render() {
+    const terms = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    matches = SITE_PAGES.filter(page => {
+      const haystack = `${page.title} ${page.keywords}`.toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+    activeIndex = Math.min(activeIndex, Math.max(0, matches.length - 1));
+    list.innerHTML = "";
+
+    if (matches.length === 0) {
+      const empty = document.createElement("li");
+      empty.dataset.test = "command-palette-empty";
+      empty.className = "command-palette-empty";
+      empty.textContent = "No matching pages";
+      list.appendChild(empty);
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    matches.forEach((page, index) => {
+      const option = document.createElement("li");
+      option.id = `command-palette-option-${index}`;
+      option.className = "command-palette-option";
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(index === activeIndex));
+      option.dataset.test = "command-palette-option";
+      option.dataset.path = page.path;
+      option.textContent = page.title;
+      option.addEventListener("mousedown", event => event.preventDefault());
+      option.addEventListener("click", () => go(page));
+      list.appendChild(option);
+    });
+    input.setAttribute("aria-activedescendant", `command-palette-option-${activeIndex}`);
+    list.children[activeIndex].scrollIntoView({ block: "nearest" });
+  }
+
+  function move(step) {
+    if (matches.length === 0) return;
+    activeIndex = (activeIndex + step + matches.length) % matches.length;
+    render();
+  }
+
+  function go(page) {
+    dialog.close();
+    window.location.assign(new URL(page.path, getSiteRoot()).href);
+  }
+
+  input.addEventListener("input", () => {
+    activeIndex = 0;
+    render();
+  });
+  shortcuts.register({ keys: "arrowdown", scope: "input", element: input, description: "Next result", handler: () => move(1) });
+  shortcuts.register({ keys: "arrowup", scope: "input", element: input, description: "Previous result", handler: () => move(-1) });
+  shortcuts.register({
+    keys: "enter",
+    scope: "input",
+    element: input,
+    description: "Open the highlighted page",
+    handler: () => {
+      if (matches[activeIndex]) go(matches[activeIndex]);
+    }
+  });
+
+  return {
+    open() {
+      input.value = "";
+      activeIndex = 0;
+      render();
+      dialog.open();
+    },
+    isOpen: () => dialog.isOpen()
+  };
+}
+
+/** Site-wide shortcuts: "?" for help and Ctrl+K / ⌘K for the command palette. */
+function setupGlobalShortcuts() {
+  let palette = null;
+
+  shortcuts.register({ keys: "?", description: "Show keyboard shortcuts", handler: showShortcutHelp });
+  shortcuts.register({
+    keys: ["ctrl+k", "meta+k"],
+    description: "Open the command palette",
+    handler: () => {
+      palette = palette || createCommandPalette();
+      palette.open();
+    }
+  });
+}
+
+/**
+ * Selector Inspector
+ *
+ * An overlay for learning locators. Every [data-test] element is outlined and shows
+ * its value on hover, and clicking an element copies a recommended Cypress,
+ * Playwright and Robot Framework (SeleniumLibrary) locator instead of activating it.
+ * Elements sharing a data-test value are flagged "duplicate"; interactive elements
+ * with no data-test, id, name, aria-label or unique text are flagged "missing".
+ * - Turned on with ?inspect=1 or Ctrl+Shift+X; Esc or the bar's × turns it off.
+ * - Hooks: inspector-bar (data-total, data-duplicates, data-missing), inspector-tooltip,
+ *   inspector-result with one inspector-locator (data-framework) per framework.
+ *   Inspected elements carry data-inspector-flag="ok" | "duplicate" | "missing".
+ * - window.studyhubInspector: toggle(on?), isActive(), locators(element)
+ */
+const INSPECTOR_INTERACTIVE = 'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="link"], [role="tab"], [role="checkbox"], [tabindex]:not([tabindex="-1"])';
+const INSPECTOR_TEXT_MAX = 40;
+const INSPECTOR_RESCAN_MS = 150;
+const LOCATOR_FRAMEWORKS = [
+  { id: "cypress", label: "Cypress" },
+  { id: "playwright", label: "Playwright" },
+  { id: "robot", label: "Robot Framework" }
+];
+const LOCATOR_IMPLICIT_ROLES = { button: "button", a: "link", select: "combobox", textarea: "textbox" };
+
+function jsString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+function cssAttribute(name, value) {
+  return `[${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"]`;
+}
+
+/** XPath has no escapes: a value with both quote kinds becomes concat("a", '"', "b"). */
+function xpathString(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
+
+/** The activity log, inspector, recorder and "Try it in…" panels (data-tool-ui) are never inspected or recorded. */
+function isToolUi(element) {
+  return Boolean(element.closest && element.closest("[data-tool-ui]"));
+}
+
+/** querySelectorAll over the page itself, leaving out the tool panels. */
+function queryPage(selector) {
+  try {
+    return Array.from(document.querySelectorAll(selector)).filter(element => !isToolUi(element));
+  } catch (error) {
+    return [];
+  }
+}
+
+function locatorText(element) {
+  return element.textContent.replace(/\s+/g, " ").trim();
+}
+
+function cssLocator(strategy, css, robot = `css:${css}`) {
+  return { strategy, stable: true, cypress: `cy.get(${jsString(css)})`, playwright: `page.locator(${jsString(css)})`, robot, query: { css } };
+}
+
+/** The [data-test] element among several sharing testId whose text contains `text`. */
+function textFilteredLocator(testId, text) {
+  const css = cssAttribute("data-test", testId);
+  return {
+    strategy: "data-test, filtered by text",
+    stable: true,
+    cypress: `cy.contains(${jsString(css)}, ${jsString(text)})`,
+    playwright: `page.locator(${jsString(css)}, { hasText: ${jsString(text)} })`,
+    robot: `xpath://*[@data-test=${xpathString(testId)}][contains(normalize-space(), ${xpathString(text)})]`,
+    query: { css, text }
+  };
+}
+
+/** Finds what a locator from buildLocators() points at (query: { css, text?, index? }), or null. */
+function resolveLocator(query) {
+  const matches = queryPage(query.css).filter(element => !query.text || locatorText(element).includes(query.text));
+  return (query.index === undefined ? matches[0] : matches[query.index]) || null;
+}
+
+/**
+ * The locator a test should use for `element`, in each framework's syntax, or null
+ * when it has nothing stable. Preference order: a unique data-test, a data-test scoped
+ * under the nearest uniquely tested ancestor, a shared data-test narrowed by text,
+ * then id, name, aria-label and visible text. A shared data-test with none of those
+ * falls back to its position, marked stable: false. `query` is what resolveLocator()
+ * uses to find the element again.
+ */
+function buildLocators(element) {
+  const testId = element.getAttribute("data-test");
+  if (testId) {
+    const css = cssAttribute("data-test", testId);
+    const matches = queryPage(css);
+    if (matches.length <= 1) return cssLocator("data-test", css);
+
+    const scope = element.parentElement && element.parentElement.closest("[data-test]");
+    if (scope) {
+      const scopeCss = cssAttribute("data-test", scope.getAttribute("data-test"));
+      const scoped = `${scopeCss} ${css}`;
+      if (queryPage(scopeCss).length === 1 && queryPage(scoped).length === 1) return cssLocator("data-test, scoped", scoped);
+    }
+
+    const text = locatorText(element);
+    if (text && text.length <= INSPECTOR_TEXT_MAX && matches.filter(match => locatorText(match).includes(text)).length === 1) {
+      return textFilteredLocator(testId, text);
+    }
+
+    const index = matches.indexOf(element);
+    return {
+      strategy: "data-test, by position",
+      stable: false,
+      cypress: `cy.get(${jsString(css)}).eq(${index})`,
+      playwright: `page.locator(${jsString(css)}).nth(${index})`,
+      robot: `xpath:(//*[@data-test=${xpathString(testId)}])[${index + 1}]`,
+      query: { css, index }
+    };
+  }
+
+  const tag = element.tagName.toLowerCase();
+  if (element.id && queryPage(cssAttribute("id", element.id)).length === 1) {
+    const css = /^[a-z][\w-]*$/i.test(element.id) ? `#${element.id}` : cssAttribute("id", element.id);
+    return cssLocator("id", css, `id:${element.id}`);
+  }
+
+  const name = element.getAttribute("name");
+  if (name && queryPage(`${tag}${cssAttribute("name", name)}`).length === 1) {
+    return cssLocator("name", `${tag}${cssAttribute("name", name)}`);
+  }
+
+  const label = element.getAttribute("aria-label");
+  if (label && queryPage(cssAttribute("aria-label", label)).length === 1) {
+    const css = cssAttribute("aria-label", label);
+    return { ...cssLocator("aria-label", css), playwright: `page.getByLabel(${jsString(label)}, { exact: true })` };
+  }
+
+  const text = locatorText(element);
+  const role = element.getAttribute("role") || LOCATOR_IMPLICIT_ROLES[tag];
+  if (role && text && text.length <= INSPECTOR_TEXT_MAX && queryPage(tag).filter(match => locatorText(match).includes(text)).length === 1) {
+    return {
+      strategy: "text",
+      stable: true,
+      cypress: `cy.contains(${jsString(tag)}, ${jsString(text)})`,
+      playwright: `page.getByRole(${jsString(role)}, { name: ${jsString(text)}, exact: true })`,
+      robot: `xpath://${tag}[normalize-space()=${xpathString(text)}]`,
+      query: { css: tag, text }
+    };
+  }
+
+  return null;
+}
+
+/** Copy text, falling back to a selected textarea where the Clipboard API is missing or blocked. Resolves true on success. */
+function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text).then(() => true, () => copyWithTextarea(text));
+  }
+  return Promise.resolve(copyWithTextarea(text));
+}
+
+function copyWithTextarea(text) {
+  const previous = document.activeElement;
+  const area = document.createElement("textarea");
+  area.value = text;
+  area.className = "visually-hidden";
+  area.setAttribute("readonly", "");
+  area.dataset.toolUi = "";
+  document.body.appendChild(area);
+  area.select();
+  let copied = false;
+  try {
+    copied = document.execCommand("copy");
+  } catch (error) {
+    copied = false;
+  }
+  area.remove();
+  if (previous && previous.focus) previous.focus();
+  return copied;
+}
+
+function setupSelectorInspector() {
+  const root = document.createElement("div");
+  root.className = "inspector";
+  root.dataset.toolUi = "";
+  root.hidden = true;
+  root.innerHTML = `
+    <div class="inspector-bar" data-test="inspector-bar" role="region" aria-label="Selector inspector">
+      <strong>Inspector</strong>
+      <span data-test="inspector-summary"></span>
+      <span class="inspector-hint">Click an element to copy its locator</span>
+      <button type="button" class="inspector-action" data-test="inspector-close" aria-label="Turn off the selector inspector">×</button>
+    </div>
+    <div class="inspector-tooltip" data-test="inspector-tooltip" role="tooltip" hidden></div>
+    <div class="inspector-result" data-test="inspector-result" role="region" aria-label="Recommended locators" hidden>
+      <div class="inspector-result-header">
+        <strong>Recommended locator</strong>
+        <span class="inspector-strategy" data-test="inspector-strategy"></span>
+        <button type="button" class="inspector-action" data-test="inspector-result-close" aria-label="Close locators">×</button>
+      </div>
+      <p class="inspector-note" data-test="inspector-note" hidden></p>
+      <div data-test="inspector-locators"></div>
+      <p class="inspector-copy-status" data-test="inspector-copy-status" role="status"></p>
+    </div>
+  `;
+  document.body.appendChild(root);
+
+  const bar = root.querySelector('[data-test="inspector-bar"]');
+  const summary = root.querySelector('[data-test="inspector-summary"]');
+  const tooltip = root.querySelector('[data-test="inspector-tooltip"]');
+  const result = root.querySelector('[data-test="inspector-result"]');
+  const strategy = result.querySelector('[data-test="inspector-strategy"]');
+  const note = result.querySelector('[data-test="inspector-note"]');
+  const locatorList = result.querySelector('[data-test="inspector-locators"]');
+  const copyStatus = result.querySelector('[data-test="inspector-copy-status"]');
+  let active = false;
+  let hovered = null;
+  let rescanTimer = null;
+
+  function clearFlags() {
+    document.querySelectorAll("[data-inspector-flag]").forEach(element => {
+      delete element.dataset.inspectorFlag;
+    });
+    document.querySelectorAll("[data-inspector-hover]").forEach(element => {
+      delete element.dataset.inspectorHover;
+    });
+  }
+
+  function scan() {
+    clearFlags();
+    const tested = queryPage("[data-test]");
+    const counts = new Map();
+    tested.forEach(element => counts.set(element.dataset.test, (counts.get(element.dataset.test) || 0) + 1));
+    tested.forEach(element => {
+      element.dataset.inspectorFlag = counts.get(element.dataset.test) > 1 ? "duplicate" : "ok";
+    });
+
+    const missing = queryPage(INSPECTOR_INTERACTIVE).filter(element => !element.hasAttribute("data-test") && !buildLocators(element));
+    missing.forEach(element => {
+      element.dataset.inspectorFlag = "missing";
+    });
+
+    const duplicates = tested.filter(element => element.dataset.inspectorFlag === "duplicate").length;
+    bar.dataset.total = tested.length;
+    bar.dataset.duplicates = duplicates;
+    bar.dataset.missing = missing.length;
+    summary.textContent = `${tested.length} data-test · ${duplicates} duplicate · ${missing.length} without a stable locator`;
+  }
+
+  // Re-scan after the page changes (rows added, panels opened), ignoring the tool panels
+  const observer = new MutationObserver(mutations => {
+    if (mutations.every(mutation => isToolUi(mutation.target))) return;
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(scan, INSPECTOR_RESCAN_MS);
+  });
+
+  function describe(element) {
+    const flag = element.dataset.inspectorFlag;
+    if (flag === "missing") return `<${element.tagName.toLowerCase()}> has no stable locator`;
+    const label = cssAttribute("data-test", element.dataset.test);
+    if (flag !== "duplicate") return label;
+    return `${label} · shared by ${queryPage(label).length} elements`;
+  }
+
+  function hideTooltip() {
+    tooltip.hidden = true;
+    if (hovered) delete hovered.dataset.inspectorHover;
+    hovered = null;
+  }
+
+  function onPointerOver(event) {
+    const target = event.target.closest && event.target.closest("[data-inspector-flag]");
+    if (!target || isToolUi(target)) {
+      hideTooltip();
+      return;
+    }
+    if (target === hovered) return;
+    hideTooltip();
+    hovered = target;
+    hovered.dataset.inspectorHover = "";
+    tooltip.textContent = describe(target);
+    tooltip.dataset.flag = target.dataset.inspectorFlag;
+    tooltip.hidden = false;
+
+    const rect = target.getBoundingClientRect();
+    const below = rect.bottom + 6;
+    tooltip.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - tooltip.offsetWidth - 4))}px`;
+    tooltip.style.top = `${below + tooltip.offsetHeight > window.innerHeight ? Math.max(4, rect.top - tooltip.offsetHeight - 6) : below}px`;
+  }
+
+  function renderLocatorRow(framework, text) {
+    const row = document.createElement("div");
+    row.className = "inspector-locator";
+    row.dataset.test = "inspector-locator";
+    row.dataset.framework = framework.id;
+    const label = document.createElement("span");
+    label.className = "inspector-locator-label";
+    label.textContent = framework.label;
+    const code = document.createElement("code");
+    code.textContent = text;
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.className = "inspector-action";
+    copy.dataset.test = "inspector-copy";
+    copy.textContent = "Copy";
+    copy.addEventListener("click", () => copyAndReport(text, `${framework.label} locator copied`));
+    row.append(label, code, copy);
+    return row;
+  }
+
+  function copyAndReport(text, message) {
+    copyStatus.textContent = "";
+    copyToClipboard(text).then(copied => {
+      copyStatus.dataset.copied = String(copied);
+      copyStatus.textContent = copied ? message : "Copy failed: select the locator and copy it yourself";
+    });
+  }
+
+  // Clicking inspects instead of activating: the locators are shown and all three copied
+  function inspect(element) {
+    const locators = buildLocators(element);
+    result.hidden = false;
+    result.dataset.strategy = locators ? locators.strategy : "none";
+    strategy.textContent = locators ? locators.strategy : "";
+    copyStatus.textContent = "";
+
+    if (!locators) {
+      note.hidden = false;
+      note.textContent = `This <${element.tagName.toLowerCase()}> has no data-test, id, name, aria-label or unique text. Add a data-test attribute.`;
+      locatorList.replaceChildren();
+      return;
+    }
+
+    note.hidden = locators.stable;
+    note.textContent = locators.stable ? "" : "Position-based: this breaks when elements are added or reordered. Give it a unique data-test.";
+    locatorList.replaceChildren(...LOCATOR_FRAMEWORKS.map(framework => renderLocatorRow(framework, locators[framework.id])));
+    copyAndReport(LOCATOR_FRAMEWORKS.map(framework => `${framework.label}: ${locators[framework.id]}`).join("\n"), "Locators copied");
+  }
+
+  function onClick(event) {
+    if (isToolUi(event.target)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    inspect(event.target.closest("[data-inspector-flag]") || event.target);
+  }
+
+  function toggle(on = !active) {
+    if (on === active) return;
+    active = on;
+    root.hidden = !active;
+    document.documentElement.dataset.inspector = active ? "on" : "off";
+
+    if (active) {
+      scan();
+      observer.observe(document.body, { subtree: true, childList: true, attributes: true, attributeFilter: ["data-test", "id", "name", "aria-label"] });
+      document.addEventListener("click", onClick, true);
+      document.addEventListener("mouseover", onPointerOver, true);
+      window.addEventListener("scroll", hideTooltip, true);
+    } else {
+      observer.disconnect();
+      clearTimeout(rescanTimer);
+      document.removeEventListener("click", onClick, true);
+      document.removeEventListener("mouseover", onPointerOver, true);
+      window.removeEventListener("scroll", hideTooltip, true);
+      hideTooltip();
+      result.hidden = true;
+      clearFlags();
+    }
+  }
+
+  root.querySelector('[data-test="inspector-close"]').addEventListener("click", () => toggle(false));
+  result.querySelector('[data-test="inspector-result-close"]').addEventListener("click", () => {
+    result.hidden = true;
+  });
+
+  shortcuts.register({ keys: "ctrl+shift+x", description: "Turn the selector inspector on or off", handler: () => toggle() });
+  shortcuts.register({ keys: "escape", description: "Turn off the selector inspector", when: () => active, handler: () => toggle(false) });
+
+  window.studyhubInspector = {
+    toggle,
+    isActive: () => active,
+    locators: element => buildLocators(element)
+  };
+
+  const param = new URLSearchParams(window.location.search).get("inspect");
+  if (param !== null && param !== "0" && param !== "false") toggle(true);
+}
+
+/**
+ * Interaction Recorder
+ *
+ * Turns what a learner does on a scenario page into a test. Clicks, typing, selects,
+ * checkboxes, picked or dropped files and key presses become steps located with
+ * buildLocators() (so data-test first). Visible results become suggested assertions:
+ * toasts (from the activity log), new text in messages and status regions, and changed
+ * counts of repeated data-test elements such as rows.
+ * - Turned on with ?recorder=1 or Ctrl+Shift+E on scenario pages. Recording and replay
+ *   both start from resetPageScenarios(), like the fresh page an exported test visits;
+ *   what the scenarios had saved in storage is put back when they end.
+ * - Exports a Cypress spec, a Playwright test or a Robot Framework (SeleniumLibrary)
+ *   .robot file. Recordings are saved per scenario in localStorage ("studyhub-recordings").
+ * - Replay runs each step in the page, waiting up to RECORDER_STEP_TIMEOUT_MS for its
+ *   element or assertion, and stops at the first failure. Stopping it aborts the step
+ *   that is still waiting, so its action never runs.
+ * Hooks: recorder (data-state idle | recording | replaying), recorder-step (data-kind,
+ * data-status after a replay), recorder-output, recorder-replay-status (data-result).
+ * window.studyhubRecorder: start(), stop(), steps(), exportAs(format), replay().
+ */
+const RECORDINGS_STORAGE_KEY = "studyhub-recordings";
+const RECORDER_STEP_TIMEOUT_MS = 10000;
+const RECORDER_POLL_MS = 50;
+const RECORDER_SETTLE_MS = 300;
+const RECORDER_ASSERT_TEXT_MAX = 60;
+const RECORDER_KEYS = ["Enter", "Escape", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End"];
+const RECORDER_TOOL_SHORTCUTS = ["ctrl+shift+e", "ctrl+shift+x", "ctrl+shift+l"];
+const RECORDER_CLICKABLE = 'button, a[href], summary, [role="button"], [role="link"], [role="tab"], [role="option"], [role="menuitem"], [role="checkbox"]';
+const RECORDER_WATCHED = '[role="status"], [role="alert"], [aria-live], [data-test$="-message"], [data-test$="-error"], [data-test$="-result"], [data-test$="-status"], [data-test$="-success"], [data-test$="-summary"], [data-test$="-range"]';
+const RECORDER_SESSION_SCRIPT = "localStorage.setItem('studyhub-session', JSON.stringify({ email: 'tester@example.com', createdAt: Date.now(), expiresAt: Date.now() + 30 * 60 * 1000 }))";
+const RECORDER_FORMATS = {
+  cypress: { label: "Cypress", extension: ".cy.js" },
+  playwright: { label: "Playwright", extension: ".spec.js" },
+  robot: { label: "Robot Framework", extension: ".robot" }
+};
+const CYPRESS_KEYS = { Enter: "{enter}", Escape: "{esc}", ArrowUp: "{uparrow}", ArrowDown: "{downarrow}", ArrowLeft: "{leftarrow}", ArrowRight: "{rightarrow}", Home: "{home}", End: "{end}" };
+const ROBOT_KEYS = { Enter: "ENTER", Escape: "ESCAPE", ArrowUp: "ARROW_UP", ArrowDown: "ARROW_DOWN", ArrowLeft: "ARROW_LEFT", ArrowRight: "ARROW_RIGHT", Home: "HOME", End: "END" };
+
+function loadRecordings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECORDINGS_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/** Returns false when storage is full or unavailable and nothing was written. */
+function saveRecordings(recordings) {
+  try {
+    localStorage.setItem(RECORDINGS_STORAGE_KEY, JSON.stringify(recordings));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/** Robot treats \, ${…} and runs of spaces specially, and an empty argument needs ${EMPTY}. */
+function robotValue(value) {
+  if (value === "") return "${EMPTY}";
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/([$@&%])\{/g, "\\$1{")
+    .replace(/\n/g, "\\n")
+    .replace(/ {2,}/g, spaces => ` ${"${SPACE}".repeat(spaces.length - 1)}`)
+    .replace(/^ | $/g, "${SPACE}");
+}
+
+function formatPressKeys(step, framework) {
+  const letter = step.key.length === 1 ? step.key.toLowerCase() : step.key;
+  if (framework === "cypress") {
+    return step.modifiers.map(modifier => `{${modifier}}`).join("") + (CYPRESS_KEYS[step.key] || letter);
+  }
+  if (framework === "playwright") {
+    const names = { ctrl: "Control", alt: "Alt", shift: "Shift", meta: "Meta" };
+    return [...step.modifiers.map(modifier => names[modifier]), letter].join("+");
+  }
+  return [...step.modifiers.map(modifier => modifier.toUpperCase()), ROBOT_KEYS[step.key] || letter].join("+");
+}
+
+/** One step as a line of code. Uploaded files are expected in the framework's fixtures folder. */
+function formatRecordedStep(step, framework) {
+  const target = step.target && step.target[framework];
+  const files = (step.files || []).map(file => file.name);
+
+  if (framework === "cypress") {
+    switch (step.kind) {
+      case "click": return `${target}.click();`;
+      case "type":
+        if (step.value === "") return `${target}.clear();`;
+        return `${target}.clear().type(${jsString(step.value)}${step.value.includes("{") ? ", { parseSpecialCharSequences: false }" : ""});`;
+      case "select": return `${target}.select(${step.values.length === 1 ? jsString(step.values[0]) : `[${step.values.map(jsString).join(", ")}]`});`;
+      case "check": return `${target}.check();`;
+      case "uncheck": return `${target}.uncheck();`;
+      case "upload": return `${target}.selectFile([${files.map(name => jsString(`cypress/fixtures/${name}`)).join(", ")}], ${step.drop ? "{ action: 'drag-drop' }" : "{ force: true }"});`;
+      case "press": return `${target || "cy.get('body')"}.type(${jsString(formatPressKeys(step, framework))});`;
+      case "assert-text": return `${target}.should('contain', ${jsString(step.text)});`;
+      case "assert-visible": return `${target}.should('be.visible');`;
+      case "assert-count": return `${target}.should('have.length', ${step.count});`;
+      case "assert-hidden": return `${target}.should('not.be.visible');`;
+      case "assert-attribute": return `${target}.should('have.attr', ${jsString(step.attribute)}, ${jsString(step.value)});`;
+      case "assert-enabled": return `${target}.should('be.enabled');`;
+      case "assert-disabled": return `${target}.should('be.disabled');`;
+      case "assert-url": return `cy.url().should('include', ${jsString(step.text)});`;
+    }
+  }
+
+  if (framework === "playwright") {
+    switch (step.kind) {
+      case "click": return `await ${target}.click();`;
+      case "type": return `await ${target}.fill(${jsString(step.value)});`;
+      case "select": return `await ${target}.selectOption(${step.values.length === 1 ? jsString(step.values[0]) : `[${step.values.map(jsString).join(", ")}]`});`;
+      case "check": return `await ${target}.check();`;
+      case "uncheck": return `await ${target}.uncheck();`;
+      case "upload": {
+        const paths = `[${files.map(name => jsString(`fixtures/${name}`)).join(", ")}]`;
+        if (!step.drop) return `await ${target}.setInputFiles(${paths});`;
+        if (!step.input) return `// Dropped ${files.join(", ")} onto ${step.target.playwright}: Playwright can only set files on an <input type="file">`;
+        return `await ${step.input.playwright}.setInputFiles(${paths}); // dropped onto ${step.target.playwright}`;
+      }
+      case "press": return target ? `await ${target}.press(${jsString(formatPressKeys(step, framework))});` : `await page.keyboard.press(${jsString(formatPressKeys(step, framework))});`;
+      case "assert-text": return `await expect(${target}).toContainText(${jsString(step.text)});`;
+      case "assert-visible": return `await expect(${target}).toBeVisible();`;
+      case "assert-count": return `await expect(${target}).toHaveCount(${step.count});`;
+      case "assert-hidden": return `await expect(${target}).toBeHidden();`;
+      case "assert-attribute": return `await expect(${target}).toHaveAttribute(${jsString(step.attribute)}, ${jsString(step.value)});`;
+      case "assert-enabled": return `await expect(${target}).toBeEnabled();`;
+      case "assert-disabled": return `await expect(${target}).toBeDisabled();`;
+      case "assert-url": return `await expect(page).toHaveURL(/${step.text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")}/);`;
+    }
+  }
+
+  switch (step.kind) {
+    case "click": return `Click Element    ${target}`;
+    case "type": return `Input Text    ${target}    ${robotValue(step.value)}`;
+    case "select": return `Select From List By Value    ${target}    ${step.values.map(robotValue).join("    ")}`;
+    case "check": return step.radio ? `Select Radio Button    ${robotValue(step.radio.name)}    ${robotValue(step.radio.value)}` : `Select Checkbox    ${target}`;
+    case "uncheck": return `Unselect Checkbox    ${target}`;
+    case "upload": {
+      const input = step.drop ? step.input && step.input.robot : target;
+      if (!input) return `# Dropped ${files.join(", ")} onto ${step.target.robot}: Choose File needs an <input type="file">`;
+      return `Choose File    ${input}    ${files.map(name => `\${CURDIR}/fixtures/${robotValue(name)}`).join("\\n")}`;
+    }
+    case "press": return `Press Keys    ${target || "None"}    ${formatPressKeys(step, framework)}`;
+    case "assert-text": return `Wait Until Element Contains    ${target}    ${robotValue(step.text)}`;
+    case "assert-visible": return `Wait Until Element Is Visible    ${target}`;
+    case "assert-count": return `Page Should Contain Element    ${target}    limit=${step.count}`;
+    case "assert-hidden": return `Wait Until Element Is Not Visible    ${target}`;
+    case "assert-attribute": {
+      // Element Attribute Value Should Be doesn't wait, so plain CSS locators wait for the attribute in the selector
+      const { css, text, index } = step.target.query;
+      if (target === `css:${css}` && text === undefined && index === undefined) {
+        return `Wait Until Page Contains Element    css:${css}${cssAttribute(step.attribute, step.value)}`;
+      }
+      return `Element Attribute Value Should Be    ${target}    ${step.attribute}    ${robotValue(step.value)}`;
+    }
+    case "assert-enabled": return `Wait Until Element Is Enabled    ${target}`;
+    case "assert-disabled": return `Element Should Be Disabled    ${target}`;
+    case "assert-url": return `Location Should Contain    ${robotValue(step.text)}`;
+  }
+  return "";
+}
+
+/** A runnable file for { name, title, url, requiresAuth, steps } in "cypress", "playwright" or "robot". */
+function exportRecording(recording, framework) {
+  return buildTestFile({
+    heading: `Recorded in StudyHub on ${recording.title}`,
+    title: recording.title,
+    name: recording.name,
+    url: recording.url,
+    requiresAuth: recording.requiresAuth,
+    hasUploads: recording.steps.some(step => step.kind === "upload"),
+    lines: recording.steps.map(step => formatRecordedStep(step, framework))
+  }, framework);
+}
+
+/**
+ * Wrap formatted step lines in a complete test file: a Cypress spec, a Playwright test
+ * or a Robot Framework suite that opens `url` (signed in first when requiresAuth).
+ * Shared by the recorder's exports and the "Try it in…" examples.
+ */
+function buildTestFile({ heading, title, name, url, requiresAuth, hasUploads, lines }, framework) {
+  if (framework === "cypress") {
+    const visit = requiresAuth
+      ? [
+          `cy.visit(${jsString(url)}, {`,
+          "  onBeforeLoad(win) {",
+          `    win.${RECORDER_SESSION_SCRIPT};`,
+          "  }",
+          "});"
+        ]
+      : [`cy.visit(${jsString(url)});`];
+    return [
+      `// ${heading}`,
+      ...(hasUploads ? ["// Put the uploaded files in cypress/fixtures/"] : []),
+      `describe(${jsString(title)}, () => {`,
+      `  it(${jsString(name)}, () => {`,
+      ...[...visit, ...lines].map(line => `    ${line}`),
+      "  });",
+      "});",
+      ""
+    ].join("\n");
+  }
+
+  if (framework === "playwright") {
+    const setup = requiresAuth ? [`await page.addInitScript(() => ${RECORDER_SESSION_SCRIPT});`] : [];
+    return [
+      `// ${heading}`,
+      ...(hasUploads ? ["// Put the uploaded files in fixtures/ next to this spec's working directory"] : []),
+      "const { test, expect } = require('@playwright/test');",
+      "",
+      `test(${jsString(name)}, async ({ page }) => {`,
+      ...[...setup, `await page.goto(${jsString(url)});`, ...lines].map(line => `  ${line}`),
+      "});",
+      ""
+    ].join("\n");
+  }
+
+  const open = ["Open Browser    ${URL}    chrome"];
+  if (requiresAuth) open.push(`Execute Javascript    ${RECORDER_SESSION_SCRIPT}`, "Go To    ${URL}");
+  return [
+    `# ${heading}`,
+    ...(hasUploads ? ["# Put the uploaded files in fixtures/ next to this file"] : []),
+    "*** Settings ***",
+    "Library           SeleniumLibrary",
+    "Test Teardown     Close Browser",
+    "",
+    "*** Variables ***",
+    `\${URL}            ${url}`,
+    "",
+    "*** Test Cases ***",
+    name.replace(/\s{2,}/g, " "),
+    ...[...open, ...lines].map(line => `    ${line}`),
+    ""
+  ].join("\n");
+}
+
+/** Short text for the steps list: what was done and to which locator. */
+function describeRecordedStep(step) {
+  const where = step.target ? step.target.playwright.replace(/^page\./, "") : "the page";
+  switch (step.kind) {
+    case "click": return `Click ${where}`;
+    case "type": return `Type "${step.value}" into ${where}`;
+    case "select": return `Select ${step.values.join(", ")} in ${where}`;
+    case "check": return `Check ${where}`;
+    case "uncheck": return `Uncheck ${where}`;
+    case "upload": return `${step.drop ? "Drop" : "Choose"} ${step.files.map(file => file.name).join(", ")} ${step.drop ? "onto" : "in"} ${where}`;
+    case "press": return `Press ${formatPressKeys(step, "playwright")} in ${where}`;
+    case "assert-text": return `Expect ${where} to contain "${step.text}"`;
+    case "assert-visible": return `Expect ${where} to be visible`;
+    case "assert-count": return `Expect ${step.count} × ${where}`;
+    case "assert-hidden": return `Expect ${where} to be hidden`;
+    case "assert-attribute": return `Expect ${where} to have ${step.attribute}="${step.value}"`;
+    case "assert-enabled": return `Expect ${where} to be enabled`;
+    case "assert-disabled": return `Expect ${where} to be disabled`;
+    case "assert-url": return `Expect the URL to contain "${step.text}"`;
+  }
+  return step.kind;
+}
+
+function isShownForAssertion(element) {
+  if (element.closest("[hidden], .visually-hidden")) return false;
+  for (let node = element; node; node = node.parentElement) {
+    const style = window.getComputedStyle(node);
+    if (style.display === "none" || style.visibility === "hidden") return false;
+  }
+  return true;
+}
+
+/** Poll `check` until it returns something truthy; rejects on timeout or once `signal` aborts. */
+function waitForReplay(check, timeout, describeFailure, signal) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    (function poll() {
+      if (signal && signal.aborted) return reject(signal.reason);
+      const value = check();
+      if (value) return resolve(value);
+      if (Date.now() - started >= timeout) return reject(new Error(describeFailure()));
+      setTimeout(poll, RECORDER_POLL_MS);
+    })();
+  });
+}
+
+/** Value setters that still fire the input and change events the scenarios listen for. */
+function setFieldValue(element, value) {
+  element.focus();
+  element.value = value;
+  element.dispatchEvent(new Event("input", { bubbles: true }));
+  element.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Run one recorded step in the page. Aborting `signal` (a stopped replay) rejects the
+ * wait in progress, so the step's action never runs after the replay was stopped.
+ */
+function replayRecordedStep(step, timeout = RECORDER_STEP_TIMEOUT_MS, signal) {
+  const where = step.target ? step.target.playwright : "the page";
+  const wait = (check, describeFailure) => waitForReplay(check, timeout, describeFailure, signal);
+  const findTarget = () => wait(() => {
+    const element = resolveLocator(step.target.query);
+    return element && !element.disabled ? element : null;
+  }, () => `${where} was not found (or stayed disabled)`);
+
+  switch (step.kind) {
+    case "click":
+      return findTarget().then(element => element.click());
+    case "type":
+      return findTarget().then(element => setFieldValue(element, step.value));
+    case "select":
+      return findTarget().then(element => {
+        Array.from(element.options).forEach(option => {
+          option.selected = step.values.includes(option.value);
+        });
+        element.dispatchEvent(new Event("input", { bubbles: true }));
+        element.dispatchEvent(new Event("change", { bubbles: true }));
+      });
+    case "check":
+    case "uncheck":
+      return findTarget().then(element => {
+        if (element.checked !== (step.kind === "check")) element.click();
+      });
+    case "upload":
+      return findTarget().then(element => {
+        // Only names, types and sizes are recorded, so the replayed files are blank
+        const transfer = new DataTransfer();
+        step.files.forEach(file => transfer.items.add(new File([new Uint8Array(file.size)], file.name, { type: file.type })));
+        if (step.drop) {
+          element.dispatchEvent(new DragEvent("drop", { bubbles: true, cancelable: true, dataTransfer: transfer }));
+          return;
+        }
+        element.files = transfer.files;
+        element.dispatchEvent(new Event("change", { bubbles: true }));
+      });
+    case "press": {
+      const pressed = step.target ? findTarget() : wait(() => document.activeElement || document.body, () => "Nothing to press keys on");
+      return pressed.then(element => {
+        if (element.focus) element.focus();
+        const init = { key: step.key, bubbles: true, cancelable: true };
+        step.modifiers.forEach(modifier => {
+          init[`${modifier}Key`] = true;
+        });
+        const handled = !element.dispatchEvent(new KeyboardEvent("keydown", init));
+        // A synthetic Enter doesn't submit forms the way a real one does
+        if (!handled && step.key === "Enter" && isTypingTarget(element) && element.form && element.tagName !== "TEXTAREA") {
+          element.form.requestSubmit();
+        }
+        element.dispatchEvent(new KeyboardEvent("keyup", init));
+      });
+    }
+    case "assert-text":
+      return wait(() => {
+        const element = resolveLocator(step.target.query);
+        return element && locatorText(element).includes(step.text);
+      }, () => {
+        const element = resolveLocator(step.target.query);
+        return element ? `${where} reads "${locatorText(element)}", not "${step.text}"` : `${where} was not found`;
+      });
+    case "assert-visible":
+      return wait(() => {
+        const element = resolveLocator(step.target.query);
+        return element && isShownForAssertion(element);
+      }, () => `${where} was not visible`);
+    case "assert-count":
+      return wait(
+        () => queryPage(step.target.query.css).length === step.count,
+        () => `Expected ${step.count} × ${where}, found ${queryPage(step.target.query.css).length}`
+      );
+    case "assert-hidden":
+      return wait(() => {
+        const element = resolveLocator(step.target.query);
+        return !element || !isShownForAssertion(element);
+      }, () => `${where} stayed visible`);
+    case "assert-attribute":
+      return wait(() => {
+        const element = resolveLocator(step.target.query);
+        return element && element.getAttribute(step.attribute) === step.value;
+      }, () => {
+        const element = resolveLocator(step.target.query);
+        return element ? `${where} has ${step.attribute}="${element.getAttribute(step.attribute)}", not "${step.value}"` : `${where} was not found`;
+      });
+    case "assert-enabled":
+    case "assert-disabled":
+      return wait(() => {
+        const element = resolveLocator(step.target.query);
+        return element && element.disabled === (step.kind === "assert-disabled");
+      }, () => `${where} was not ${step.kind === "assert-disabled" ? "disabled" : "enabled"}`);
+    case "assert-url":
+      return wait(
+        () => window.location.href.includes(step.text),
+        () => `The URL is ${window.location.href}, which doesn't contain "${step.text}"`
+      );
+  }
+  return Promise.reject(new Error(`Unknown step "${step.kind}"`));
+}
+
+/** Storage the scenario resets clear (Scenario 14 tasks, Scenario 3 preferences, Scenario 10 draft). */
+function scenarioStorageEntries() {
+  return [
+    [localStorage, GRID_STORAGE_KEY],
+    [localStorage, PREFERENCES_STORAGE_KEY],
+    [sessionStorage, WIZARD_DRAFT_KEY]
+  ];
+}
+
+function snapshotScenarioStorage() {
+  try {
+    return scenarioStorageEntries().map(([storage, key]) => [storage, key, storage.getItem(key)]);
+  } catch (error) {
+    return [];
+  }
+}
+
+function restoreScenarioStorage(snapshot) {
+  try {
+    (snapshot || []).forEach(([storage, key, value]) => {
+      if (value === null) storage.removeItem(key);
+      else storage.setItem(key, value);
+    });
+  } catch (error) {
+    // Storage unavailable or full: the scenario keeps the data its reset left
+  }
+  applyPreferences(loadPreferences());
+}
+
+function setupRecorder() {
+  const scenario = getCurrentScenarioNumber();
+  if (!scenario) return;
+
+  const root = document.createElement("section");
+  root.className = "recorder";
+  root.dataset.test = "recorder";
+  root.dataset.toolUi = "";
+  root.dataset.state = "idle";
+  root.hidden = true;
+  root.setAttribute("aria-labelledby", "recorder-title");
+  root.innerHTML = `
+    <div class="recorder-header">
+      <strong id="recorder-title">Recorder</strong>
+      <span class="recorder-state" data-test="recorder-state" role="status">Idle</span>
+      <button type="button" class="recorder-action" data-test="recorder-close" aria-label="Close the recorder">×</button>
+    </div>
+    <div class="recorder-controls">
+      <button type="button" class="recorder-action recorder-record" data-test="recorder-record" aria-pressed="false">● Record</button>
+      <button type="button" class="recorder-action" data-test="recorder-replay">▶ Replay</button>
+      <button type="button" class="recorder-action" data-test="recorder-clear">Clear</button>
+    </div>
+    <p class="recorder-replay-status" data-test="recorder-replay-status" role="status"></p>
+    <ol class="recorder-steps" data-test="recorder-steps" aria-label="Recorded steps"></ol>
+    <p class="recorder-empty" data-test="recorder-empty">Press Record, then use the scenario. Steps and suggested assertions appear here.</p>
+    <div class="recorder-row">
+      <label for="recorder-format">Export as</label>
+      <select id="recorder-format" data-test="recorder-format">
+        ${Object.entries(RECORDER_FORMATS).map(([id, format]) => `<option value="${id}">${format.label}</option>`).join("")}
+      </select>
+      <button type="button" class="recorder-action" data-test="recorder-copy">Copy</button>
+      <button type="button" class="recorder-action" data-test="recorder-download">Download</button>
+    </div>
+    <details class="recorder-preview">
+      <summary>Preview</summary>
+      <pre><code data-test="recorder-output"></code></pre>
+    </details>
+    <div class="recorder-row">
+      <label for="recorder-name">Name</label>
+      <input type="text" id="recorder-name" data-test="recorder-name" value="recorded flow">
+      <button type="button" class="recorder-action" data-test="recorder-save">Save</button>
+    </div>
+    <div class="recorder-row">
+      <label for="recorder-saved">Saved</label>
+      <select id="recorder-saved" data-test="recorder-saved"></select>
+      <button type="button" class="recorder-action" data-test="recorder-load">Load</button>
+      <button type="button" class="recorder-action" data-test="recorder-delete">Delete</button>
+    </div>
+    <p class="recorder-message" data-test="recorder-message" role="status"></p>
+  `;
+  document.body.appendChild(root);
+
+  const $ = selector => root.querySelector(`[data-test="${selector}"]`);
+  const recordButton = $("recorder-record");
+  const replayButton = $("recorder-replay");
+  const stateLabel = $("recorder-state");
+  const replayStatus = $("recorder-replay-status");
+  const stepList = $("recorder-steps");
+  const emptyMessage = $("recorder-empty");
+  const formatSelect = $("recorder-format");
+  const output = $("recorder-output");
+  const nameInput = $("recorder-name");
+  const savedSelect = $("recorder-saved");
+  const message = $("recorder-message");
+  const page = SITE_PAGES.find(item => window.location.pathname.endsWith(`/${item.path}`));
+
+  let steps = [];
+  let state = "idle";
+  let lastTyped = null;
+  let baseline = null;
+  let settleTimer = null;
+  let replayController = null;
+  let savedStorage = null;
+  let startUrl = window.location.href;
+
+  function recording() {
+    const url = new URL(startUrl);
+    ["recorder", "inspect", "activityLog", "testApi"].forEach(param => url.searchParams.delete(param));
+    url.hash = "";
+    return {
+      name: nameInput.value.trim() || "recorded flow",
+      title: page ? page.title : document.title,
+      url: url.href,
+      requiresAuth: document.body.hasAttribute("data-requires-auth"),
+      steps
+    };
+  }
+
+  function render() {
+    const framework = formatSelect.value;
+    stepList.replaceChildren(...steps.map((step, index) => {
+      const item = document.createElement("li");
+      item.dataset.test = "recorder-step";
+      item.dataset.kind = step.kind;
+      item.className = step.kind.startsWith("assert") ? "recorder-step recorder-step-assert" : "recorder-step";
+      const text = document.createElement("span");
+      text.textContent = describeRecordedStep(step);
+      const code = document.createElement("code");
+      code.textContent = formatRecordedStep(step, framework);
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "recorder-action";
+      remove.dataset.test = "recorder-step-remove";
+      remove.setAttribute("aria-label", `Remove step ${index + 1}`);
+      remove.textContent = "×";
+      remove.addEventListener("click", () => {
+        steps.splice(index, 1);
+        lastTyped = null;
+        render();
+      });
+      item.append(text, code, remove);
+      return item;
+    }));
+    emptyMessage.hidden = steps.length > 0;
+    output.replaceChildren(highlightCode(exportRecording(recording(), framework), framework));
+  }
+
+  function renderSaved(selected) {
+    const saved = loadRecordings().filter(item => item.scenario === scenario);
+    savedSelect.replaceChildren(...saved.map(item => new Option(`${item.name} (${item.steps.length} steps)`, item.name)));
+    if (selected) savedSelect.value = selected;
+  }
+
+  function setState(next) {
+    state = next;
+    root.dataset.state = state;
+    stateLabel.textContent = { idle: "Idle", recording: "Recording…", replaying: "Replaying…" }[state];
+    recordButton.textContent = state === "recording" ? "■ Stop" : "● Record";
+    recordButton.setAttribute("aria-pressed", String(state === "recording"));
+    replayButton.textContent = state === "replaying" ? "■ Stop" : "▶ Replay";
+    recordButton.disabled = state === "replaying";
+  }
+
+  function addStep(step) {
+    steps.push(step);
+    render();
+  }
+
+  // ----- Suggested assertions -----
+
+  // Texts are keyed by locator, not element, so a re-rendered list with the same text isn't a change
+  function captureState() {
+    const texts = new Map();
+    queryPage(RECORDER_WATCHED).forEach(element => {
+      if (!element.dataset.test || element.dataset.test.startsWith("toast")) return;
+      const target = buildLocators(element);
+      if (target) texts.set(target.cypress, { element, target, text: isShownForAssertion(element) ? locatorText(element) : "" });
+    });
+    const counts = new Map();
+    queryPage("[data-test]").forEach(element => {
+      if (element.dataset.test.startsWith("toast")) return;
+      counts.set(element.dataset.test, (counts.get(element.dataset.test) || 0) + 1);
+    });
+    return { texts, counts };
+  }
+
+  function suggestAssertions() {
+    const previous = baseline;
+    baseline = captureState();
+    if (!previous || !steps.some(step => !step.kind.startsWith("assert"))) return;
+
+    const changed = Array.from(baseline.texts).filter(([key, entry]) => entry.text && (previous.texts.get(key) || {}).text !== entry.text);
+    changed.forEach(([, { element, target, text }]) => {
+      // Assert on the innermost region that changed
+      if (changed.some(([, other]) => other.element !== element && element.contains(other.element))) return;
+      addStep({ kind: "assert-text", target, text: text.slice(0, RECORDER_ASSERT_TEXT_MAX).trim(), suggested: true });
+    });
+
+    // Cells of one row all change count together: assert on the first of each group only
+    const seen = new Set();
+    baseline.counts.forEach((count, testId) => {
+      const before = previous.counts.get(testId) || 0;
+      if (count === before || Math.max(count, before) < 2 || seen.has(`${before}:${count}`)) return;
+      seen.add(`${before}:${count}`);
+      addStep({ kind: "assert-count", target: cssLocator("data-test", cssAttribute("data-test", testId)), count, suggested: true });
+    });
+  }
+
+  const observer = new MutationObserver(mutations => {
+    if (mutations.every(mutation => isToolUi(mutation.target))) return;
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(suggestAssertions, RECORDER_SETTLE_MS);
+  });
+
+  eventLog.subscribe(event => {
+    if (state !== "recording" || !event || event.type !== "toast.shown" || event.payload.suppressed) return;
+    addStep({ kind: "assert-visible", target: textFilteredLocator("toast-message", event.payload.message), suggested: true });
+  });
+
+  // ----- Capturing -----
+
+  function isRecording(event) {
+    return state === "recording" && !isToolUi(event.target) && document.documentElement.dataset.inspector !== "on";
+  }
+
+  function onClick(event) {
+    if (!isRecording(event)) return;
+    const element = event.target;
+    if (isTypingTarget(element) || element.tagName === "SELECT" || element.tagName === "OPTION") return;
+    if (element.tagName === "INPUT" && ["checkbox", "radio", "file"].includes(element.type)) return;
+    // Labels pass the click on to their control, which records its own change
+    if (element.closest("label") && element.closest("label").control) return;
+
+    const clicked = element.closest(RECORDER_CLICKABLE) || element.closest("[data-test]") || element;
+    // Opening a file chooser is recorded as the upload that follows
+    if (clicked.querySelector('input[type="file"]')) return;
+    // Enter in a form field submits by clicking the submit button: the key press is the step
+    const last = steps[steps.length - 1];
+    if (event.detail === 0 && last && last.kind === "press" && last.key === "Enter") return;
+
+    const target = buildLocators(clicked);
+    if (target) addStep({ kind: "click", target });
+    lastTyped = null;
+  }
+
+  function onInput(event) {
+    if (!isRecording(event) || !isTypingTarget(event.target) || event.target.isContentEditable || event.target.tagName === "SELECT") return;
+    const last = steps[steps.length - 1];
+    if (lastTyped === event.target && last && last.kind === "type") {
+      last.value = event.target.value;
+      render();
+      return;
+    }
+    const target = buildLocators(event.target);
+    if (!target) return;
+    lastTyped = event.target;
+    addStep({ kind: "type", target, value: event.target.value });
+  }
+
+  function onChange(event) {
+    if (!isRecording(event)) return;
+    const element = event.target;
+    const target = buildLocators(element);
+    if (!target) return;
+    lastTyped = null;
+
+    if (element.tagName === "SELECT") {
+      const values = Array.from(element.selectedOptions).map(option => option.value);
+      const last = steps[steps.length - 1];
+      if (last && last.kind === "select" && last.target.robot === target.robot) {
+        last.values = values;
+        render();
+      } else {
+        addStep({ kind: "select", target, values });
+      }
+    } else if (element.type === "checkbox" || element.type === "radio") {
+      const radio = element.type === "radio" && element.name ? { name: element.name, value: element.value } : null;
+      addStep({ kind: element.checked ? "check" : "uncheck", target, radio });
+    } else if (element.type === "file" && element.files.length > 0) {
+      addStep({ kind: "upload", target, files: Array.from(element.files, ({ name, type, size }) => ({ name, type, size })), drop: false });
+    }
+  }
+
+  function onDrop(event) {
+    if (!isRecording(event) || !event.dataTransfer || event.dataTransfer.files.length === 0) return;
+    const zone = event.target.closest("[data-test]") || event.target;
+    const target = buildLocators(zone);
+    if (!target) return;
+    const inputs = queryPage('input[type="file"]');
+    const input = zone.querySelector('input[type="file"]') || (inputs.length === 1 ? inputs[0] : null);
+    addStep({
+      kind: "upload",
+      target,
+      files: Array.from(event.dataTransfer.files, ({ name, type, size }) => ({ name, type, size })),
+      drop: true,
+      input: input ? buildLocators(input) : null
+    });
+  }
+
+  function onKeydown(event) {
+    if (!isRecording(event) || !event.key) return;
+    const combo = shortcutFromEvent(event);
+    if (RECORDER_TOOL_SHORTCUTS.includes(combo) || ["Control", "Shift", "Alt", "Meta"].includes(event.key)) return;
+    const modifiers = ["ctrl", "alt", "meta"].filter(modifier => event[`${modifier}Key`]);
+    if (!RECORDER_KEYS.includes(event.key) && modifiers.length === 0) return;
+    if (modifiers.length > 0 && event.shiftKey) modifiers.push("shift");
+
+    const element = event.target === document.body ? null : event.target;
+    // Enter on a button or link becomes its click
+    if (event.key === "Enter" && element && element.matches(RECORDER_CLICKABLE) && !element.matches('[role="option"], [role="tab"]')) return;
+    const target = element ? buildLocators(element) : null;
+    addStep({ kind: "press", target, key: event.key, modifiers });
+    lastTyped = null;
+  }
+
+  const listeners = { click: onClick, input: onInput, change: onChange, drop: onDrop, keydown: onKeydown };
+
+  function start() {
+    if (state === "replaying") return;
+    savedStorage = snapshotScenarioStorage();
+    resetPageScenarios();
+    startUrl = window.location.href;
+    steps = [];
+    lastTyped = null;
+    replayStatus.textContent = "";
+    delete replayStatus.dataset.result;
+    setState("recording");
+    render();
+    baseline = captureState();
+    observer.observe(document.body, { subtree: true, childList: true, characterData: true, attributes: true, attributeFilter: ["hidden", "style", "class"] });
+    Object.entries(listeners).forEach(([type, listener]) => document.addEventListener(type, listener, true));
+  }
+
+  function stop() {
+    if (state !== "recording") return;
+    observer.disconnect();
+    clearTimeout(settleTimer);
+    suggestAssertions();
+    Object.entries(listeners).forEach(([type, listener]) => document.removeEventListener(type, listener, true));
+    restoreScenarioStorage(savedStorage);
+    setState("idle");
+  }
+
+  async function replay() {
+    stop();
+    if (steps.length === 0) return { passed: false, failedStep: null, error: "Nothing recorded" };
+    const controller = new AbortController();
+    replayController = controller;
+    savedStorage = snapshotScenarioStorage();
+    resetPageScenarios();
+    setState("replaying");
+    const items = Array.from(stepList.children);
+    items.forEach(item => {
+      item.dataset.status = "pending";
+    });
+    replayStatus.dataset.result = "running";
+    replayStatus.textContent = "Replaying…";
+
+    let outcome = { passed: true, failedStep: null, error: null };
+    for (let index = 0; index < steps.length; index++) {
+      if (controller.signal.aborted) return { passed: false, failedStep: index + 1, error: "Stopped" };
+      items[index].dataset.status = "running";
+      try {
+        await replayRecordedStep(steps[index], RECORDER_STEP_TIMEOUT_MS, controller.signal);
+        items[index].dataset.status = "passed";
+      } catch (error) {
+        if (controller.signal.aborted) return { passed: false, failedStep: index + 1, error: "Stopped" };
+        items[index].dataset.status = "failed";
+        outcome = { passed: false, failedStep: index + 1, error: error.message };
+        break;
+      }
+    }
+    if (controller.signal.aborted) return { passed: false, failedStep: null, error: "Stopped" };
+
+    replayController = null;
+    restoreScenarioStorage(savedStorage);
+    setState("idle");
+    replayStatus.dataset.result = outcome.passed ? "passed" : "failed";
+    replayStatus.textContent = outcome.passed
+      ? `All ${steps.length} steps passed`
+      : `Step ${outcome.failedStep} failed: ${outcome.error}`;
+    logEvent("recorder.replayed", { steps: steps.length, passed: outcome.passed, failedStep: outcome.failedStep });
+    return outcome;
+  }
+
+  function stopReplay() {
+    if (!replayController) return;
+    replayController.abort(new Error("Replay stopped"));
+    replayController = null;
+    restoreScenarioStorage(savedStorage);
+    setState("idle");
+    replayStatus.dataset.result = "stopped";
+    replayStatus.textContent = "Replay stopped";
+  }
+
+  function toggle(on = root.hidden) {
+    root.hidden = !on;
+    if (!on) stop();
+  }
+
+  recordButton.addEventListener("click", () => (state === "recording" ? stop() : start()));
+  replayButton.addEventListener("click", () => (state === "replaying" ? stopReplay() : replay()));
+  $("recorder-clear").addEventListener("click", () => {
+    steps = [];
+    lastTyped = null;
+    render();
+  });
+  $("recorder-close").addEventListener("click", () => toggle(false));
+  formatSelect.addEventListener("change", () => {
+    saveFrameworkPreference(formatSelect.value);
+    render();
+  });
+  nameInput.addEventListener("input", () => {
+    output.replaceChildren(highlightCode(exportRecording(recording(), formatSelect.value), formatSelect.value));
+  });
+
+  $("recorder-copy").addEventListener("click", () => {
+    copyToClipboard(output.textContent).then(copied => {
+      message.textContent = copied ? "Copied to the clipboard" : "Copy failed: select the preview and copy it yourself";
+    });
+  });
+
+  $("recorder-download").addEventListener("click", () => {
+    const current = recording();
+    const slug = current.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "recording";
+    const blob = new Blob([output.textContent], { type: "text/plain" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `scenario-${scenario}-${slug}${RECORDER_FORMATS[formatSelect.value].extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  $("recorder-save").addEventListener("click", () => {
+    if (steps.length === 0) {
+      message.textContent = "Record some steps first";
+      return;
+    }
+    const name = recording().name;
+    const saved = loadRecordings().filter(item => !(item.scenario === scenario && item.name === name));
+    saved.push({ name, scenario, savedAt: new Date().toISOString(), steps });
+    message.textContent = saveRecordings(saved)
+      ? `Saved "${name}"`
+      : `"${name}" was not saved: storage is full or unavailable`;
+    renderSaved(name);
+  });
+
+  $("recorder-load").addEventListener("click", () => {
+    const found = loadRecordings().find(item => item.scenario === scenario && item.name === savedSelect.value);
+    if (!found || state !== "idle") return;
+    steps = found.steps;
+    nameInput.value = found.name;
+    lastTyped = null;
+    render();
+    message.textContent = `Loaded "${found.name}"`;
+  });
+
+  $("recorder-delete").addEventListener("click", () => {
+    const name = savedSelect.value;
+    if (!name) return;
+    const deleted = saveRecordings(loadRecordings().filter(item => !(item.scenario === scenario && item.name === name)));
+    renderSaved();
+    message.textContent = deleted ? `Deleted "${name}"` : `"${name}" was not deleted: storage is unavailable`;
+  });
+
+  shortcuts.register({ keys: "ctrl+shift+e", description: "Show or hide the interaction recorder", handler: () => toggle() });
+
+  window.studyhubRecorder = {
+    start,
+    stop,
+    steps: () => JSON.parse(JSON.stringify(steps)),
+    exportAs: (framework = formatSelect.value) => exportRecording(recording(), framework),
+    replay
+  };
+
+  formatSelect.value = loadFrameworkPreference();
+  renderSaved();
+  render();
+  const param = new URLSearchParams(window.location.search).get("recorder");
+  if (param !== null && param !== "0" && param !== "false") toggle(true);
+}
+
+/**
+ * "Try it in…" Examples
+ *
+ * Every scenario page ends with a tabbed panel holding one example test in Cypress,
+ * Playwright and Robot Framework. SCENARIO_SNIPPETS is the single source: each scenario
+ * lists its steps once, in the recorder's step format, and formatRecordedStep() and
+ * buildTestFile() turn them into all three files. Steps name their element by `test`
+ * (a data-test value) or `css`.
+ * - Code is highlighted with plain text spans (highlightCode), never HTML.
+ * - The chosen framework is remembered in localStorage ("studyhub-framework") and also
+ *   picks the recorder's export format.
+ * Hooks: try-it (data-framework), try-it-tab-<framework>, try-it-code-<framework>,
+ * try-it-copy, try-it-copy-status.
+ */
+const FRAMEWORK_STORAGE_KEY = "studyhub-framework";
+const SCENARIO_SNIPPETS = {
+  1: {
+    name: "shows the data after the loading state",
+    steps: [
+      { kind: "assert-hidden", test: "data-result" },
+      { kind: "click", test: "load-button" },
+      { kind: "assert-visible", test: "loading-spinner" },
+      { kind: "assert-text", test: "data-result", text: "Data loaded successfully" },
+      { kind: "assert-hidden", test: "loading-spinner" }
+    ]
+  },
+  2: {
+    name: "enables submit once the form is valid",
+    steps: [
+      { kind: "assert-disabled", test: "state-submit" },
+      { kind: "type", test: "state-email", value: "not-an-email" },
+      { kind: "assert-text", test: "email-error", text: "Please enter a valid email address." },
+      { kind: "type", test: "state-email", value: "learner@example.com" },
+      { kind: "type", test: "state-password", value: "password123" },
+      { kind: "check", test: "agree-terms" },
+      { kind: "assert-enabled", test: "state-submit" },
+      { kind: "click", test: "state-submit" },
+      { kind: "assert-text", test: "form-message", text: "Form submitted successfully!" }
+    ]
+  },
+  3: {
+    name: "saves the theme from the settings dialog",
+    steps: [
+      { kind: "click", test: "open-modal" },
+      { kind: "assert-visible", test: "settings-dialog" },
+      { kind: "select", test: "theme-select", values: ["dark"] },
+      { kind: "click", test: "modal-save" },
+      { kind: "assert-hidden", test: "settings-dialog" },
+      { kind: "assert-text", test: "settings-summary", text: "Dark theme" },
+      { kind: "assert-attribute", css: "html", attribute: "data-theme", value: "dark" }
+    ]
+  },
+  4: {
+    name: "filters the members by search",
+    query: "?delay=0",
+    steps: [
+      { kind: "type", test: "member-search", value: "alice" },
+      { kind: "assert-text", test: "filter-result-message", text: "1 of 4 member(s) found" },
+      { kind: "assert-visible", test: "member-row-1" },
+      { kind: "assert-hidden", test: "member-row-2" },
+      { kind: "assert-url", text: "q=alice" }
+    ]
+  },
+  5: {
+    name: "disables the button while saving",
+    steps: [
+      { kind: "click", test: "async-submit" },
+      { kind: "assert-disabled", test: "async-submit" },
+      { kind: "assert-visible", test: "async-loading" },
+      { kind: "assert-text", test: "async-success", text: "Changes saved" },
+      { kind: "assert-enabled", test: "async-submit" }
+    ]
+  },
+  6: {
+    name: "sorts by score",
+    steps: [
+      { kind: "click", test: "sort-score" },
+      { kind: "assert-attribute", test: "sort-score", attribute: "aria-sort", value: "ascending" },
+      { kind: "assert-text", test: "sort-status", text: "Sorted by Score ascending" }
+    ]
+  },
+  7: {
+    name: "moves to the next page",
+    steps: [
+      { kind: "assert-text", test: "pagination-range", text: "Showing 1–5 of 15" },
+      { kind: "assert-disabled", test: "prev-page" },
+      { kind: "click", test: "next-page" },
+      { kind: "assert-text", test: "pagination-range", text: "Showing 6–10 of 15" },
+      { kind: "assert-attribute", test: "page-2", attribute: "aria-current", value: "page" },
+      { kind: "assert-url", text: "page=2" }
+    ]
+  },
+  8: {
+    name: "switches tabs and opens an accordion section",
+    steps: [
+      { kind: "click", test: "tab-details" },
+      { kind: "assert-attribute", test: "tab-details", attribute: "aria-selected", value: "true" },
+      { kind: "assert-visible", test: "tab-pane-details" },
+      { kind: "assert-url", text: "#tab-details" },
+      { kind: "click", test: "accordion-header-2" },
+      { kind: "assert-attribute", test: "accordion-header-2", attribute: "aria-expanded", value: "true" },
+      { kind: "assert-visible", test: "accordion-body-2" }
+    ]
+  },
+  9: {
+    name: "shows a success toast",
+    steps: [
+      { kind: "click", test: "toast-trigger-success" },
+      { kind: "assert-visible", test: "toast-success" },
+      { kind: "assert-text", test: "toast-message", text: "This is a success notification!" }
+    ]
+  },
+  10: {
+    name: "validates and submits the wizard",
+    steps: [
+      { kind: "click", test: "wizard-next" },
+      { kind: "assert-text", test: "wizard-name-error", text: "Full name is required." },
+      { kind: "assert-attribute", test: "wizard-name", attribute: "aria-invalid", value: "true" },
+      { kind: "type", test: "wizard-name", value: "Ada Lovelace" },
+      { kind: "type", test: "wizard-email", value: "ada@example.com" },
+      { kind: "click", test: "wizard-next" },
+      { kind: "click", test: "wizard-next" },
+      { kind: "select", test: "wizard-role", values: ["QA Engineer"] },
+      { kind: "click", test: "wizard-next" },
+      { kind: "assert-text", test: "review-wizard-name", text: "Ada Lovelace" },
+      { kind: "click", test: "wizard-submit" },
+      { kind: "assert-text", test: "wizard-success", text: "Thanks, Ada Lovelace!" }
+    ]
+  },
+  11: {
+    name: "uploads a text file",
+    query: "?delay=0",
+    steps: [
+      { kind: "upload", test: "file-input", files: [{ name: "notes.txt", type: "text/plain", size: 2048 }] },
+      { kind: "assert-attribute", test: "file-item", attribute: "data-status", value: "done" }
+    ]
+  },
+  12: {
+    name: "shows the not-found error",
+    query: "?response=404&delay=0",
+    steps: [
+      { kind: "click", test: "load-data-btn" },
+      { kind: "assert-attribute", test: "api-panel", attribute: "data-state", value: "error" },
+      { kind: "assert-visible", test: "api-error-not-found" }
+    ]
+  },
+  13: {
+    name: "selects an option with the keyboard",
+    steps: [
+      { kind: "press", test: "keyboard-items-list", key: "ArrowDown", modifiers: [] },
+      { kind: "assert-attribute", test: "keyboard-items-list", attribute: "aria-activedescendant", value: "keyboard-option-0" },
+      { kind: "press", test: "keyboard-items-list", key: "Enter", modifiers: [] },
+      { kind: "assert-text", test: "keyboard-selected", text: "Option 1: Testing Basics" }
+    ]
+  },
+  14: {
+    name: "adds a task, deletes one and undoes it",
+    steps: [
+      { kind: "type", test: "grid-new-name", value: "Write release notes" },
+      { kind: "click", test: "grid-add" },
+      { kind: "assert-count", css: '[data-test^="row-task-"]', count: 4 },
+      { kind: "click", css: '[data-test="row-task-2"] [data-test="grid-delete"]' },
+      { kind: "click", test: "confirm-dialog-confirm" },
+      { kind: "assert-count", css: '[data-test^="row-task-"]', count: 3 },
+      { kind: "click", test: "toast-action" },
+      { kind: "assert-count", css: '[data-test^="row-task-"]', count: 4 }
+    ]
+  }
+};
+const HIGHLIGHT_PATTERNS = {
+  js: /(\/\/.*)|('(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`)|\b(const|let|await|async|function|return|require|new|true|false|null)\b|\b(\d+(?:\.\d+)?)\b/g,
+  robot: /^(\*\*\*.*)|^([ \t]*#.*)|([$@&%]\{[^}\n]*\})/gm
+};
+const HIGHLIGHT_TOKENS = {
+  js: ["comment", "string", "keyword", "number"],
+  robot: ["section", "comment", "variable"]
+};
+
+function loadFrameworkPreference() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(FRAMEWORK_STORAGE_KEY);
+  } catch (error) {
+    saved = null;
+  }
+  return RECORDER_FORMATS[saved] ? saved : "cypress";
+}
+
+function saveFrameworkPreference(framework) {
+  if (!RECORDER_FORMATS[framework]) return;
+  try {
+    localStorage.setItem(FRAMEWORK_STORAGE_KEY, framework);
+  } catch (error) {
+    // Storage unavailable: the choice just isn't remembered on the next page
+  }
+}
+
+/** A snippet step with its element resolved to a locator, ready for formatRecordedStep(). */
+function snippetStep(step) {
+  if (step.test) return { ...step, target: cssLocator("data-test", cssAttribute("data-test", step.test)) };
+  if (step.css) return { ...step, target: cssLocator("css", step.css) };
+  return step;
+}
+
+/** The example for `scenario` as a complete file, or null when it has none. */
+function buildSnippetFile(scenario, framework) {
+  const snippet = SCENARIO_SNIPPETS[scenario];
+  if (!snippet) return null;
+
+  const url = new URL(window.location.href);
+  url.search = snippet.query || "";
+  url.hash = "";
+  const page = SITE_PAGES.find(item => url.pathname.endsWith(`/${item.path}`));
+  const title = page ? page.title : document.title;
+  return buildTestFile({
+    heading: `StudyHub example for ${title}`,
+    title,
+    name: snippet.name,
+    url: url.href,
+    requiresAuth: document.body.hasAttribute("data-requires-auth"),
+    hasUploads: snippet.steps.some(step => step.kind === "upload"),
+    lines: snippet.steps.map(step => formatRecordedStep(snippetStep(step), framework))
+  }, framework);
+}
+
+/**
+ * Syntax-highlight test code for display: a fragment of text nodes and
+ * <span class="code-token code-token-{kind}"> elements, so code is never parsed as HTML.
+ */
+function highlightCode(code, framework) {
+  const language = framework === "robot" ? "robot" : "js";
+  const pattern = new RegExp(HIGHLIGHT_PATTERNS[language]);
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === "") {
+      pattern.lastIndex++;
+      continue;
+    }
+    const group = match.slice(1).findIndex(value => value !== undefined);
+    fragment.append(code.slice(last, match.index));
+    const token = document.createElement("span");
+    token.className = `code-token code-token-${HIGHLIGHT_TOKENS[language][group]}`;
+    token.textContent = match[0];
+    fragment.append(token);
+    last = match.index + match[0].length;
+  }
+  fragment.append(code.slice(last));
+  return fragment;
+}
+
+function setupTryItPanels() {
+  const scenario = getCurrentScenarioNumber();
+  const card = document.querySelector("main section.card");
+  if (!scenario || !card || !SCENARIO_SNIPPETS[scenario]) return;
+
+  const preferred = loadFrameworkPreference();
+  const frameworks = Object.keys(RECORDER_FORMATS);
+  const root = document.createElement("section");
+  root.className = "try-it";
+  root.dataset.test = "try-it";
+  root.dataset.toolUi = "";
+  root.dataset.framework = preferred;
+  root.setAttribute("aria-labelledby", "try-it-title");
+  root.innerHTML = `
+    <div class="try-it-header">
+      <h3 id="try-it-title">Try it in…</h3>
+      <button type="button" class="btn-secondary try-it-copy" data-test="try-it-copy">Copy</button>
+      <span class="try-it-copy-status" data-test="try-it-copy-status" role="status"></span>
+    </div>
+    <p class="try-it-intro">A complete example test for this scenario. Pick your framework; it's remembered on every page.</p>
+    <div class="tab-buttons" role="tablist" aria-label="Test framework">
+      ${frameworks.map(id => `
+        <button type="button" class="tab-button" role="tab" id="try-it-tab-${id}" aria-controls="try-it-panel-${id}"
+          aria-selected="${id === preferred}" data-test="try-it-tab-${id}">${RECORDER_FORMATS[id].label}</button>`).join("")}
+    </div>
+    ${frameworks.map(id => `
+      <div class="tab-pane" role="tabpanel" id="try-it-panel-${id}" aria-labelledby="try-it-tab-${id}" tabindex="0">
+        <pre class="try-it-code"><code data-test="try-it-code-${id}" data-framework="${id}"></code></pre>
+      </div>`).join("")}
+  `;
+  card.appendChild(root);
+
+  frameworks.forEach(id => {
+    root.querySelector(`[data-test="try-it-code-${id}"]`).append(highlightCode(buildSnippetFile(scenario, id), id));
+  });
+
+  const copyStatus = root.querySelector('[data-test="try-it-copy-status"]');
+  createTabs(root.querySelector('[role="tablist"]'), {
+    onSelect(tab) {
+      const framework = tab.id.replace("try-it-tab-", "");
+      root.dataset.framework = framework;
+      copyStatus.textContent = "";
+      saveFrameworkPreference(framework);
+    }
+  });
+
+  root.querySelector('[data-test="try-it-copy"]').addEventListener("click", () => {
+    const framework = root.dataset.framework;
+    copyToClipboard(buildSnippetFile(scenario, framework)).then(copied => {
+      copyStatus.textContent = copied ? `${RECORDER_FORMATS[framework].label} example copied` : "Copy failed: select the code and copy it yourself";
+    });
+  });
+}
+
+/**
+ * Shared URL State
+ * Scenarios that mirror their state in the query string (sort, filters, page) update
+ * it with replaceState by default, so reloads restore the view without flooding the
+ * back button. With { push: true } each change becomes a history entry; those
+ * scenarios re-read the URL on popstate. Null or empty values (pass null for a
+ * default) remove the parameter.
+ */
+function updateUrlParams(values, { push = false } = {}) {
+  const url = new URL(window.location.href);
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+  // ":" and "," are legal in a query string; keep them readable (?sort=score:desc,name:asc)
+  url.search = url.searchParams.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+  if (url.href === window.location.href) return;
+  if (push) window.history.pushState(null, '', url);
+  else window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Practice Page Scenarios
+ * 
+ * Six interactive test automation learning scenarios:
+ * 1. Visibility & Waits - Handle elements that appear/disappear dynamically
+ * 2. Form State - Real-time validation and field dependencies
+ * 3. Modal Interactions - Dialog/overlay context switching
+ * 4. Dynamic List Filtering - Multi-criteria filtering and state management
+ * 5. Async Operations - Button states during async work (saving, loading)
+ * 6. Sortable Tables - DOM manipulation and data reordering
+ */
+
+function setupPracticeScenarios() {
+  setupVisibilityScenario();
+  setupFormStateScenario();
+  setupModalScenario();
+  setupDynamicListScenario();
+  setupAsyncButtonScenario();
+  setupSortableTableScenario();
+  setupPaginationScenario();
+  setupTabsAndAccordion();
+  setupToastNotifications();
+  setupWizardForm();
+  setupFileUpload();
+  setupApiSimulation();
+  setupKeyboardNavigation();
+  setupDataGridActions();
+}
+
+/**
+ * Scenario 1: Visibility & Wait Patterns
+ * Tests the ability to handle dynamically appearing elements
+ * Click button → show spinner → 2s delay → hide spinner & show result
+ */
+function setupVisibilityScenario() {
+  const loadButton = document.getElementById("load-button");
+  if (!loadButton) return;
+
+  const spinner = document.getElementById("loading-spinner");
+  const result = document.getElementById("data-result");
+  const timestamp = document.getElementById("load-timestamp");
+  let timer = null;
+
+  loadButton.addEventListener("click", function () {
+    spinner.style.display = "block";
+    result.style.display = "none";
+
+    // Clicking again restarts the wait
+    clearTrackedTimeout(timer);
+    timer = trackedTimeout("visibility", function () {
+      spinner.style.display = "none";
+      result.style.display = "block";
+      timestamp.textContent = new Date().toLocaleTimeString();
+      logEvent("visibility.loaded");
+    }, testControls.delay("visibility", 2000));
+  });
+
+  registerScenarioApi("visibility", 1, {
+    reset() {
+      clearTrackedTimeout(timer);
+      spinner.style.display = "none";
+      result.style.display = "none";
+      timestamp.textContent = "";
+    },
+    snapshot() {
+      return {
+        loading: spinner.style.display === "block",
+        loaded: result.style.display === "block",
+        timestamp: timestamp.textContent
+      };
+    }
+  });
+}
+
+/**
+ * Scenario 2: Form State & Validation
+ * Tests real-time field validation and form dependency logic
+ * Submit button should only be enabled when:
+ * - Email is valid
+ * - Password is 8+ characters
+ * - Terms checkbox is checked
+ */
+function setupFormStateScenario() {
+  const form = document.getElementById("state-form");
+  if (!form) return;
+
+  const emailInput = document.getElementById("state-email");
+  const passwordInput = document.getElementById("state-password");
+  const agreeCheckbox = document.getElementById("agree-terms");
+  const submitButton = document.getElementById("state-submit");
+  const emailError = document.getElementById("email-error");
+  const passwordError = document.getElementById("password-error");
+  const formMessage = document.getElementById("form-message");
+
+  // Enable submit only when all conditions met
+  function checkFormValidity() {
+    const emailValid = emailInput.validity.valid && emailInput.value.length > 0;
+    const passwordValid = passwordInput.value.length >= 8;
+    const agreeChecked = agreeCheckbox.checked;
+    submitButton.disabled = !(emailValid && passwordValid && agreeChecked);
+  }
+
+  // Real-time validation feedback
+  function validateEmail() {
+    emailError.style.display = "";
+    if (!emailInput.validity.valid && emailInput.value.length > 0) {
+      emailError.textContent = "Please enter a valid email address.";
+      emailError.style.display = "block";
+    } else {
+      emailError.style.display = "none";
+    }
+    checkFormValidity();
+  }
+
+  function validatePassword() {
+    passwordError.style.display = "";
+    if (passwordInput.value.length > 0 && passwordInput.value.length < 8) {
+      passwordError.textContent = "Password must be at least 8 characters.";
+      passwordError.style.display = "block";
+    } else {
+      passwordError.style.display = "none";
+    }
+    checkFormValidity();
+  }
+
+  emailInput.addEventListener("input", validateEmail);
+  passwordInput.addEventListener("input", validatePassword);
+  agreeCheckbox.addEventListener("change", checkFormValidity);
+
+  form.addEventListener("submit", function (event) {
+    event.preventDefault();
+    formMessage.textContent = "✓ Form submitted successfully!";
+    formMessage.style.color = "green";
+    logEvent("form-state.submitted", { email: emailInput.value, agree: agreeCheckbox.checked });
+  });
+
+  registerScenarioApi("form-state", 2, {
+    reset() {
+      form.reset();
+      emailError.style.display = "none";
+      passwordError.style.display = "none";
+      formMessage.textContent = "";
+      formMessage.style.color = "";
+      checkFormValidity();
+    },
+    snapshot() {
+      return {
+        email: emailInput.value,
+        password: passwordInput.value,
+        agree: agreeCheckbox.checked,
+        emailError: emailError.style.display === "block" ? emailError.textContent : "",
+        passwordError: passwordError.style.display === "block" ? passwordError.textContent : "",
+        submitEnabled: !submitButton.disabled,
+        message: formMessage.textContent
+      };
+    },
+    // { email, password, agree }: fields left out keep their value
+    seed(data) {
+      if (data.email !== undefined) emailInput.value = data.email;
+      if (data.password !== undefined) passwordInput.value = data.password;
+      if (data.agree !== undefined) agreeCheckbox.checked = Boolean(data.agree);
+      validateEmail();
+      validatePassword();
+    }
+  });
+}
+
+/**
+ * Scenario 3: Modal Interactions
+ * Tests ability to interact with dialog windows and overlays
+ * Tests modal open/close, form interaction within modal, and overlay click handling
+ */
+function setupModalScenario() {
+  const openButton = document.getElementById("open-modal");
+  const closeButton = document.getElementById("close-modal");
+  const cancelButton = document.getElementById("modal-cancel");
+  const saveButton = document.getElementById("modal-save");
+  const modalOverlay = document.getElementById("modal-overlay");
+  const themeSelect = document.getElementById("theme-select");
+  const notificationsInput = document.getElementById("notifications");
+  const reducedMotionInput = document.getElementById("reduced-motion");
+  const summary = document.getElementById("settings-summary");
+
+  if (!openButton) return;
+
+  function readForm() {
+    return {
+      theme: themeSelect.value,
+      notifications: notificationsInput.checked,
+      reducedMotion: reducedMotionInput ? reducedMotionInput.checked : false
+    };
+  }
+
+  function fillForm(preferences) {
+    themeSelect.value = preferences.theme;
+    notificationsInput.checked = preferences.notifications;
+    if (reducedMotionInput) reducedMotionInput.checked = preferences.reducedMotion;
+  }
+
+  function renderSummary(preferences) {
+    if (!summary) return;
+    const themeLabel = themeSelect.querySelector(`option[value="${preferences.theme}"]`)?.textContent || preferences.theme;
+    summary.dataset.theme = preferences.theme;
+    summary.dataset.notifications = String(preferences.notifications);
+    summary.dataset.reducedMotion = String(preferences.reducedMotion);
+    summary.textContent = `Current settings: ${themeLabel} theme, notifications ${preferences.notifications ? "on" : "off"}, ` +
+      `reduced motion ${preferences.reducedMotion ? "on" : "off"}`;
+  }
+
+  function hasUnsavedChanges() {
+    const saved = loadPreferences();
+    const current = readForm();
+    return Object.keys(current).some(key => saved[key] !== current[key]);
+  }
+
+  // Ask before throwing away edits; the confirm dialog stacks on top of the settings modal
+  function requestClose() {
+    if (!hasUnsavedChanges()) {
+      settingsDialog.close();
+      return;
+    }
+    showConfirmDialog({
+      title: "Discard changes?",
+      message: "Your settings changes have not been saved.",
+      confirmLabel: "Discard",
+      cancelLabel: "Keep editing",
+      danger: true
+    }).then(discard => {
+      if (discard) settingsDialog.close();
+    });
+  }
+
+  const settingsDialog = createDialog(modalOverlay, {
+    initialFocus: "#theme-select",
+    onRequestClose() {
+      requestClose();
+      return false;
+    }
+  });
+
+  openButton.addEventListener("click", function () {
+    fillForm(loadPreferences());
+    settingsDialog.open();
+  });
+
+  closeButton.addEventListener("click", requestClose);
+  cancelButton.addEventListener("click", requestClose);
+
+  saveButton.addEventListener("click", function () {
+    const preferences = readForm();
+    savePreferences(preferences);
+    renderSummary(preferences);
+    logEvent("preferences.saved", preferences);
+    settingsDialog.close();
+    window.showToast?.("Settings saved", "success");
+  });
+
+  renderSummary(loadPreferences());
+
+  registerScenarioApi("modal", 3, {
+    // Closes the dialog without asking and goes back to the default preferences
+    reset() {
+      settingsDialog.close();
+      localStorage.removeItem(PREFERENCES_STORAGE_KEY);
+      applyPreferences(loadPreferences());
+      fillForm(loadPreferences());
+      renderSummary(loadPreferences());
+    },
+    snapshot() {
+      return { open: settingsDialog.isOpen(), form: readForm(), saved: loadPreferences() };
+    },
+    // { theme, notifications, reducedMotion }: saved as if chosen in the dialog
+    seed(data) {
+      const preferences = { ...loadPreferences(), ...data };
+      if (!PREFERENCE_THEMES.includes(preferences.theme)) throw new Error(`Unknown theme "${preferences.theme}"`);
+      savePreferences(preferences);
+      fillForm(preferences);
+      renderSummary(preferences);
+    }
+  });
+}
+
+/**
+ * Scenario 4: Dynamic List & Multiple Filters
+ * Tests combining multiple filter criteria
+ * Search (debounced, all columns, highlighted) AND any of the selected roles → row visibility,
+ * removable chips, result count and a "clear filters" empty state.
+ * Filter state lives in ?q=&role=admin,tester; each change is a history entry, so
+ * back/forward steps through previous filters.
+ */
+function setupDynamicListScenario() {
+  const searchInput = document.getElementById("member-search");
+  const roleFilter = document.getElementById("role-filter");
+  const resetButton = document.getElementById("reset-filters");
+  const table = document.getElementById("members-table");
+  const resultMessage = document.getElementById("filter-result-message");
+  const chips = document.getElementById("filter-chips");
+  const emptyState = document.getElementById("filter-empty");
+  const clearButton = document.getElementById("clear-filters");
+
+  if (!searchInput) return;
+
+  const rows = Array.from(table.querySelectorAll("tbody tr"));
+  let debounceTimer = null;
+
+  // The element holding each cell's text (the badge inside status cells), with its original text
+  const cells = rows.map(row => Array.from(row.cells).map(cell => {
+    const target = cell.querySelector(".status-badge") || cell;
+    return { target, text: target.textContent.trim() };
+  }));
+
+  function getSelectedRoles() {
+    return Array.from(roleFilter.selectedOptions).map(option => option.value).filter(Boolean);
+  }
+
+  function getRoleLabel(value) {
+    const option = Array.from(roleFilter.options).find(item => item.value === value);
+    return option ? option.textContent : value;
+  }
+
+  function highlight(cell, term) {
+    const index = term ? cell.text.toLowerCase().indexOf(term) : -1;
+    if (index === -1) {
+      cell.target.textContent = cell.text;
+      return;
+    }
+    const mark = document.createElement("mark");
+    mark.setAttribute("data-test", "search-highlight");
+    mark.textContent = cell.text.slice(index, index + term.length);
+    cell.target.replaceChildren(
+      cell.text.slice(0, index),
+      mark,
+      cell.text.slice(index + term.length)
+    );
+  }
+
+  function renderChips(searchTerm, roles) {
+    if (!chips) return;
+    chips.innerHTML = "";
+    const filters = roles.map(role => ({ type: "role", value: role, label: `Role: ${getRoleLabel(role)}` }));
+    if (searchTerm) filters.unshift({ type: "search", value: searchTerm, label: `Search: "${searchTerm}"` });
+
+    filters.forEach(filter => {
+      const chip = document.createElement("span");
+      chip.className = "filter-chip";
+      chip.setAttribute("data-test", "filter-chip");
+      chip.dataset.filter = filter.type;
+      chip.dataset.value = filter.value;
+      chip.textContent = filter.label;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "filter-chip-remove";
+      remove.setAttribute("data-test", "filter-chip-remove");
+      remove.setAttribute("aria-label", `Remove filter ${filter.label}`);
+      remove.textContent = "×";
+      remove.addEventListener("click", function () {
+        if (filter.type === "search") {
+          searchInput.value = "";
+        } else {
+          Array.from(roleFilter.options).forEach(option => {
+            if (option.value === filter.value) option.selected = false;
+          });
+        }
+        commitFilters();
+        searchInput.focus();
+      });
+
+      chip.appendChild(remove);
+      chips.appendChild(chip);
+    });
+    chips.style.display = filters.length ? "flex" : "none";
+  }
+
+  function applyFilters() {
+    const searchTerm = searchInput.value.trim().toLowerCase();
+    const selectedRoles = getSelectedRoles();
+    let visibleCount = 0;
+
+    rows.forEach((row, index) => {
+      const role = row.getAttribute("data-role") || "";
+      
+      const matchesSearch = !searchTerm || cells[index].some(cell => cell.text.toLowerCase().includes(searchTerm));
+      const matchesRole = selectedRoles.length === 0 || selectedRoles.includes(role.toLowerCase());
+      const isVisible = matchesSearch && matchesRole;
+
+      row.style.display = isVisible ? "" : "none";
+      cells[index].forEach(cell => highlight(cell, isVisible ? searchTerm : ""));
+      if (isVisible) visibleCount++;
+    });
+
+    const filtered = Boolean(searchTerm || selectedRoles.length);
+    renderChips(searchInput.value.trim(), selectedRoles);
+
+    // Update message (announced through aria-live)
+    resultMessage.dataset.count = visibleCount;
+    resultMessage.dataset.total = rows.length;
+    if (visibleCount === 0 && filtered) {
+      resultMessage.textContent = "No members found matching your filters.";
+      resultMessage.style.color = "var(--text-muted)";
+    } else {
+      resultMessage.textContent = filtered
+        ? `${visibleCount} of ${rows.length} member(s) found`
+        : `${visibleCount} member(s) found`;
+      resultMessage.style.color = "";
+    }
+    if (emptyState) emptyState.style.display = visibleCount === 0 && filtered ? "block" : "none";
+  }
+
+  // Apply now and record the filters in the URL as a new history entry
+  function commitFilters() {
+    clearTrackedTimeout(debounceTimer);
+    applyFilters();
+    updateUrlParams({ q: searchInput.value.trim(), role: getSelectedRoles() }, { push: true });
+    logEvent("filters.applied", {
+      query: searchInput.value.trim(),
+      roles: getSelectedRoles(),
+      count: Number(resultMessage.dataset.count)
+    });
+  }
+
+  function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const roles = (params.get("role") || "").split(",").filter(Boolean);
+    searchInput.value = params.get("q") || "";
+    Array.from(roleFilter.options).forEach(option => {
+      option.selected = roles.includes(option.value);
+    });
+    applyFilters();
+  }
+
+  function clearFilters() {
+    searchInput.value = "";
+    Array.from(roleFilter.options).forEach(option => {
+      option.selected = false;
+    });
+    commitFilters();
+  }
+
+  searchInput.addEventListener("input", function () {
+    clearTrackedTimeout(debounceTimer);
+    debounceTimer = trackedTimeout("search", commitFilters, testControls.delay("search", 300));
+  });
+  searchInput.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") commitFilters();
+  });
+  roleFilter.addEventListener("change", commitFilters);
+  resetButton.addEventListener("click", clearFilters);
+  if (clearButton) clearButton.addEventListener("click", clearFilters);
+  window.addEventListener("popstate", readFiltersFromUrl);
+
+  readFiltersFromUrl();
+
+  registerScenarioApi("filters", 4, {
+    reset() {
+      clearTrackedTimeout(debounceTimer);
+      searchInput.value = "";
+      Array.from(roleFilter.options).forEach(option => {
+        option.selected = false;
+      });
+      applyFilters();
+      updateUrlParams({ q: null, role: null });
+    },
+    snapshot() {
+      return {
+        query: searchInput.value.trim(),
+        roles: getSelectedRoles(),
+        visible: rows.filter(row => row.style.display !== "none").map(row => row.cells[0].textContent.trim()),
+        count: rows.filter(row => row.style.display !== "none").length
+      };
+    }
+  });
+}
+
+/**
+ * Scenario 5: Async Button & Loading States
+ * Tests button state management during async operations
+ * Button disables during operation, shows loading state, then success message
+ */
+function setupAsyncButtonScenario() {
+  const asyncButton = document.getElementById("async-submit");
+  if (!asyncButton) return;
+
+  const loading = document.getElementById("async-loading");
+  const success = document.getElementById("async-success");
+  const timestamp = document.getElementById("async-timestamp");
+  let timer = null;
+
+  asyncButton.addEventListener("click", function () {
+    asyncButton.disabled = true;
+    loading.style.display = "block";
+    success.style.display = "none";
+
+    timer = trackedTimeout("async", function () {
+      loading.style.display = "none";
+      success.style.display = "block";
+      timestamp.textContent = new Date().toLocaleTimeString();
+      asyncButton.disabled = false;
+      logEvent("async.saved");
+    }, testControls.delay("async", 3000));
+  });
+
+  registerScenarioApi("async", 5, {
+    reset() {
+      clearTrackedTimeout(timer);
+      asyncButton.disabled = false;
+      loading.style.display = "none";
+      success.style.display = "none";
+      timestamp.textContent = "";
+    },
+    snapshot() {
+      return {
+        saving: loading.style.display === "block",
+        saved: success.style.display === "block",
+        buttonDisabled: asyncButton.disabled,
+        timestamp: timestamp.textContent
+      };
+    }
+  });
+}
+
+/**
+ * Scenario 6: Sortable Table
+ * Tests ability to sort table data by clicking column headers
+ * Click → sort by that column (again → reverse) | Shift+click → add/toggle/remove a secondary sort
+ *
+ * Each header declares data-type (text, number, date, duration, percent). Empty or
+ * unparseable cells sort last in either direction, ties keep their previous order,
+ * and the sort is mirrored in ?sort=score:desc,name:asc so tests can deep-link.
+ */
+const SORT_EMPTY_VALUES = ['', '—', '-', 'n/a'];
+const SORT_DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+const SORT_PARSERS = {
+  text: text => text,
+  number: text => parseFloat(text.replace(/,/g, '')),
+  percent: text => parseFloat(text.replace('%', '')),
+  date: text => Date.parse(text),
+  // "234ms", "1.5s", "2m 5s" → milliseconds; a bare number is already ms
+  duration: text => {
+    const parts = text.toLowerCase().match(/\d+(\.\d+)?\s*(ms|s|m|h)?/g);
+    if (!parts || parts.join('').replace(/\s/g, '') !== text.toLowerCase().replace(/\s/g, '')) return NaN;
+    return parts.reduce((total, part) => {
+      const [, amount, , unit] = part.match(/(\d+(\.\d+)?)\s*(ms|s|m|h)?/);
+      return total + parseFloat(amount) * SORT_DURATION_UNITS[unit || 'ms'];
+    }, 0);
+  }
+};
+
+/** Parse a cell for sorting; null for empty or unparseable values. */
+function parseSortValue(text, type) {
+  const trimmed = text.trim();
+  if (SORT_EMPTY_VALUES.includes(trimmed.toLowerCase())) return null;
+  const value = (SORT_PARSERS[type] || SORT_PARSERS.text)(trimmed);
+  return typeof value === 'number' && isNaN(value) ? null : value;
+}
+
+function compareSortValues(a, b, type) {
+  if (type === 'text' || !SORT_PARSERS[type]) return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  return a - b;
+}
+
+function setupSortableTableScenario() {
+  const table = document.getElementById("scores-table");
+  if (!table) return;
+
+  const headers = Array.from(table.querySelectorAll("th.sortable"));
+  const tbody = table.querySelector("tbody");
+  const status = document.getElementById("sort-status");
+  // Sort keys in priority order: [{ field, direction }]
+  let sortKeys = [];
+
+  // Remember the markup order so every sort starts from the same baseline
+  Array.from(tbody.querySelectorAll("tr")).forEach((row, index) => {
+    row.dataset.originalIndex = index;
+  });
+  const markupRows = Array.from(tbody.querySelectorAll("tr")).map(row => row.cloneNode(true));
+
+  headers.forEach(header => {
+    header.style.cursor = "pointer";
+    header.tabIndex = 0;
+    if (!header.querySelector(".sort-priority")) {
+      const priority = document.createElement("span");
+      priority.className = "sort-priority";
+      priority.setAttribute("data-test", `sort-priority-${header.dataset.sort}`);
+      header.appendChild(priority);
+    }
+
+    header.addEventListener("click", function (e) {
+      toggleSort(this.dataset.sort, e.shiftKey);
+    });
+    header.addEventListener("keydown", function (e) {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        toggleSort(this.dataset.sort, e.shiftKey);
+      }
+    });
+  });
+
+  function toggleSort(field, additive) {
+    const existing = sortKeys.find(key => key.field === field);
+
+    if (!additive) {
+      // Plain click: sort by this column only; clicking the primary column again reverses it
+      const direction = existing && sortKeys[0] === existing && existing.direction === "asc" ? "desc" : "asc";
+      sortKeys = [{ field, direction }];
+    } else if (!existing) {
+      sortKeys.push({ field, direction: "asc" });
+    } else if (existing.direction === "asc") {
+      existing.direction = "desc";
+    } else {
+      sortKeys = sortKeys.filter(key => key !== existing);
+    }
+
+    applySort();
+    updateUrlParams({ sort: sortKeys.map(key => `${key.field}:${key.direction}`) });
+    logEvent("sort.changed", { sort: sortKeys.map(key => `${key.field}:${key.direction}`) });
+  }
+
+  function applySort() {
+    const rows = Array.from(tbody.querySelectorAll("tr"));
+    const columns = sortKeys.map(key => {
+      const index = headers.findIndex(h => h.dataset.sort === key.field);
+      return { ...key, index, type: headers[index].dataset.type || "text" };
+    });
+    const keyed = rows.map(row => ({
+      row,
+      original: Number(row.dataset.originalIndex),
+      values: columns.map(column => parseSortValue(row.cells[column.index].textContent, column.type))
+    }));
+
+    keyed.sort((a, b) => {
+      for (let i = 0; i < columns.length; i++) {
+        const valueA = a.values[i];
+        const valueB = b.values[i];
+        if (valueA === null && valueB === null) continue;
+        // Empty cells go last regardless of direction
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        const comparison = compareSortValues(valueA, valueB, columns[i].type);
+        if (comparison !== 0) return columns[i].direction === "asc" ? comparison : -comparison;
+      }
+      return a.original - b.original;
+    });
+
+    // Re-append sorted rows
+    keyed.forEach(item => tbody.appendChild(item.row));
+    renderIndicators();
+  }
+
+  function renderIndicators() {
+    headers.forEach(header => {
+      const index = sortKeys.findIndex(key => key.field === header.dataset.sort);
+      const key = sortKeys[index];
+      header.querySelector(".sort-indicator").textContent = key ? (key.direction === "asc" ? "↑" : "↓") : "";
+      header.querySelector(".sort-priority").textContent = key && sortKeys.length > 1 ? String(index + 1) : "";
+      // aria-sort belongs on the primary column only; data attributes describe every sorted column
+      header.setAttribute("aria-sort", index === 0 ? (key.direction === "asc" ? "ascending" : "descending") : "none");
+      if (key) {
+        header.dataset.sortDirection = key.direction;
+        header.dataset.sortPriority = index + 1;
+      } else {
+        delete header.dataset.sortDirection;
+        delete header.dataset.sortPriority;
+      }
+    });
+
+    if (status) {
+      status.textContent = sortKeys.length
+        ? "Sorted by " + sortKeys.map(key => {
+          const header = headers.find(h => h.dataset.sort === key.field);
+          return `${header.dataset.label || key.field} ${key.direction === "asc" ? "ascending" : "descending"}`;
+        }).join(", then ")
+        : "Not sorted";
+    }
+  }
+
+  // Restore ?sort=field:direction,... (unknown fields are ignored)
+  const fromUrl = new URLSearchParams(window.location.search).get("sort");
+  sortKeys = (fromUrl || "").split(",")
+    .map(part => {
+      const [field, direction] = part.split(":");
+      return { field, direction: direction === "desc" ? "desc" : "asc" };
+    })
+    .filter((key, i, keys) => headers.some(h => h.dataset.sort === key.field) && keys.findIndex(k => k.field === key.field) === i);
+  applySort();
+
+  registerScenarioApi("sort", 6, {
+    reset() {
+      tbody.replaceChildren(...markupRows.map(row => row.cloneNode(true)));
+      sortKeys = [];
+      applySort();
+      updateUrlParams({ sort: null });
+    },
+    snapshot() {
+      return {
+        sortKeys: sortKeys.map(key => ({ ...key })),
+        rows: Array.from(tbody.rows).map(row => row.cells[0].textContent.trim())
+      };
+    },
+    // { rows: [{ name, score, date, duration, passRate }] } as displayed ("1.2s", "92%"); the current sort is reapplied
+    seed(data) {
+      if (!Array.isArray(data.rows)) throw new Error("Sort seed needs { rows: [...] }");
+      tbody.replaceChildren(...data.rows.map((values, index) => {
+        const row = document.createElement("tr");
+        row.setAttribute("data-test", `score-row-${index + 1}`);
+        row.dataset.originalIndex = index;
+        headers.forEach(header => {
+          const cell = document.createElement("td");
+          cell.textContent = values[header.dataset.sort] ?? "";
+          row.appendChild(cell);
+        });
+        return row;
+      }));
+      applySort();
+    }
+  });
+}
+
+/**
+ * Scenario 7: Pagination
+ * Tests pagination controls and table state management
+ * Page size → numbered pages (with ellipsis), first/prev/next/last, jump → table updates → reflection in UI
+ * "Load more" mode appends pages to the same table instead of replacing them.
+ * State lives in ?page=&size=&mode=more; page changes are history entries, so
+ * reload and back/forward restore the view.
+ */
+const PAGINATION_PAGE_SIZES = [5, 10, 25];
+const PAGINATION_ROLES = ['QA Engineer', 'Developer', 'Product Manager', 'DevOps', 'Architect', 'Manager'];
+const PAGINATION_FIRST_NAMES = ['Paula', 'Quinn', 'Ravi', 'Sara', 'Tom', 'Uma', 'Victor', 'Wendy', 'Xavier', 'Yara', 'Zane', 'Amir'];
+const PAGINATION_LAST_NAMES = ['Nguyen', 'Okafor', 'Patel', 'Quist', 'Rossi', 'Schmidt'];
+
+const PAGINATION_MEMBERS = [
+  { id: 1, name: 'Alice Johnson', email: 'alice@example.com', role: 'QA Engineer' },
+  { id: 2, name: 'Bob Smith', email: 'bob@example.com', role: 'Developer' },
+  { id: 3, name: 'Carol White', email: 'carol@example.com', role: 'Product Manager' },
+  { id: 4, name: 'David Lee', email: 'david@example.com', role: 'QA Engineer' },
+  { id: 5, name: 'Eve Davis', email: 'eve@example.com', role: 'DevOps' },
+  { id: 6, name: 'Frank Brown', email: 'frank@example.com', role: 'Developer' },
+  { id: 7, name: 'Grace Chen', email: 'grace@example.com', role: 'QA Engineer' },
+  { id: 8, name: 'Henry Wilson', email: 'henry@example.com', role: 'Architect' },
+  { id: 9, name: 'Iris Taylor', email: 'iris@example.com', role: 'QA Engineer' },
+  { id: 10, name: 'Jack Martin', email: 'jack@example.com', role: 'Developer' },
+  { id: 11, name: 'Kate Anderson', email: 'kate@example.com', role: 'Manager' },
+  { id: 12, name: 'Liam Garcia', email: 'liam@example.com', role: 'QA Engineer' },
+  { id: 13, name: 'Maria Rodriguez', email: 'maria@example.com', role: 'Developer' },
+  { id: 14, name: 'Nathan Moore', email: 'nathan@example.com', role: 'QA Engineer' },
+  { id: 15, name: 'Olivia Jackson', email: 'olivia@example.com', role: 'Product Manager' }
+];
+
+/** The default members followed by generated ones, `count` in all (seed { count } uses it to show the ellipsis). */
+function generatePaginationMembers(count) {
+  return PAGINATION_MEMBERS.concat(Array.from({ length: Math.max(0, count - PAGINATION_MEMBERS.length) }, (_, i) => {
+    const first = PAGINATION_FIRST_NAMES[i % PAGINATION_FIRST_NAMES.length];
+    const last = PAGINATION_LAST_NAMES[Math.floor(i / PAGINATION_FIRST_NAMES.length) % PAGINATION_LAST_NAMES.length];
+    return {
+      id: PAGINATION_MEMBERS.length + i + 1,
+      name: `${first} ${last}`,
+      email: `${first.toLowerCase()}.${last.toLowerCase()}@example.com`,
+      role: PAGINATION_ROLES[i % PAGINATION_ROLES.length]
+    };
+  })).slice(0, count);
+}
+
+/** Page numbers to show: first, last and a window around the current page, with '…' for gaps. */
+function getPaginationItems(current, total, radius = 1) {
+  const pages = [];
+  for (let page = 1; page <= total; page++) {
+    if (page === 1 || page === total || Math.abs(page - current) <= radius) {
+      if (pages.length && page - pages[pages.length - 1] > 1) {
+        // A gap of exactly one page shows that page instead of an ellipsis
+        if (page - pages[pages.length - 1] === 2) pages.push(page - 1);
+        else pages.push('…');
+      }
+      pages.push(page);
+    }
+  }
+  return pages;
+}
+
+function setupPaginationScenario() {
+  const tbody = document.getElementById('pagination-body');
+  if (!tbody) return;
+  
+  let allData = PAGINATION_MEMBERS;
+  const paginationInfo = document.getElementById('pagination-info');
+  const range = document.getElementById('pagination-range');
+  const pageSizeSelect = document.getElementById('page-size');
+  const modeSelect = document.getElementById('pagination-mode');
+  const pagesNav = document.getElementById('pagination-pages');
+  const classicControls = document.getElementById('pagination-controls');
+  const loadMoreControls = document.getElementById('load-more-controls');
+  const loadMoreBtn = document.getElementById('load-more');
+  const firstBtn = document.getElementById('first-page');
+  const prevBtn = document.getElementById('prev-page');
+  const nextBtn = document.getElementById('next-page');
+  const lastBtn = document.getElementById('last-page');
+  const jumpForm = document.getElementById('page-jump-form');
+  const jumpInput = document.getElementById('page-jump');
+  const jumpError = document.getElementById('page-jump-error');
+  
+  let itemsPerPage = 5;
+  let currentPage = 1;
+  let mode = 'pages';
+  
+  function totalPages() {
+    return Math.max(1, Math.ceil(allData.length / itemsPerPage));
+  }
+  
+  function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const size = Number(params.get('size'));
+    itemsPerPage = PAGINATION_PAGE_SIZES.includes(size) ? size : 5;
+    mode = params.get('mode') === 'more' ? 'more' : 'pages';
+    currentPage = Math.min(totalPages(), Math.max(1, parseInt(params.get('page'), 10) || 1));
+  }
+  
+  // Defaults (page 1, size 5, classic mode) are left out of the URL
+  function writeStateToUrl(push) {
+    updateUrlParams({
+      page: currentPage === 1 ? null : currentPage,
+      size: itemsPerPage === 5 ? null : itemsPerPage,
+      mode: mode === 'more' ? 'more' : null
+    }, { push });
+  }
+  
+  // Every user change goes through here: render, record in history and log it
+  function commitState() {
+    renderPage();
+    writeStateToUrl(true);
+    logEvent('pagination.changed', { page: currentPage, size: itemsPerPage, mode });
+  }
+  
+  function goToPage(page) {
+    const target = Math.min(totalPages(), Math.max(1, page));
+    if (target === currentPage) return;
+    currentPage = target;
+    commitState();
+  }
+  
+  function renderRows(pageData) {
+    tbody.innerHTML = '';
+    pageData.forEach(item => {
+      const row = document.createElement('tr');
+      row.setAttribute('data-test', 'pagination-row');
+      row.dataset.id = item.id;
+      [item.id, item.name, item.email, item.role].forEach((value, index) => {
+        const cell = document.createElement('td');
+        if (index === 1) cell.dataset.test = 'pagination-name';
+        if (index === 3) {
+          const badge = document.createElement('span');
+          badge.className = 'status-badge active';
+          badge.textContent = value;
+          cell.appendChild(badge);
+        } else {
+          cell.textContent = value;
+        }
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  }
   
-  function renderStep() {
-    // Hide all steps
-    document.querySelectorAll('[data-wizard-step]').forEach(step => {
-      step.style.display = 'none';
+  function renderPageButtons() {
+    if (!pagesNav) return;
+    pagesNav.innerHTML = '';
+    getPaginationItems(currentPage, totalPages()).forEach(item => {
+      if (item === '…') {
+        const gap = document.createElement('span');
+        gap.className = 'pagination-ellipsis';
+        gap.setAttribute('data-test', 'pagination-ellipsis');
+        gap.setAttribute('aria-hidden', 'true');
+        gap.textContent = '…';
+        pagesNav.appendChild(gap);
+        return;
+      }
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = item === currentPage ? 'btn-primary' : 'btn-secondary';
+      button.setAttribute('data-test', `page-${item}`);
+      button.setAttribute('aria-label', `Page ${item}`);
+      if (item === currentPage) button.setAttribute('aria-current', 'page');
+      button.textContent = item;
+      button.addEventListener('click', () => goToPage(item));
+      pagesNav.appendChild(button);
     });
+  }
+  
+  function renderPage() {
+    const total = totalPages();
+    // In "Load more" mode the table holds every page loaded so far
+    const startIdx = mode === 'more' ? 0 : (currentPage - 1) * itemsPerPage;
+    const endIdx = Math.min(allData.length, currentPage * itemsPerPage);
+    renderRows(allData.slice(startIdx, endIdx));
     
-    // Show current step
-    const currentStepEl = document.querySelector(`[data-wizard-step="${currentStep}"]`);
-    if (currentStepEl) currentStepEl.style.display = 'block';
-    
-    // Update button states
-    const prevBtn = document.getElementById('wizard-prev');
-    const nextBtn = document.getElementById('wizard-next');
-    const submitBtn = document.getElementById('wizard-submit');
+    // Update pagination info
+    if (paginationInfo) {
+      paginationInfo.textContent = `Page ${currentPage} of ${total}`;
+    }
+    if (range) {
+      range.textContent = `Showing ${allData.length ? startIdx + 1 : 0}–${endIdx} of ${allData.length}`;
+      range.dataset.start = startIdx + 1;
+      range.dataset.end = endIdx;
+      range.dataset.total = allData.length;
+    }
+    if (pageSizeSelect) pageSizeSelect.value = String(itemsPerPage);
+    if (modeSelect) modeSelect.value = mode;
+    if (jumpInput) jumpInput.max = total;
     
-    if (prevBtn) prevBtn.disabled = currentStep === 1;
-    if (nextBtn) nextBtn.style.display = currentStep === totalSteps ? 'none' : 'inline-block';
-    if (submitBtn) submitBtn.style.display = currentStep === totalSteps ? 'inline-block' : 'none';
+    if (classicControls) classicControls.style.display = mode === 'pages' ? 'flex' : 'none';
+    if (loadMoreControls) loadMoreControls.style.display = mode === 'more' ? 'flex' : 'none';
+    if (loadMoreBtn) {
+      const remaining = allData.length - endIdx;
+      loadMoreBtn.disabled = remaining === 0;
+      loadMoreBtn.textContent = remaining === 0 ? 'All members loaded' : `Load ${Math.min(itemsPerPage, remaining)} more`;
+      loadMoreBtn.dataset.remaining = remaining;
+    }
     
-    // Update progress
-    updateWizardProgress();
+    // Enable/disable buttons
+    if (firstBtn) firstBtn.disabled = currentPage === 1;
+    if (prevBtn) prevBtn.disabled = currentPage === 1;
+    if (nextBtn) nextBtn.disabled = currentPage === total;
+    if (lastBtn) lastBtn.disabled = currentPage === total;
+    renderPageButtons();
   }
   
-  function updateWizardProgress() {
-    const progressBar = document.querySelector('.progress-bar');
-    if (progressBar) {
-      const percent = (currentStep / totalSteps) * 100;
-      progressBar.style.width = percent + '%';
+  // Event listeners
+  firstBtn?.addEventListener('click', () => goToPage(1));
+  prevBtn?.addEventListener('click', () => goToPage(currentPage - 1));
+  nextBtn?.addEventListener('click', () => goToPage(currentPage + 1));
+  lastBtn?.addEventListener('click', () => goToPage(totalPages()));
+  
+  loadMoreBtn?.addEventListener('click', () => {
+    const firstNewRow = currentPage * itemsPerPage;
+    goToPage(currentPage + 1);
+    // Move focus to the first new row so keyboard users continue from there
+    const row = tbody.rows[firstNewRow];
+    if (row) {
+      row.tabIndex = -1;
+      row.focus();
     }
-    
-    const stepIndicators = document.querySelectorAll('.step-indicator');
-    stepIndicators.forEach((indicator, idx) => {
-      const stepNum = idx + 1;
-      if (stepNum <= currentStep) {
-        indicator.classList.add('active');
+  });
+  
+  jumpForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const page = Number(jumpInput.value);
+    if (!Number.isInteger(page) || page < 1 || page > totalPages()) {
+      jumpError.textContent = `Enter a page from 1 to ${totalPages()}.`;
+      jumpInput.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    jumpError.textContent = '';
+    jumpInput.removeAttribute('aria-invalid');
+    jumpInput.value = '';
+    goToPage(page);
+  });
+  
+  // Keep the first visible member on screen when the page size changes
+  pageSizeSelect?.addEventListener('change', () => {
+    const firstItem = mode === 'more' ? 0 : (currentPage - 1) * itemsPerPage;
+    itemsPerPage = Number(pageSizeSelect.value);
+    currentPage = Math.floor(firstItem / itemsPerPage) + 1;
+    commitState();
+  });
+  
+  // Switching modes keeps the same number of loaded pages
+  modeSelect?.addEventListener('change', () => {
+    mode = modeSelect.value === 'more' ? 'more' : 'pages';
+    commitState();
+  });
+  
+  window.addEventListener('popstate', () => {
+    readStateFromUrl();
+    renderPage();
+  });
+  
+  // Initial render
+  readStateFromUrl();
+  renderPage();
+  
+  registerScenarioApi('pagination', 7, {
+    reset() {
+      allData = PAGINATION_MEMBERS;
+      itemsPerPage = 5;
+      currentPage = 1;
+      mode = 'pages';
+      if (jumpInput) {
+        jumpInput.value = '';
+        jumpInput.removeAttribute('aria-invalid');
+      }
+      if (jumpError) jumpError.textContent = '';
+      renderPage();
+      writeStateToUrl(false);
+    },
+    snapshot() {
+      return {
+        currentPage,
+        itemsPerPage,
+        mode,
+        totalPages: totalPages(),
+        total: allData.length,
+        rows: Array.from(tbody.rows).map(row => Number(row.dataset.id))
+      };
+    },
+    // { members: [{ id?, name, email, role }] } replaces the member list and goes back to page 1;
+    // { count: n } uses n members instead (the default 15, then generated ones)
+    seed(data) {
+      if (Number.isInteger(data.count) && data.count >= 0) {
+        allData = generatePaginationMembers(data.count);
+      } else if (Array.isArray(data.members)) {
+        allData = data.members.map((member, index) => ({ id: index + 1, ...member }));
       } else {
-        indicator.classList.remove('active');
+        throw new Error('Pagination seed needs { members: [...] } or { count: n }');
+      }
+      currentPage = 1;
+      renderPage();
+      writeStateToUrl(false);
+    }
+  });
+}
+
+/**
+ * Tabs (WAI-ARIA tabs pattern)
+ * Wires a [role="tablist"] whose [role="tab"] buttons point at their panels with
+ * aria-controls. Roving tabindex: only the selected tab is in the Tab order; Left/Right
+ * (wrapping), Home and End move between tabs. activation "automatic" selects on focus;
+ * "manual" waits for Enter or Space. Returns { select(id), setActivation(mode), selected() }.
+ */
+function createTabs(tablist, { activation = 'automatic', onSelect } = {}) {
+  const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+  let mode = activation;
+  
+  function panelFor(tab) {
+    return document.getElementById(tab.getAttribute('aria-controls'));
+  }
+  
+  function select(tab, { focus = false, notify = true } = {}) {
+    tabs.forEach(item => {
+      const selected = item === tab;
+      item.setAttribute('aria-selected', String(selected));
+      item.tabIndex = selected ? 0 : -1;
+      item.classList.toggle('active', selected);
+      const panel = panelFor(item);
+      if (panel) {
+        panel.hidden = !selected;
+        panel.classList.toggle('active', selected);
       }
     });
+    if (focus) tab.focus();
+    if (notify && onSelect) onSelect(tab, panelFor(tab));
   }
   
-  // Navigation buttons
-  const prevBtn = document.getElementById('wizard-prev');
-  const nextBtn = document.getElementById('wizard-next');
-  const submitBtn = document.getElementById('wizard-submit');
+  tabs.forEach((tab, index) => {
+    tab.addEventListener('click', () => select(tab));
+    tab.addEventListener('keydown', (e) => {
+      const moves = {
+        ArrowRight: (index + 1) % tabs.length,
+        ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1
+      };
+      if (e.key in moves) {
+        e.preventDefault();
+        const target = tabs[moves[e.key]];
+        if (mode === 'automatic') {
+          select(target, { focus: true });
+        } else {
+          // Manual activation: move focus (and the roving tabindex) without selecting
+          tabs.forEach(item => { item.tabIndex = item === target ? 0 : -1; });
+          target.focus();
+        }
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        select(tab);
+      }
+    });
+  });
+  
+  tablist.dataset.activation = mode;
+  const initial = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+  if (initial) select(initial, { notify: false });
+  
+  return {
+    select(id) {
+      const tab = tabs.find(item => item.id === id || item.getAttribute('aria-controls') === id);
+      if (tab) select(tab, { notify: false });
+      return Boolean(tab);
+    },
+    setActivation(next) {
+      mode = next === 'manual' ? 'manual' : 'automatic';
+      tablist.dataset.activation = mode;
+    },
+    selected() {
+      return tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
+    }
+  };
+}
+
+/**
+ * Accordion (WAI-ARIA accordion pattern)
+ * Each .accordion-header button has aria-expanded and aria-controls pointing at its
+ * [role="region"] panel. Up/Down (wrapping), Home and End move between headers. With
+ * singleExpand, opening one section closes the others. onToggle(header, expanded)
+ * runs when the user opens or closes a section.
+ * Returns { open(id), close(id), expandAll(), collapseAll(), setSingleExpand(on) }.
+ */
+function createAccordion(root, { singleExpand = false, onToggle } = {}) {
+  const headers = Array.from(root.querySelectorAll('.accordion-header'));
+  let single = singleExpand;
   
-  if (prevBtn) {
-    prevBtn.addEventListener('click', () => {
-      if (currentStep > 1) {
-        currentStep--;
-        renderStep();
+  function setExpanded(header, expanded) {
+    header.setAttribute('aria-expanded', String(expanded));
+    header.classList.toggle('active', expanded);
+    const panel = document.getElementById(header.getAttribute('aria-controls'));
+    if (panel) panel.hidden = !expanded;
+  }
+  
+  function toggle(header, expanded) {
+    if (expanded && single) headers.forEach(other => setExpanded(other, other === header));
+    else setExpanded(header, expanded);
+  }
+  
+  headers.forEach((header, index) => {
+    header.addEventListener('click', () => {
+      const expanded = header.getAttribute('aria-expanded') !== 'true';
+      toggle(header, expanded);
+      if (onToggle) onToggle(header, expanded);
+    });
+    header.addEventListener('keydown', (e) => {
+      const moves = {
+        ArrowDown: (index + 1) % headers.length,
+        ArrowUp: (index - 1 + headers.length) % headers.length,
+        Home: 0,
+        End: headers.length - 1
+      };
+      if (e.key in moves) {
+        e.preventDefault();
+        headers[moves[e.key]].focus();
       }
     });
+    setExpanded(header, header.getAttribute('aria-expanded') === 'true');
+  });
+  
+  function find(id) {
+    return headers.find(header => header.id === id || header.getAttribute('aria-controls') === id);
+  }
+  
+  return {
+    open(id) {
+      const header = find(id);
+      if (header) toggle(header, true);
+      return header || null;
+    },
+    close(id) {
+      const header = find(id);
+      if (header) setExpanded(header, false);
+    },
+    expandAll() {
+      if (!single) headers.forEach(header => setExpanded(header, true));
+    },
+    collapseAll() {
+      headers.forEach(header => setExpanded(header, false));
+    },
+    setSingleExpand(on) {
+      single = Boolean(on);
+      root.dataset.singleExpand = String(single);
+      // Keep only the first open section when switching to single-expand
+      if (single) {
+        const open = headers.filter(header => header.getAttribute('aria-expanded') === 'true');
+        open.slice(1).forEach(header => setExpanded(header, false));
+      }
+    }
+  };
+}
+
+/**
+ * Scenario 8: Accordion & Tabs
+ * Tests tab switching and accordion expansion/collapse
+ * Click/arrow keys on tabs → switch view | Click accordion header → toggle expansion
+ * The hash deep-links: #tab-details selects a tab, #accordion-2 opens a section.
+ * Activation mode comes from the select or ?tabs=manual; single-expand from ?accordion=single.
+ */
+function setupTabsAndAccordion() {
+  const tablist = document.querySelector('.tab-buttons[role="tablist"]');
+  const accordionRoot = document.querySelector('.accordion');
+  if (!tablist && !accordionRoot) return;
+  
+  const params = new URLSearchParams(window.location.search);
+  const activationSelect = document.getElementById('tabs-activation');
+  const singleExpandToggle = document.getElementById('accordion-single');
+  const expandAllBtn = document.getElementById('accordion-expand-all');
+  const collapseAllBtn = document.getElementById('accordion-collapse-all');
+  
+  // Reflect the chosen tab in the hash (replaceState: no history entry, no scroll jump)
+  const tabs = tablist && createTabs(tablist, {
+    activation: params.get('tabs') === 'manual' ? 'manual' : 'automatic',
+    onSelect: (tab, panel) => {
+      if (panel) window.history.replaceState(window.history.state, '', `#${panel.id}`);
+      logEvent('tabs.selected', { tab: tab.id, panel: panel ? panel.id : null });
+    }
+  });
+  const accordion = accordionRoot && createAccordion(accordionRoot, {
+    singleExpand: params.get('accordion') === 'single',
+    onToggle: (header, expanded) => logEvent('accordion.toggled', { section: header.id, expanded })
+  });
+  
+  if (tabs && activationSelect) {
+    activationSelect.value = tablist.dataset.activation;
+    activationSelect.addEventListener('change', () => tabs.setActivation(activationSelect.value));
+  }
+  
+  function syncSingleExpand(on) {
+    accordion.setSingleExpand(on);
+    if (singleExpandToggle) singleExpandToggle.checked = on;
+    if (expandAllBtn) expandAllBtn.disabled = on;
+  }
+  
+  if (accordion) {
+    syncSingleExpand(params.get('accordion') === 'single');
+    singleExpandToggle?.addEventListener('change', () => syncSingleExpand(singleExpandToggle.checked));
+    expandAllBtn?.addEventListener('click', () => accordion.expandAll());
+    collapseAllBtn?.addEventListener('click', () => accordion.collapseAll());
+  }
+  
+  function applyHash() {
+    let id;
+    try {
+      id = decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+      return; // Malformed hash such as #%E0: nothing to open
+    }
+    if (!id) return;
+    if (tabs && tabs.select(id)) return;
+    const header = accordion && accordion.open(id);
+    if (header) {
+      header.scrollIntoView({ block: 'center' });
+      header.focus();
+    }
   }
   
-  if (nextBtn) {
-    nextBtn.addEventListener('click', () => {
-      // Simple validation: check if form has required fields
-      const currentStepEl = document.querySelector(`[data-wizard-step="${currentStep}"]`);
-      const inputs = currentStepEl?.querySelectorAll('input[required]');
-      let isValid = true;
+  // The markup state, before the hash is applied, is what reset() returns to
+  const accordionHeaders = accordionRoot ? Array.from(accordionRoot.querySelectorAll('.accordion-header')) : [];
+  const initialTab = tabs && tabs.selected()?.id;
+  const initialOpen = accordionHeaders.filter(header => header.getAttribute('aria-expanded') === 'true').map(header => header.id);
+  
+  applyHash();
+  window.addEventListener('hashchange', applyHash);
+  
+  registerScenarioApi('tabs', 8, {
+    reset() {
+      if (tabs) {
+        tabs.select(initialTab);
+        tabs.setActivation('automatic');
+        if (activationSelect) activationSelect.value = 'automatic';
+      }
+      if (accordion) {
+        syncSingleExpand(false);
+        accordion.collapseAll();
+        initialOpen.forEach(id => accordion.open(id));
+      }
+      window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+      updateUrlParams({ tabs: null, accordion: null });
+    },
+    snapshot() {
+      return {
+        selectedTab: tabs ? tabs.selected()?.id || null : null,
+        activation: tablist ? tablist.dataset.activation : null,
+        expanded: accordionHeaders.filter(header => header.getAttribute('aria-expanded') === 'true').map(header => header.id),
+        singleExpand: accordionRoot ? accordionRoot.dataset.singleExpand === 'true' : false
+      };
+    }
+  });
+}
+
+/**
+ * Scenario 9: Toast Notifications
+ * Tests temporary notification messages
+ * Click button → toast appears → auto-dismiss after 3s | or click X to close
+ * Extra triggers show an action toast and a burst that overflows into the queue.
+ */
+function setupToastNotifications() {
+  const triggers = document.querySelectorAll('[data-test^="toast-trigger"]');
+  if (triggers.length === 0) return;
+  
+  const positionSelect = document.getElementById('toast-position');
+  const position = () => positionSelect?.value || 'top-right';
+  
+  triggers.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const kind = btn.getAttribute('data-test').replace('toast-trigger-', '');
       
-      if (inputs) {
-        inputs.forEach(input => {
-          if (!input.value.trim()) {
-            isValid = false;
-            input.classList.add('error');
-          }
+      if (kind === 'action') {
+        const handle = window.showToast('Message archived', 'info', 5000, {
+          position: position(),
+          actions: [{ label: 'Undo', onClick: () => window.showToast('Archive undone', 'success', 3000, { position: position() }) }]
         });
+        btn.dataset.lastToastId = handle.id;
+        return;
+      }
+      
+      if (kind === 'burst') {
+        for (let i = 1; i <= 5; i++) {
+          window.showToast(`Notification ${i} of 5`, 'info', 3000, { position: position() });
+        }
+        return;
       }
       
-      if (isValid && currentStep < totalSteps) {
-        currentStep++;
-        renderStep();
+      window.showToast(`This is a ${kind} notification!`, kind, 3000, { position: position() });
+    });
+  });
+
+  registerScenarioApi('toasts', 9, {
+    reset() {
+      toastManager.clear();
+      if (positionSelect) positionSelect.value = 'top-right';
+    },
+    snapshot() {
+      return {
+        visible: toastManager.visibleCount,
+        queued: toastManager.queuedCount,
+        position: position()
+      };
+    }
+  });
+}
+
+/**
+ * Scenario 10: Multi-Step Wizard Form
+ * Tests form flow across multiple steps
+ * Next → validate step → step update | Back → step back | Review → Submit → confirmation
+ *
+ * Steps and field rules are declared in WIZARD_STEPS. A step with `when` only
+ * appears when its condition holds (the Team step is only for managers), and the
+ * review step is generated from the answers. Answers and the current step are kept
+ * in sessionStorage so a reload resumes the draft.
+ */
+const WIZARD_DRAFT_KEY = 'studyhub-wizard-draft';
+const WIZARD_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const WIZARD_STEPS = [
+  {
+    id: 'personal',
+    element: 'wizard-step-1',
+    title: 'Personal Information',
+    fields: {
+      'wizard-name': { label: 'Full name', rules: [{ rule: 'required' }, { rule: 'minLength', value: 2 }] },
+      'wizard-email': { label: 'Email', rules: [{ rule: 'required' }, { rule: 'email' }] }
+    }
+  },
+  {
+    id: 'contact',
+    element: 'wizard-step-2',
+    title: 'Contact Details',
+    fields: {
+      'wizard-contact-method': { label: 'Preferred contact' },
+      'wizard-phone': {
+        label: 'Phone',
+        rules: [
+          { rule: 'requiredIf', field: 'wizard-contact-method', equals: 'phone', message: 'Phone is required when you prefer to be contacted by phone.' },
+          { rule: 'pattern', value: /^\+?[\d\s().-]{7,20}$/, message: 'Enter a phone number like +1 (555) 000-0000.' }
+        ]
+      },
+      'wizard-address': { label: 'Address', rules: [{ rule: 'minLength', value: 5 }] }
+    }
+  },
+  {
+    id: 'preferences',
+    element: 'wizard-step-3',
+    title: 'Preferences',
+    fields: {
+      'wizard-marketing': { label: 'Subscribe to updates' },
+      'wizard-role': { label: 'Preferred role', rules: [{ rule: 'required' }] }
+    }
+  },
+  {
+    id: 'team',
+    element: 'wizard-step-team',
+    title: 'Team Details',
+    when: values => values['wizard-role'] === 'Manager',
+    fields: {
+      'wizard-team-size': { label: 'Team size', rules: [{ rule: 'required' }, { rule: 'integer', min: 1, max: 500 }] },
+      'wizard-team-name': { label: 'Team name' }
+    }
+  },
+  {
+    id: 'review',
+    element: 'wizard-step-review',
+    title: 'Review',
+    review: true,
+    fields: {}
+  }
+];
+
+/** Check one field's rules against all answers. Returns the first message, or ''. */
+function validateWizardField(config, value, values) {
+  const isEmpty = value === '' || value === false;
+  
+  for (const check of config.rules || []) {
+    const message = check.message;
+    switch (check.rule) {
+      case 'required':
+        if (isEmpty) return message || `${config.label} is required.`;
+        break;
+      case 'requiredIf':
+        if (values[check.field] === check.equals && isEmpty) return message || `${config.label} is required.`;
+        break;
+      case 'email':
+        if (!isEmpty && !WIZARD_EMAIL_PATTERN.test(value)) return message || 'Enter a valid email address, like john@example.com.';
+        break;
+      case 'pattern':
+        if (!isEmpty && !check.value.test(value)) return message || `${config.label} is not in the expected format.`;
+        break;
+      case 'minLength':
+        if (!isEmpty && String(value).length < check.value) return message || `${config.label} must be at least ${check.value} characters.`;
+        break;
+      case 'integer': {
+        const number = Number(value);
+        if (!isEmpty && (!Number.isInteger(number) || number < check.min || number > check.max)) {
+          return message || `${config.label} must be a whole number from ${check.min} to ${check.max}.`;
+        }
+        break;
       }
+    }
+  }
+  return '';
+}
+
+function setupWizardForm() {
+  const form = document.getElementById('wizard-form');
+  if (!form) return;
+  
+  const prevBtn = document.getElementById('wizard-prev');
+  const nextBtn = document.getElementById('wizard-next');
+  const submitBtn = document.getElementById('wizard-submit');
+  const progressFill = document.getElementById('progress-fill');
+  const indicators = document.getElementById('wizard-indicators');
+  const review = document.getElementById('wizard-review');
+  const draftStatus = document.getElementById('wizard-draft-status');
+  const resetBtn = document.getElementById('wizard-reset');
+  const success = document.getElementById('wizard-success');
+  
+  const fieldIds = WIZARD_STEPS.flatMap(step => Object.keys(step.fields));
+  let currentId = WIZARD_STEPS[0].id;
+  const completed = new Set();
+  const touched = new Set();
+  
+  function readValue(id) {
+    const field = document.getElementById(id);
+    if (!field) return '';
+    return field.type === 'checkbox' ? field.checked : field.value.trim();
+  }
+  
+  function writeValue(id, value) {
+    const field = document.getElementById(id);
+    if (!field) return;
+    if (field.type === 'checkbox') field.checked = Boolean(value);
+    else field.value = value;
+  }
+  
+  function readValues() {
+    return Object.fromEntries(fieldIds.map(id => [id, readValue(id)]));
+  }
+  
+  function visibleSteps() {
+    const values = readValues();
+    return WIZARD_STEPS.filter(step => !step.when || step.when(values));
+  }
+  
+  function getErrorElement(id) {
+    const field = document.getElementById(id);
+    let error = document.getElementById(`${id}-error`);
+    if (!error && field) {
+      error = document.createElement('span');
+      error.id = `${id}-error`;
+      error.className = 'error-message';
+      error.setAttribute('data-test', `${id}-error`);
+      error.setAttribute('aria-live', 'polite');
+      field.closest('.form-row')?.appendChild(error);
+      field.setAttribute('aria-describedby', error.id);
+    }
+    return error;
+  }
+  
+  // Show or clear the inline message for one field; returns whether it is valid
+  function checkField(step, id) {
+    const field = document.getElementById(id);
+    const message = validateWizardField(step.fields[id], readValue(id), readValues());
+    const error = getErrorElement(id);
+    if (field) {
+      field.classList.toggle('error', Boolean(message));
+      field.setAttribute('aria-invalid', String(Boolean(message)));
+    }
+    if (error) error.textContent = message;
+    return !message;
+  }
+  
+  function checkStep(step) {
+    const results = Object.keys(step.fields).map(id => {
+      touched.add(id);
+      return checkField(step, id);
     });
+    const firstInvalid = Object.keys(step.fields).find((id, index) => !results[index]);
+    if (firstInvalid) document.getElementById(firstInvalid)?.focus();
+    return !firstInvalid;
   }
   
-  if (submitBtn) {
-    submitBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      window.showToast?.('Wizard submitted successfully!', 'success') || 
-      alert('Form submitted!');
+  function saveDraft() {
+    try {
+      sessionStorage.setItem(WIZARD_DRAFT_KEY, JSON.stringify({
+        values: readValues(),
+        step: currentId,
+        completed: Array.from(completed)
+      }));
+    } catch (error) {
+      // Storage unavailable or full: the wizard works, a reload just starts over
+    }
+  }
+  
+  function clearDraft() {
+    try {
+      sessionStorage.removeItem(WIZARD_DRAFT_KEY);
+    } catch (error) {
+      // Storage unavailable: no draft was saved
+    }
+  }
+  
+  function restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(sessionStorage.getItem(WIZARD_DRAFT_KEY));
+    } catch (error) {
+      draft = null;
+    }
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    if (!isObject(draft) || !isObject(draft.values) || !Array.isArray(draft.completed)) return false;
+    
+    Object.entries(draft.values).forEach(([id, value]) => {
+      if (fieldIds.includes(id)) writeValue(id, value);
+    });
+    draft.completed.forEach(id => completed.add(id));
+    if (visibleSteps().some(step => step.id === draft.step)) currentId = draft.step;
+    return true;
+  }
+  
+  function renderReview() {
+    if (!review) return;
+    review.innerHTML = '';
+    visibleSteps().filter(step => !step.review).forEach(step => {
+      const section = document.createElement('div');
+      section.className = 'wizard-review-section';
+      section.setAttribute('data-test', `wizard-review-${step.id}`);
+      
+      const heading = document.createElement('h5');
+      heading.textContent = step.title;
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'btn-secondary wizard-review-edit';
+      edit.setAttribute('data-test', `wizard-review-edit-${step.id}`);
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => goTo(step.id));
+      heading.appendChild(edit);
+      
+      const list = document.createElement('dl');
+      Object.entries(step.fields).forEach(([id, config]) => {
+        const value = readValue(id);
+        const term = document.createElement('dt');
+        term.textContent = config.label;
+        const detail = document.createElement('dd');
+        detail.setAttribute('data-test', `review-${id}`);
+        const field = document.getElementById(id);
+        const display = field?.tagName === 'SELECT' ? field.selectedOptions[0]?.textContent : value;
+        detail.textContent = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : (display || '—');
+        list.append(term, detail);
+      });
+      
+      section.append(heading, list);
+      review.appendChild(section);
+    });
+  }
+  
+  function renderIndicators(steps, currentIndex) {
+    if (!indicators) return;
+    indicators.innerHTML = '';
+    steps.forEach((step, index) => {
+      const indicator = document.createElement('button');
+      indicator.type = 'button';
+      indicator.className = 'step-indicator';
+      indicator.setAttribute('data-test', `step-${index + 1}`);
+      indicator.setAttribute('data-step-id', step.id);
+      indicator.textContent = `${index + 1}. ${step.title}`;
+      
+      let status = 'upcoming';
+      if (index === currentIndex) status = 'current';
+      else if (completed.has(step.id)) status = 'complete';
+      indicator.setAttribute('data-status', status);
+      indicator.classList.toggle('active', index <= currentIndex);
+      indicator.classList.toggle('complete', status === 'complete');
+      if (status === 'current') indicator.setAttribute('aria-current', 'step');
+      // Only completed steps can be revisited from the indicator
+      indicator.disabled = status !== 'complete';
+      indicator.addEventListener('click', () => goTo(step.id));
+      indicators.appendChild(indicator);
+    });
+  }
+  
+  function renderStep() {
+    const steps = visibleSteps();
+    if (!steps.some(step => step.id === currentId)) currentId = steps[0].id;
+    const currentIndex = steps.findIndex(step => step.id === currentId);
+    const current = steps[currentIndex];
+    
+    WIZARD_STEPS.forEach(step => {
+      const element = document.getElementById(step.element);
+      if (element) element.style.display = step.id === currentId ? 'block' : 'none';
+    });
+    // Once reached, the review step stays one click away; submit re-checks everything anyway
+    if (current.review) {
+      completed.add(current.id);
+      renderReview();
+    }
+    
+    form.setAttribute('data-current-step', current.id);
+    if (prevBtn) {
+      prevBtn.disabled = currentIndex === 0;
+      prevBtn.style.display = currentIndex === 0 ? 'none' : 'inline-block';
+    }
+    if (nextBtn) nextBtn.style.display = current.review ? 'none' : 'inline-block';
+    if (submitBtn) submitBtn.style.display = current.review ? 'inline-block' : 'none';
+    
+    if (progressFill) progressFill.style.width = `${((currentIndex + 1) / steps.length) * 100}%`;
+    renderIndicators(steps, currentIndex);
+  }
+  
+  function goTo(stepId) {
+    currentId = stepId;
+    renderStep();
+    saveDraft();
+    const element = document.getElementById(WIZARD_STEPS.find(step => step.id === stepId).element);
+    element?.querySelector('input, select, textarea, button')?.focus();
+  }
+  
+  prevBtn?.addEventListener('click', () => {
+    const steps = visibleSteps();
+    const index = steps.findIndex(step => step.id === currentId);
+    if (index > 0) goTo(steps[index - 1].id);
+  });
+  
+  nextBtn?.addEventListener('click', () => {
+    const steps = visibleSteps();
+    const index = steps.findIndex(step => step.id === currentId);
+    if (!checkStep(steps[index])) return;
+    completed.add(currentId);
+    logEvent('wizard.step-completed', { step: currentId });
+    if (index < steps.length - 1) goTo(steps[index + 1].id);
+  });
+  
+  submitBtn?.addEventListener('click', (e) => {
+    e.preventDefault();
+    
+    // Re-check every step that applies; jump to the first one with problems
+    const invalid = visibleSteps().find(step => !step.review && !Object.keys(step.fields).every(id => checkField(step, id)));
+    if (invalid) {
+      completed.delete(invalid.id);
+      goTo(invalid.id);
+      checkStep(invalid);
+      window.showToast(`Please fix the ${invalid.title} step before submitting.`, 'error');
+      logEvent('wizard.submit-blocked', { step: invalid.id });
+      return;
+    }
+    
+    clearDraft();
+    form.style.display = 'none';
+    if (success) {
+      success.style.display = 'block';
+      success.querySelector('[data-test="wizard-success-name"]').textContent = readValue('wizard-name');
+    }
+    window.showToast('Wizard submitted successfully!', 'success');
+    logEvent('wizard.submitted', { values: readValues() });
+  });
+  
+  function resetWizard() {
+    clearDraft();
+    fieldIds.forEach(id => {
+      const field = document.getElementById(id);
+      if (field?.type === 'checkbox') field.checked = false;
+      else if (field?.tagName === 'SELECT') field.selectedIndex = 0;
+      else if (field) field.value = '';
+      field?.classList.remove('error');
+      field?.removeAttribute('aria-invalid');
+      const error = document.getElementById(`${id}-error`);
+      if (error) error.textContent = '';
     });
+    completed.clear();
+    touched.clear();
+    currentId = WIZARD_STEPS[0].id;
+    if (draftStatus) draftStatus.style.display = 'none';
+    renderStep();
   }
   
+  resetBtn?.addEventListener('click', () => {
+    resetWizard();
+    logEvent('wizard.reset');
+  });
+  
+  // Validate on blur, then live once a field has been visited; save the draft on every change
+  WIZARD_STEPS.forEach(step => {
+    Object.keys(step.fields).forEach(id => {
+      const field = document.getElementById(id);
+      if (!field) return;
+      field.addEventListener('blur', () => {
+        touched.add(id);
+        checkField(step, id);
+      });
+      const onChange = () => {
+        if (touched.has(id)) checkField(step, id);
+        // Conditional rules depend on other fields, so refresh their messages too
+        WIZARD_STEPS.forEach(other => Object.keys(other.fields).forEach(otherId => {
+          if (otherId !== id && touched.has(otherId)) checkField(other, otherId);
+        }));
+        saveDraft();
+        renderIndicators(visibleSteps(), visibleSteps().findIndex(item => item.id === currentId));
+      };
+      field.addEventListener('input', onChange);
+      field.addEventListener('change', onChange);
+    });
+  });
+  
+  if (restoreDraft() && draftStatus) {
+    draftStatus.style.display = 'flex';
+  }
   renderStep();
+  
+  registerScenarioApi('wizard', 10, {
+    reset() {
+      resetWizard();
+      form.style.display = '';
+      if (success) success.style.display = 'none';
+    },
+    snapshot() {
+      return {
+        step: currentId,
+        steps: visibleSteps().map(step => step.id),
+        completed: Array.from(completed),
+        values: readValues(),
+        submitted: Boolean(success && success.style.display === 'block')
+      };
+    },
+    // { values: { 'wizard-name': ... }, step? }: fields are filled without validation;
+    // steps before the target one count as completed
+    seed(data) {
+      Object.entries(data.values || {}).forEach(([id, value]) => {
+        if (!fieldIds.includes(id)) throw new Error(`Unknown wizard field "${id}"`);
+        writeValue(id, value);
+      });
+      const steps = visibleSteps();
+      const index = steps.findIndex(step => step.id === (data.step || currentId));
+      if (index === -1 && data.step) throw new Error(`Step "${data.step}" is not available for these values`);
+      currentId = steps[Math.max(0, index)].id;
+      steps.slice(0, Math.max(0, index)).forEach(step => completed.add(step.id));
+      renderStep();
+      saveDraft();
+    }
+  });
 }
 
 /**
  * Scenario 11: File Upload
  * Tests file upload with drag-drop and progress tracking
- * Drag file → drop zone → file added to list → progress simulation
+ * Drag/select files → validate (type, size, count, duplicates) → queued → uploading → done | failed
+ *
+ * Limits come from data-max-size (bytes) and data-max-files on the upload zone, or
+ * ?maxSize= / ?maxFiles=. Uploads are simulated by default (test controls "upload"
+ * delay and outcome); ?upload=server or the mode select POSTs each file to the mock
+ * API (POST /api/uploads) with real progress events.
  */
+const UPLOAD_ALLOWED_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'text/plain': ['.txt'],
+  'application/pdf': ['.pdf']
+};
+const UPLOAD_MAX_SIZE = 5 * 1024 * 1024;
+const UPLOAD_MAX_FILES = 5;
+const UPLOAD_CONCURRENCY = 2;
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** The allowed MIME type for a file, falling back to its extension when the browser reports none. */
+function getUploadType(file) {
+  if (UPLOAD_ALLOWED_TYPES[file.type]) return file.type;
+  if (file.type) return null;
+  const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  return Object.keys(UPLOAD_ALLOWED_TYPES).find(type => UPLOAD_ALLOWED_TYPES[type].includes(extension)) || null;
+}
+
 function setupFileUpload() {
   const uploadZone = document.getElementById('upload-zone');
   const fileInput = document.getElementById('file-input');
   const uploadList = document.getElementById('upload-list');
+  const rejections = document.getElementById('upload-rejections');
+  const summary = document.getElementById('upload-summary');
+  const overall = document.getElementById('upload-progress');
+  const overallBar = document.getElementById('upload-bar');
+  const result = document.getElementById('upload-result');
+  const clearBtn = document.getElementById('upload-clear');
+  const modeSelect = document.getElementById('upload-mode');
   
   if (!uploadZone || !fileInput) return;
   
-  // Click to upload
-  uploadZone.addEventListener('click', () => fileInput.click());
+  const params = new URLSearchParams(window.location.search);
+  const maxSize = Number(params.get('maxSize')) || Number(uploadZone.dataset.maxSize) || UPLOAD_MAX_SIZE;
+  const maxFiles = Number(params.get('maxFiles')) || Number(uploadZone.dataset.maxFiles) || UPLOAD_MAX_FILES;
+  if (modeSelect && params.get('upload')) modeSelect.value = params.get('upload');
+  
+  const limits = document.getElementById('upload-limits');
+  if (limits) limits.textContent = `Allowed: JPG, PNG, PDF, TXT (max ${formatFileSize(maxSize)} each, up to ${maxFiles} files)`;
+  
+  const uploads = [];
+  let nextId = 1;
+  
+  // Click (or Enter/Space) to upload
+  uploadZone.addEventListener('click', (e) => {
+    if (e.target !== fileInput) fileInput.click();
+  });
+  uploadZone.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      fileInput.click();
+    }
+  });
   
   // Handle drop
   uploadZone.addEventListener('dragover', (e) => {
@@ -797,163 +7202,822 @@ function setupFileUpload() {
     handleFiles(e.dataTransfer.files);
   });
   
-  // File input change
+  // File input change; clear the value so picking the same file again fires change
   fileInput.addEventListener('change', (e) => {
     handleFiles(e.target.files);
+    fileInput.value = '';
   });
   
+  function clearUploads() {
+    uploads.slice().forEach(upload => removeUpload(upload));
+    if (rejections) rejections.innerHTML = '';
+    updateSummary();
+  }
+  
+  clearBtn?.addEventListener('click', clearUploads);
+  
+  function reject(file, reason, message) {
+    window.showToast(message, 'error');
+    logEvent('upload.rejected', { name: file.name, reason });
+    if (!rejections) return;
+    const item = document.createElement('li');
+    item.setAttribute('data-test', 'upload-rejected');
+    item.dataset.reason = reason;
+    item.dataset.fileName = file.name;
+    item.textContent = message;
+    rejections.appendChild(item);
+  }
+  
   function handleFiles(files) {
+    if (rejections) rejections.innerHTML = '';
+    
     Array.from(files).forEach(file => {
-      // Validate file type
-      const validTypes = ['image/jpeg', 'image/png', 'text/plain', 'application/pdf'];
-      if (!validTypes.includes(file.type)) {
-        window.showToast?.(`Invalid file type: ${file.type}`, 'error') || 
-        alert('Invalid file type');
+      if (!getUploadType(file)) {
+        reject(file, 'type', `Invalid file type: ${file.name} (${file.type || 'unknown'})`);
+        return;
+      }
+      if (file.size > maxSize) {
+        reject(file, 'size', `${file.name} is ${formatFileSize(file.size)}; the limit is ${formatFileSize(maxSize)}`);
+        return;
+      }
+      const duplicate = uploads.some(upload =>
+        upload.file.name === file.name && upload.file.size === file.size && upload.file.lastModified === file.lastModified
+      );
+      if (duplicate) {
+        reject(file, 'duplicate', `${file.name} is already in the list`);
+        return;
+      }
+      if (uploads.length >= maxFiles) {
+        reject(file, 'count', `Only ${maxFiles} files can be uploaded at once; ${file.name} was skipped`);
         return;
       }
       
-      // Simulate upload
-      simulateUpload(file);
+      addUpload(file);
     });
+    
+    pump();
+    updateSummary();
   }
   
-  function simulateUpload(file) {
-    const fileItem = document.createElement('div');
-    fileItem.className = 'file-upload-item';
-    fileItem.innerHTML = `
-      <span data-test="file-name">${file.name}</span>
-      <div class="progress-bar" style="width: 0%"></div>
+  function addUpload(file) {
+    const upload = { id: nextId++, file, status: 'queued', progress: 0, error: '', abort: null, thumbnail: null, untrack: null };
+    
+    const item = document.createElement('div');
+    item.className = 'file-upload-item';
+    item.setAttribute('data-test', 'file-item');
+    item.dataset.uploadId = upload.id;
+    item.dataset.fileName = file.name;
+    
+    if (file.type.startsWith('image/') && window.URL && URL.createObjectURL) {
+      upload.thumbnail = URL.createObjectURL(file);
+      const img = document.createElement('img');
+      img.className = 'file-thumbnail';
+      img.src = upload.thumbnail;
+      img.alt = `Preview of ${file.name}`;
+      img.setAttribute('data-test', 'file-thumbnail');
+      item.appendChild(img);
+    }
+    
+    const details = document.createElement('div');
+    details.className = 'file-details';
+    details.innerHTML = `
+      <div class="file-row">
+        <span data-test="file-name"></span>
+        <span class="file-size" data-test="file-size"></span>
+        <span class="file-status" data-test="file-status" aria-live="polite"></span>
+      </div>
+      <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" data-test="file-progress">
+        <div class="progress-fill"></div>
+      </div>
+      <span class="error-message" data-test="file-error"></span>
     `;
+    details.querySelector('[data-test="file-name"]').textContent = file.name;
+    details.querySelector('[data-test="file-size"]').textContent = formatFileSize(file.size);
+    details.querySelector('[data-test="file-progress"]').setAttribute('aria-label', `Upload progress for ${file.name}`);
+    
+    const actions = document.createElement('div');
+    actions.className = 'file-actions';
+    [['cancel', 'Cancel'], ['retry', 'Retry'], ['remove', 'Remove']].forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn-secondary';
+      button.setAttribute('data-test', `file-${action}`);
+      button.setAttribute('aria-label', `${label} ${file.name}`);
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+    actions.querySelector('[data-test="file-cancel"]').addEventListener('click', () => cancelUpload(upload));
+    actions.querySelector('[data-test="file-retry"]').addEventListener('click', () => retryUpload(upload));
+    actions.querySelector('[data-test="file-remove"]').addEventListener('click', () => {
+      removeUpload(upload);
+      updateSummary();
+    });
+    
+    item.append(details, actions);
+    upload.element = item;
+    if (uploadList) uploadList.appendChild(item);
+    uploads.push(upload);
+    renderUpload(upload);
+  }
+  
+  const STATUS_LABELS = { queued: 'Queued', uploading: 'Uploading', done: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+  
+  function renderUpload(upload) {
+    const item = upload.element;
+    const progress = Math.round(upload.progress);
+    item.dataset.status = upload.status;
+    item.querySelector('[data-test="file-status"]').textContent =
+      upload.status === 'uploading' ? `Uploading ${progress}%` : STATUS_LABELS[upload.status];
+    const bar = item.querySelector('[data-test="file-progress"]');
+    bar.setAttribute('aria-valuenow', String(progress));
+    bar.querySelector('.progress-fill').style.width = `${progress}%`;
+    item.querySelector('[data-test="file-error"]').textContent = upload.status === 'failed' ? upload.error : '';
+    
+    item.querySelector('[data-test="file-cancel"]').hidden = !['queued', 'uploading'].includes(upload.status);
+    item.querySelector('[data-test="file-retry"]').hidden = !['failed', 'cancelled'].includes(upload.status);
+    item.querySelector('[data-test="file-remove"]').hidden = upload.status === 'uploading';
+  }
+  
+  function updateSummary() {
+    const counts = { queued: 0, uploading: 0, done: 0, failed: 0, cancelled: 0 };
+    uploads.forEach(upload => counts[upload.status]++);
+    const totalBytes = uploads.reduce((sum, upload) => sum + upload.file.size, 0);
+    const sentBytes = uploads.reduce((sum, upload) => sum + upload.file.size * upload.progress / 100, 0);
+    const busy = counts.queued + counts.uploading > 0;
+    
+    if (summary) {
+      summary.style.display = uploads.length ? 'block' : 'none';
+      summary.dataset.total = uploads.length;
+      summary.dataset.totalBytes = totalBytes;
+      Object.entries(counts).forEach(([status, count]) => {
+        summary.dataset[status] = count;
+      });
+      summary.textContent = `${uploads.length} file${uploads.length === 1 ? '' : 's'} (${formatFileSize(totalBytes)}): ` +
+        `${counts.done} done, ${counts.uploading} uploading, ${counts.queued} queued, ${counts.failed} failed` +
+        (counts.cancelled ? `, ${counts.cancelled} cancelled` : '');
+    }
+    if (overall) overall.style.display = busy ? 'block' : 'none';
+    if (overallBar) overallBar.style.width = `${totalBytes ? Math.round(sentBytes / totalBytes * 100) : 0}%`;
+    if (result) {
+      const settled = uploads.length > 0 && !busy && counts.done > 0;
+      result.style.display = settled ? 'block' : 'none';
+      result.textContent = counts.failed
+        ? `✓ ${counts.done} of ${uploads.length} files uploaded; ${counts.failed} failed`
+        : `✓ ${counts.done} file${counts.done === 1 ? '' : 's'} uploaded successfully`;
+      result.dataset.status = counts.failed ? 'partial' : 'complete';
+    }
+    if (clearBtn) clearBtn.style.display = uploads.length ? 'inline-block' : 'none';
+  }
+  
+  // Start queued uploads while fewer than UPLOAD_CONCURRENCY are running
+  function pump() {
+    while (uploads.filter(upload => upload.status === 'uploading').length < UPLOAD_CONCURRENCY) {
+      const next = uploads.find(upload => upload.status === 'queued');
+      if (!next) return;
+      startUpload(next);
+    }
+  }
+  
+  // Tell settled() this upload is no longer in flight
+  function untrack(upload) {
+    if (upload.untrack) upload.untrack();
+    upload.untrack = null;
+  }
+  
+  function finish(upload, status, error) {
+    untrack(upload);
+    upload.status = status;
+    upload.error = error || '';
+    upload.abort = null;
+    if (status === 'done') upload.progress = 100;
+    renderUpload(upload);
+    logEvent(`upload.${status}`, { name: upload.file.name, size: upload.file.size, error: upload.error || undefined });
+    if (status === 'done') window.showToast(`${upload.file.name} uploaded`, 'success');
+    if (status === 'failed') window.showToast(`${upload.file.name} failed: ${upload.error}`, 'error');
+    pump();
+    updateSummary();
+  }
+  
+  function onProgress(upload, progress) {
+    upload.progress = progress;
+    renderUpload(upload);
+    updateSummary();
+  }
+  
+  function startUpload(upload) {
+    upload.untrack = trackWork(`upload ${upload.file.name}`);
+    upload.status = 'uploading';
+    upload.progress = 0;
+    upload.error = '';
+    renderUpload(upload);
     
-    if (uploadList) uploadList.appendChild(fileItem);
+    const useServer = (modeSelect ? modeSelect.value : params.get('upload')) === 'server';
+    upload.abort = useServer ? sendToServer(upload) : simulateUpload(upload);
+  }
+  
+  function simulateUpload(upload) {
+    // Decide the outcome up front so ?outcome= and ?seed= give repeatable results
+    const fails = testControls.shouldFail(0);
+    const failAt = 30 + testControls.random() * 50;
     
-    // Simulate progress
-    let progress = 0;
     const interval = setInterval(() => {
-      progress += Math.random() * 30;
+      const progress = Math.min(100, upload.progress + 10 + testControls.random() * 20);
+      if (fails && progress >= failAt) {
+        clearInterval(interval);
+        finish(upload, 'failed', 'Upload interrupted (simulated network error)');
+        return;
+      }
       if (progress >= 100) {
-        progress = 100;
         clearInterval(interval);
+        finish(upload, 'done');
+        return;
+      }
+      onProgress(upload, progress);
+    }, testControls.delay("upload", 200));
+    
+    return () => clearInterval(interval);
+  }
+  
+  function sendToServer(upload) {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${getMockApiBase()}/uploads`);
+    xhr.setRequestHeader('Content-Type', upload.file.type || 'application/octet-stream');
+    xhr.setRequestHeader('X-File-Name', encodeURIComponent(upload.file.name));
+    
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) onProgress(upload, e.loaded / e.total * 100);
+    });
+    xhr.addEventListener('load', () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        finish(upload, 'done');
+        return;
+      }
+      let message = `Server responded ${xhr.status}`;
+      try {
+        message = JSON.parse(xhr.responseText).error || message;
+      } catch (error) {
+        // Keep the status-based message
       }
-      const progressBar = fileItem.querySelector('.progress-bar');
-      if (progressBar) progressBar.style.width = progress + '%';
-    }, 200);
+      finish(upload, 'failed', message);
+    });
+    xhr.addEventListener('error', () => finish(upload, 'failed', 'Upload server unreachable (is npm run mock-api running?)'));
+    xhr.send(upload.file);
+    
+    return () => xhr.abort();
+  }
+  
+  function cancelUpload(upload) {
+    if (upload.abort) upload.abort();
+    untrack(upload);
+    upload.abort = null;
+    upload.status = 'cancelled';
+    logEvent('upload.cancelled', { name: upload.file.name, size: upload.file.size });
+    renderUpload(upload);
+    pump();
+    updateSummary();
   }
+  
+  function retryUpload(upload) {
+    upload.status = 'queued';
+    upload.progress = 0;
+    renderUpload(upload);
+    pump();
+    updateSummary();
+  }
+  
+  function removeUpload(upload) {
+    if (upload.abort) upload.abort();
+    untrack(upload);
+    if (upload.thumbnail) URL.revokeObjectURL(upload.thumbnail);
+    upload.element.remove();
+    uploads.splice(uploads.indexOf(upload), 1);
+    pump();
+  }
+  
+  registerScenarioApi('upload', 11, {
+    reset() {
+      clearUploads();
+      fileInput.value = '';
+    },
+    snapshot() {
+      return {
+        mode: (modeSelect ? modeSelect.value : params.get('upload')) === 'server' ? 'server' : 'simulated',
+        limits: { maxSize, maxFiles },
+        uploads: uploads.map(upload => ({
+          name: upload.file.name,
+          type: upload.file.type,
+          size: upload.file.size,
+          status: upload.status,
+          progress: Math.round(upload.progress),
+          error: upload.error
+        })),
+        rejected: rejections
+          ? Array.from(rejections.children).map(item => ({ name: item.dataset.fileName, reason: item.dataset.reason }))
+          : []
+      };
+    },
+    // { files: [{ name, type, size?, content? }] } goes through the same checks as picked files
+    seed(data) {
+      if (!Array.isArray(data.files)) throw new Error('Upload seed needs { files: [...] }');
+      handleFiles(data.files.map(spec => new File(
+        [spec.content !== undefined ? spec.content : new Uint8Array(spec.size || 0)],
+        spec.name,
+        { type: spec.type || '', lastModified: spec.lastModified || 0 }
+      )));
+    }
+  });
 }
 
 /**
  * Scenario 12: API Simulation & Dynamic Data
  * Tests fetching and displaying dynamic data
- * Click button → simulate network delay → populate table | or show error
+ * Click button → fetch from the mock API (server/mock-api.js) → populate table | empty state | error state.
+ * Timeouts, 429 and 5xx responses are retried with exponential backoff; Cancel aborts the request.
+ * When the mock API isn't running, falls back to built-in sample data with simulated responses.
  */
+const API_MAX_ATTEMPTS = 3;
+const API_TIMEOUT_MS = 5000;
+
+const API_ERROR_MESSAGES = {
+  unauthorized: 'You are not authorized to view test runs (401). Sign in again and retry.',
+  'not-found': 'The test-runs endpoint was not found (404). Check the API base URL.',
+  'rate-limited': 'Too many requests (429). Wait a moment before loading again.',
+  server: 'The server failed to process the request',
+  timeout: 'The request timed out',
+  http: 'The request failed'
+};
+
 function setupApiSimulation() {
   const loadBtn = document.getElementById('load-data-btn');
+  const cancelBtn = document.getElementById('cancel-load-btn');
+  const modeSelect = document.getElementById('api-response-mode');
+  const panel = document.getElementById('api-panel');
   const apiTable = document.getElementById('api-table');
   const errorMsg = document.getElementById('api-error');
+  const emptyMsg = document.getElementById('api-empty');
+  const cancelledMsg = document.getElementById('api-cancelled');
+  const attemptsMsg = document.getElementById('api-attempts');
+  const loading = document.getElementById('api-loading');
+  const source = document.getElementById('api-source');
   
   if (!loadBtn) return;
   
-  const mockData = [
-    { id: 101, title: 'Login Page Test', status: 'PASS', duration: '234ms' },
-    { id: 102, title: 'Search Functionality', status: 'FAIL', duration: '512ms' },
-    { id: 103, title: 'User Profile Update', status: 'PASS', duration: '189ms' },
-    { id: 104, title: 'Payment Processing', status: 'PASS', duration: '1234ms' },
-    { id: 105, title: 'Data Export', status: 'FAIL', duration: '2101ms' }
+  const sampleData = [
+    { id: 101, title: 'Login Page Test', status: 'PASS', duration: 234 },
+    { id: 102, title: 'Search Functionality', status: 'FAIL', duration: 512 },
+    { id: 103, title: 'User Profile Update', status: 'PASS', duration: 189 },
+    { id: 104, title: 'Payment Processing', status: 'PASS', duration: 1234 },
+    { id: 105, title: 'Data Export', status: 'FAIL', duration: 2101 }
   ];
+  let mockData = sampleData;
+  const apiBase = getMockApiBase();
+  const pageParams = new URLSearchParams(window.location.search);
+  const timeoutMs = Number(pageParams.get('timeout')) || API_TIMEOUT_MS;
+  let controller = null;
+  let useFallback = false;
   
-  loadBtn.addEventListener('click', async () => {
-    loadBtn.disabled = true;
-    loadBtn.textContent = 'Loading...';
-    if (errorMsg) errorMsg.style.display = 'none';
+  if (modeSelect && pageParams.get('response')) {
+    modeSelect.value = pageParams.get('response');
+  }
+  
+  function show(element, visible) {
+    if (element) element.style.display = visible ? 'block' : 'none';
+  }
+  
+  function setState(state) {
+    if (panel) panel.dataset.state = state;
+    show(loading, state === 'loading' || state === 'retrying');
+    show(emptyMsg, state === 'empty');
+    show(cancelledMsg, state === 'cancelled');
+    show(errorMsg, state === 'error');
+    if (apiTable && state !== 'success') apiTable.style.display = 'none';
+  }
+  
+  function showAttempt(attempt, text) {
+    if (!attemptsMsg) return;
+    attemptsMsg.dataset.attempt = attempt;
+    attemptsMsg.dataset.maxAttempts = API_MAX_ATTEMPTS;
+    attemptsMsg.textContent = text || `Attempt ${attempt} of ${API_MAX_ATTEMPTS}`;
+    attemptsMsg.style.display = 'block';
+  }
+  
+  function showSource(kind, text) {
+    if (!source) return;
+    source.dataset.source = kind;
+    source.textContent = text;
+    source.style.display = 'block';
+  }
+  
+  function showError(error) {
+    if (!errorMsg) return;
+    errorMsg.dataset.errorType = error.kind;
+    errorMsg.innerHTML = '';
+    const message = document.createElement('p');
+    message.dataset.test = `api-error-${error.kind}`;
+    message.textContent = `❌ ${error.message}`;
+    errorMsg.appendChild(message);
+  }
+  
+  function renderRows(items) {
+    const tbody = apiTable?.querySelector('tbody');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      row.dataset.id = item.id;
+      [item.id, item.title, item.status, `${item.duration}ms`].forEach((value, index) => {
+        const cell = document.createElement('td');
+        if (index === 1) cell.dataset.test = 'api-title';
+        if (index === 2) {
+          const badge = document.createElement('span');
+          badge.className = `status-badge ${item.status === 'PASS' ? 'active' : 'error'}`;
+          badge.textContent = value;
+          cell.appendChild(badge);
+        } else {
+          cell.textContent = value;
+        }
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    apiTable.style.display = 'table';
+  }
+  
+  // Status the selected response mode forces on this attempt, or 0 for a normal response.
+  function forcedStatus(mode, attempt) {
+    if (['401', '404', '429', '500'].includes(mode)) return Number(mode);
+    if (mode === 'flaky' && attempt < API_MAX_ATTEMPTS) return 500;
+    return 0;
+  }
+  
+  // Ask the mock API for the first page of test runs. The response mode and test
+  // controls are forwarded as the server's own latency/failure injection.
+  function requestFromServer(mode, attempt, signal) {
+    const params = new URLSearchParams({ limit: '5', latency: String(testControls.delay("api", 1500)) });
+    const status = forcedStatus(mode, attempt) || (testControls.shouldFail(0) ? 500 : 0);
+    if (status) params.set('fail', String(status));
+    if (mode === 'timeout') params.set('latency', String(timeoutMs + 1000));
+    if (mode === 'empty') params.set('q', 'no-matching-test-runs');
+    return fetch(`${apiBase}/test-runs?${params}`, { signal });
+  }
+  
+  // Same contract as the server, answered locally when it isn't running.
+  async function simulateResponse(mode, attempt, signal) {
+    if (mode === 'timeout') {
+      await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    }
+    await abortableDelay(testControls.delay("api", 1500), signal);
+    
+    // Random 500s (20% chance) are mostly absorbed by the retries; a forced mode or
+    // ?outcome=failure makes every attempt fail so the error state is reachable
+    const status = forcedStatus(mode, attempt) || (testControls.shouldFail(0.2) ? 500 : 200);
+    const data = mode === 'empty' ? [] : mockData;
+    const body = status === 200
+      ? { data, page: 1, limit: 5, total: data.length, totalPages: 1 }
+      : { error: `Simulated failure (${status})` };
+    const headers = { 'Content-Type': 'application/json' };
+    if (status === 429) headers['Retry-After'] = '1';
+    return new Response(JSON.stringify(body), { status, headers });
+  }
+  
+  // One request with its own timeout, classified into an apiClientError on failure.
+  async function attemptRequest(mode, attempt) {
+    const attemptController = new AbortController();
+    const abort = event => attemptController.abort(event.target.reason);
+    controller.signal.addEventListener('abort', abort);
+    const timer = setTimeout(() => {
+      attemptController.abort(apiClientError('timeout', `${API_ERROR_MESSAGES.timeout} after ${timeoutMs / 1000}s.`, { retryable: true }));
+    }, timeoutMs);
+    const { signal } = attemptController;
     
     try {
-      // Simulate network delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Simulate random errors (20% chance)
-      if (Math.random() < 0.2) {
-        throw new Error('Network error occurred');
+      let response = null;
+      if (!useFallback) {
+        try {
+          response = await requestFromServer(mode, attempt, signal);
+        } catch (error) {
+          if (signal.aborted) throw signal.reason;
+          useFallback = true; // Server unreachable
+          showSource('fallback', `Mock API not reachable at ${apiBase}. Start it with "npm run mock-api" — showing built-in sample data instead.`);
+        }
       }
-      
-      // Populate table
-      const tbody = apiTable?.querySelector('tbody');
-      if (tbody) {
-        tbody.innerHTML = mockData.map(item => `
-          <tr>
-            <td>${item.id}</td>
-            <td data-test="api-title">${item.title}</td>
-            <td><span class="status-badge ${item.status === 'PASS' ? 'active' : 'error'}">${item.status}</span></td>
-            <td>${item.duration}</td>
-          </tr>
-        `).join('');
+      if (!response) {
+        response = await simulateResponse(mode, attempt, signal);
       }
       
-      window.showToast?.('Data loaded successfully!', 'success') || alert('Data loaded');
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw classifyApiResponse(response, body);
+      if (!useFallback) {
+        showSource('server', `Loaded ${body.data.length} of ${body.total} test runs from ${apiBase}`);
+      }
+      return body.data;
     } catch (error) {
-      if (errorMsg) {
-        errorMsg.style.display = 'block';
-        errorMsg.textContent = error.message;
+      throw signal.aborted ? signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+      controller.signal.removeEventListener('abort', abort);
+    }
+  }
+  
+  async function loadData() {
+    const mode = modeSelect?.value || 'live';
+    const done = trackWork('api');
+    controller = new AbortController();
+    loadBtn.disabled = true;
+    loadBtn.textContent = 'Loading...';
+    if (cancelBtn) cancelBtn.style.display = 'inline-block';
+    if (source) source.style.display = 'none';
+    useFallback = false;
+    setState('loading');
+    
+    try {
+      for (let attempt = 1; attempt <= API_MAX_ATTEMPTS; attempt++) {
+        showAttempt(attempt);
+        try {
+          const items = await attemptRequest(mode, attempt);
+          logEvent('api.loaded', { mode, attempt, count: items.length, source: useFallback ? 'fallback' : 'server' });
+          if (items.length === 0) {
+            setState('empty');
+          } else {
+            renderRows(items);
+            setState('success');
+            window.showToast('Data loaded successfully!', 'success');
+          }
+          return;
+        } catch (error) {
+          if (!error.retryable || attempt === API_MAX_ATTEMPTS) throw error;
+          
+          // Exponential backoff (500ms, 1s, 2s...) unless the server sent Retry-After
+          const wait = error.retryAfter !== undefined
+            ? testControls.delay("apiRetry", error.retryAfter)
+            : testControls.delay("apiRetry", 500) * 2 ** (attempt - 1);
+          setState('retrying');
+          logEvent('api.retrying', { mode, attempt, kind: error.kind, wait });
+          showAttempt(attempt, `Attempt ${attempt} of ${API_MAX_ATTEMPTS} failed (${error.kind}). Retrying in ${(wait / 1000).toFixed(1)}s...`);
+          await abortableDelay(wait, controller.signal);
+        }
+      }
+    } catch (caught) {
+      // Anything unclassified (a bug, a malformed body) still gets a known hook
+      const error = caught.kind ? caught : apiClientError('http', `${API_ERROR_MESSAGES.http}: ${caught.message}`);
+      if (error.kind === 'cancelled') {
+        setState('cancelled');
+        logEvent('api.cancelled', { mode });
+        return;
       }
-      window.showToast?.(error.message, 'error') || alert(error.message);
+      if (error.kind === 'reset') return;
+      logEvent('api.failed', { mode, kind: error.kind, status: error.status });
+      showError(error);
+      setState('error');
+      window.showToast(error.message, 'error', 5000, {
+        actions: error.retryable ? [{ label: 'Retry', onClick: loadData }] : []
+      });
     } finally {
+      controller = null;
+      if (cancelBtn) cancelBtn.style.display = 'none';
       loadBtn.disabled = false;
       loadBtn.textContent = 'Load Data';
+      done();
+    }
+  }
+  
+  loadBtn.addEventListener('click', loadData);
+  cancelBtn?.addEventListener('click', () => {
+    controller?.abort(apiClientError('cancelled', 'Request cancelled.'));
+  });
+  
+  registerScenarioApi('api', 12, {
+    // Aborts a request in flight without showing the cancelled state
+    reset() {
+      controller?.abort(apiClientError('reset', 'Scenario reset.'));
+      mockData = sampleData;
+      apiTable?.querySelector('tbody')?.replaceChildren();
+      if (errorMsg) {
+        errorMsg.innerHTML = '';
+        delete errorMsg.dataset.errorType;
+      }
+      if (attemptsMsg) {
+        attemptsMsg.style.display = 'none';
+        delete attemptsMsg.dataset.attempt;
+      }
+      if (source) source.style.display = 'none';
+      setState('idle');
+    },
+    snapshot() {
+      const rows = Array.from(apiTable?.querySelectorAll('tbody tr') || []);
+      return {
+        state: panel ? panel.dataset.state : null,
+        mode: modeSelect?.value || 'live',
+        attempt: attemptsMsg?.dataset.attempt ? Number(attemptsMsg.dataset.attempt) : null,
+        error: errorMsg?.dataset.errorType || null,
+        loading: controller !== null,
+        rows: rows.map(row => Number(row.dataset.id))
+      };
+    },
+    // { records: [{ id, title, status, duration }] } replaces the built-in sample data and shows it
+    // as a successful load. Requests that reach the mock API still return the server's records.
+    seed(data) {
+      if (!Array.isArray(data.records)) throw new Error('API seed needs { records: [...] }');
+      mockData = data.records;
+      if (mockData.length === 0) {
+        setState('empty');
+      } else {
+        renderRows(mockData);
+        setState('success');
+      }
     }
   });
 }
 
+function apiClientError(kind, message, extra = {}) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.retryable = Boolean(extra.retryable);
+  if (extra.status !== undefined) error.status = extra.status;
+  if (extra.retryAfter !== undefined) error.retryAfter = extra.retryAfter;
+  return error;
+}
+
+/**
+ * Map a failed HTTP response to an error kind: unauthorized, not-found,
+ * rate-limited, server or http. Only 429 and 5xx are worth retrying.
+ */
+function classifyApiResponse(response, body) {
+  const status = response.status;
+  const detail = body?.error ? ` Server said: "${body.error}".` : '';
+  
+  if (status === 401) return apiClientError('unauthorized', API_ERROR_MESSAGES.unauthorized, { status });
+  if (status === 404) return apiClientError('not-found', API_ERROR_MESSAGES['not-found'], { status });
+  if (status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    return apiClientError('rate-limited', API_ERROR_MESSAGES['rate-limited'], {
+      status,
+      retryable: true,
+      retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : undefined
+    });
+  }
+  if (status >= 500) {
+    return apiClientError('server', `${API_ERROR_MESSAGES.server} (${status}).${detail}`, { status, retryable: true });
+  }
+  return apiClientError('http', `${API_ERROR_MESSAGES.http} (${status}).${detail}`, { status });
+}
+
+/** setTimeout as a promise that rejects with the signal's reason when aborted. */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Base URL of the mock REST API. Override with ?api=<url> or window.STUDYHUB_API_BASE,
+ * otherwise port 3001 on the current host.
+ */
+function getMockApiBase() {
+  const fromQuery = new URLSearchParams(window.location.search).get('api');
+  const base = fromQuery || window.STUDYHUB_API_BASE ||
+    `${window.location.protocol === 'https:' ? 'https' : 'http'}://${window.location.hostname || 'localhost'}:3001/api`;
+  return base.replace(/\/+$/, '');
+}
+
 /**
  * Scenario 13: Keyboard Navigation & Shortcuts
- * Tests keyboard-driven interactions
- * Arrow keys to move, Enter to select, Esc to clear selection
+ * Tests keyboard-driven interactions on an ARIA listbox
+ * ↑/↓ move (wrapping), Home/End jump, typing a letter jumps to the next matching item,
+ * Enter selects, Esc clears. Keys are registered in the "list" shortcut scope, so they
+ * only apply while the list (or nothing) has focus, never while typing in a field.
  */
+const TYPEAHEAD_RESET_MS = 500;
+
 function setupKeyboardNavigation() {
   const itemsList = document.getElementById('keyboard-items-list');
   if (!itemsList) return;
   
-  let selectedIndex = -1;
-  const items = document.querySelectorAll('.keyboard-item');
+  const items = Array.from(itemsList.querySelectorAll('.keyboard-item'));
+  const selectedText = document.getElementById('keyboard-selected');
+  let activeIndex = -1;
+  let typeahead = '';
+  let typeaheadTimer = null;
+  
+  items.forEach((item, index) => {
+    item.id = item.id || `keyboard-option-${index}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+  });
+  
+  function labelOf(item) {
+    return (item.dataset.label || item.textContent).trim().toLowerCase();
+  }
   
-  function selectItem(index) {
-    items.forEach(item => item.classList.remove('active'));
-    if (index >= 0 && index < items.length) {
-      items[index].classList.add('active');
-      items[index].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  // Move the highlight; selection follows focus as in a single-select listbox
+  function activate(index) {
+    items.forEach(item => {
+      item.classList.remove('active');
+      item.setAttribute('aria-selected', 'false');
+    });
+    activeIndex = index;
+    if (index < 0) {
+      itemsList.removeAttribute('aria-activedescendant');
+      return;
     }
-    selectedIndex = index;
+    const item = items[index];
+    item.classList.add('active');
+    item.setAttribute('aria-selected', 'true');
+    itemsList.setAttribute('aria-activedescendant', item.id);
+    item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+  
+  function move(step) {
+    if (activeIndex === -1) activate(step > 0 ? 0 : items.length - 1);
+    else activate((activeIndex + step + items.length) % items.length);
+  }
+  
+  function choose() {
+    if (activeIndex < 0) return false;
+    const text = items[activeIndex].textContent.trim();
+    if (selectedText) selectedText.textContent = `Selected: ${text}`;
+    itemsList.dataset.selected = items[activeIndex].dataset.index;
+    logEvent('keyboard.selected', { index: activeIndex, text });
+    window.showToast(`Selected: ${text}`, 'info');
+  }
+  
+  function clear() {
+    activate(-1);
+    if (selectedText) selectedText.textContent = 'Selected: None';
+    delete itemsList.dataset.selected;
   }
   
   items.forEach((item, index) => {
-    item.addEventListener('click', () => selectItem(index));
+    item.addEventListener('click', () => {
+      itemsList.focus();
+      activate(index);
+    });
   });
   
-  document.addEventListener('keydown', (e) => {
-    // Only handle if a keyboard-item exists on this page
-    if (items.length === 0) return;
+  const bindings = [
+    ['arrowdown', 'Next item', () => move(1)],
+    ['arrowup', 'Previous item', () => move(-1)],
+    ['home', 'First item', () => activate(0)],
+    ['end', 'Last item', () => activate(items.length - 1)],
+    ['enter', 'Select the highlighted item', choose],
+    ['escape', 'Clear the selection', clear]
+  ];
+  bindings.forEach(([keys, description, handler]) => {
+    shortcuts.register({ keys, scope: 'list', element: itemsList, description, handler });
+  });
+  
+  // Typeahead: letters typed in quick succession jump to the next item starting with them
+  itemsList.addEventListener('keydown', (e) => {
+    if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey || !/\S/.test(e.key)) return;
+    clearTimeout(typeaheadTimer);
+    typeahead += e.key.toLowerCase();
+    typeaheadTimer = setTimeout(() => { typeahead = ''; }, TYPEAHEAD_RESET_MS);
     
-    if (e.key === 'ArrowDown') {
-      e.preventDefault();
-      selectItem(selectedIndex + 1);
-    } else if (e.key === 'ArrowUp') {
-      e.preventDefault();
-      selectItem(selectedIndex - 1);
-    } else if (e.key === 'Enter' && selectedIndex >= 0) {
-      e.preventDefault();
-      const item = items[selectedIndex];
-      window.showToast?.(`Selected: ${item.textContent.trim()}`, 'info') || 
-      alert('Selected: ' + item.textContent);
-    } else if (e.key === 'Escape') {
-      e.preventDefault();
-      selectItem(-1);
+    // Repeating one letter cycles through the items starting with it
+    const repeated = typeahead.split('').every(char => char === typeahead[0]);
+    const query = repeated ? typeahead[0] : typeahead;
+    const start = repeated || activeIndex === -1 ? activeIndex + 1 : activeIndex;
+    for (let offset = 0; offset < items.length; offset++) {
+      const index = (start + offset) % items.length;
+      if (labelOf(items[index]).startsWith(query)) {
+        activate(index);
+        e.preventDefault();
+        return;
+      }
+    }
+  });
+  
+  registerScenarioApi('keyboard', 13, {
+    reset() {
+      clearTimeout(typeaheadTimer);
+      typeahead = '';
+      clear();
+    },
+    snapshot() {
+      return {
+        activeIndex,
+        active: activeIndex >= 0 ? items[activeIndex].textContent.trim() : null,
+        selected: itemsList.dataset.selected ?? null,
+        typeahead
+      };
     }
   });
 }
 
 /**
  * Scenario 14: Data Grid with Row Actions
- * Tests interactive table rows with edit/delete actions
- * Click edit → notification | Click delete → confirm → mark as deleted
+ * Tests CRUD operations on a task grid
+ * Inline edit with validation | add rows | multi-select bulk delete/status | undo delete from toast.
+ * Rows start from the markup; every change is saved to localStorage (key "studyhub-grid").
  */
+const GRID_STORAGE_KEY = 'studyhub-grid';
+const GRID_STATUSES = { pending: 'Pending', 'in-progress': 'In Progress', completed: 'Completed' };
+
 function setupDataGridActions() {
   const gridTable = document.getElementById('data-grid-table');
   if (!gridTable) return;
@@ -961,46 +8025,405 @@ function setupDataGridActions() {
   const tbody = gridTable.querySelector('tbody');
   if (!tbody) return;
   
-  const rows = tbody.querySelectorAll('tr');
-  rows.forEach(row => {
-    const statusCell = row.querySelector('[data-test="grid-status"]');
-    const editBtn = row.querySelector('[data-test="grid-edit"]');
-    const deleteBtn = row.querySelector('[data-test="grid-delete"]');
-    
-    if (editBtn) {
-      editBtn.addEventListener('click', () => {
-        const id = row.getAttribute('data-row-id');
-        const name = row.querySelector('[data-test="grid-name"]')?.textContent;
-        window.showToast?.(`Editing: ${name}`, 'info') || alert('Edit: ' + name);
-      });
+  const selectAll = document.getElementById('grid-select-all');
+  const selectedCount = document.getElementById('grid-selected-count');
+  const bulkStatus = document.getElementById('grid-bulk-status');
+  const bulkApply = document.getElementById('grid-bulk-apply');
+  const bulkDelete = document.getElementById('grid-bulk-delete');
+  const addForm = document.getElementById('grid-add-form');
+  const newName = document.getElementById('grid-new-name');
+  const newStatus = document.getElementById('grid-new-status');
+  const addError = document.getElementById('grid-add-error');
+  const resetBtn = document.getElementById('grid-reset');
+  
+  const toStatusKey = text => Object.keys(GRID_STATUSES).find(key => GRID_STATUSES[key].toLowerCase() === text.trim().toLowerCase()) || 'pending';
+  
+  const defaultRows = Array.from(tbody.querySelectorAll('tr[data-row-id]')).map(row => ({
+    id: Number(row.getAttribute('data-row-id')),
+    name: row.querySelector('[data-test="grid-name"]')?.textContent.trim() || '',
+    status: toStatusKey(row.querySelector('[data-test="grid-status"]')?.textContent || '')
+  }));
+  
+  function createDefaultState() {
+    return {
+      rows: defaultRows.map(row => ({ ...row })),
+      nextId: Math.max(0, ...defaultRows.map(row => row.id)) + 1
+    };
+  }
+  
+  function loadState() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(GRID_STORAGE_KEY));
+      const valid = saved && Array.isArray(saved.rows) && typeof saved.nextId === 'number' &&
+        saved.rows.every(row => typeof row.id === 'number' && typeof row.name === 'string' && row.status in GRID_STATUSES);
+      if (valid) return saved;
+    } catch (error) {
+      // Fall back to the markup rows
+    }
+    return createDefaultState();
+  }
+  
+  let state = loadState();
+  let editingId = null;
+  const selected = new Set();
+  
+  function save() {
+    try {
+      localStorage.setItem(GRID_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      // Storage unavailable or full: the grid keeps working, changes just don't survive a reload
     }
+  }
+  
+  // Task names are required, 3–60 characters and unique (case-insensitive)
+  function validateName(name, ignoreId) {
+    if (!name) return 'Task name is required.';
+    if (name.length < 3) return 'Task name must be at least 3 characters.';
+    if (name.length > 60) return 'Task name must be 60 characters or fewer.';
+    const duplicate = state.rows.some(row => row.id !== ignoreId && row.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) return 'A task with this name already exists.';
+    return '';
+  }
+  
+  function createButton(label, testId, className = 'row-action') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('data-test', testId);
+    button.textContent = label;
+    return button;
+  }
+  
+  function createStatusSelect(value, testId) {
+    const select = document.createElement('select');
+    select.setAttribute('data-test', testId);
+    select.setAttribute('aria-label', 'Status');
+    Object.entries(GRID_STATUSES).forEach(([key, label]) => {
+      select.add(new Option(label, key, false, key === value));
+    });
+    return select;
+  }
+  
+  function renderViewRow(tr, row) {
+    const nameCell = document.createElement('td');
+    nameCell.setAttribute('data-test', 'grid-name');
+    nameCell.textContent = row.name;
     
-    if (deleteBtn) {
-      deleteBtn.addEventListener('click', () => {
-        const id = row.getAttribute('data-row-id');
-        const confirmed = confirm('Are you sure you want to delete this row?');
-        if (confirmed) {
-          row.style.opacity = '0.5';
-          row.style.pointerEvents = 'none';
-          window.showToast?.('Row deleted', 'success') || alert('Deleted');
-        }
+    const statusCell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `status-badge ${row.status}`;
+    badge.setAttribute('data-test', 'grid-status');
+    badge.setAttribute('data-status', row.status);
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('tabindex', '0');
+    badge.setAttribute('aria-label', `Status: ${GRID_STATUSES[row.status]}. Activate to change.`);
+    badge.textContent = GRID_STATUSES[row.status];
+    badge.style.cursor = 'pointer';
+    badge.addEventListener('click', () => cycleStatus(row.id));
+    badge.addEventListener('keydown', event => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        cycleStatus(row.id);
+      }
+    });
+    statusCell.appendChild(badge);
+    
+    const actionsCell = document.createElement('td');
+    const editBtn = createButton('✏️ Edit', 'grid-edit');
+    editBtn.addEventListener('click', () => startEdit(row.id));
+    const deleteBtn = createButton('🗑️ Delete', 'grid-delete');
+    deleteBtn.style.backgroundColor = '#d32f2f';
+    deleteBtn.addEventListener('click', () => confirmDelete([row.id]));
+    actionsCell.append(editBtn, deleteBtn);
+    
+    tr.append(nameCell, statusCell, actionsCell);
+  }
+  
+  function renderEditRow(tr, row) {
+    tr.classList.add('grid-row-editing');
+    
+    const nameCell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = row.name;
+    input.setAttribute('data-test', 'grid-edit-name');
+    input.setAttribute('aria-label', 'Task name');
+    const error = document.createElement('span');
+    error.className = 'error-message';
+    error.setAttribute('data-test', 'grid-edit-error');
+    error.setAttribute('aria-live', 'polite');
+    nameCell.append(input, error);
+    
+    const statusCell = document.createElement('td');
+    const select = createStatusSelect(row.status, 'grid-edit-status');
+    statusCell.appendChild(select);
+    
+    const actionsCell = document.createElement('td');
+    const saveBtn = createButton('💾 Save', 'grid-save');
+    const cancelBtn = createButton('Cancel', 'grid-cancel');
+    cancelBtn.style.backgroundColor = '#9e9e9e';
+    actionsCell.append(saveBtn, cancelBtn);
+    
+    const commit = () => {
+      const name = input.value.trim();
+      const problem = validateName(name, row.id);
+      if (problem) {
+        error.textContent = problem;
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+        return;
+      }
+      row.name = name;
+      row.status = select.value;
+      editingId = null;
+      save();
+      logEvent('grid.updated', { id: row.id, name, status: row.status });
+      render();
+      window.showToast?.(`Saved "${name}"`, 'success');
+    };
+    const cancel = () => {
+      editingId = null;
+      render();
+    };
+    
+    saveBtn.addEventListener('click', commit);
+    cancelBtn.addEventListener('click', cancel);
+    [input, select].forEach(field => field.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        commit();
+      } else if (event.key === 'Escape') {
+        cancel();
+      }
+    }));
+    
+    tr.append(nameCell, statusCell, actionsCell);
+    setTimeout(() => input.focus(), 0);
+  }
+  
+  function render() {
+    tbody.innerHTML = '';
+    
+    if (state.rows.length === 0) {
+      const empty = document.createElement('tr');
+      empty.setAttribute('data-test', 'grid-empty');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.textContent = 'No tasks yet. Add one above.';
+      empty.appendChild(cell);
+      tbody.appendChild(empty);
+    }
+    
+    state.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      tr.setAttribute('data-test', `row-task-${row.id}`);
+      tr.setAttribute('data-row-id', row.id);
+      tr.setAttribute('aria-selected', String(selected.has(row.id)));
+      
+      const selectCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selected.has(row.id);
+      checkbox.setAttribute('data-test', 'grid-select');
+      checkbox.setAttribute('aria-label', `Select ${row.name}`);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(row.id);
+        else selected.delete(row.id);
+        tr.setAttribute('aria-selected', String(checkbox.checked));
+        updateSelection();
       });
+      selectCell.appendChild(checkbox);
+      tr.appendChild(selectCell);
+      
+      if (row.id === editingId) renderEditRow(tr, row);
+      else renderViewRow(tr, row);
+      
+      tbody.appendChild(tr);
+    });
+    
+    updateSelection();
+  }
+  
+  function updateSelection() {
+    const count = selected.size;
+    if (selectedCount) selectedCount.textContent = `${count} selected`;
+    if (bulkApply) bulkApply.disabled = count === 0;
+    if (bulkDelete) bulkDelete.disabled = count === 0;
+    if (selectAll) {
+      selectAll.checked = count > 0 && count === state.rows.length;
+      selectAll.indeterminate = count > 0 && count < state.rows.length;
+    }
+  }
+  
+  function startEdit(id) {
+    editingId = id;
+    render();
+  }
+  
+  function cycleStatus(id) {
+    const row = state.rows.find(item => item.id === id);
+    if (!row) return;
+    const keys = Object.keys(GRID_STATUSES);
+    row.status = keys[(keys.indexOf(row.status) + 1) % keys.length];
+    save();
+    logEvent('grid.status-changed', { id, status: row.status });
+    render();
+    gridTable.querySelector(`[data-row-id="${id}"] [data-test="grid-status"]`)?.focus();
+    window.showToast?.(`Status changed to ${GRID_STATUSES[row.status]}`, 'success');
+  }
+  
+  async function confirmDelete(ids) {
+    const rows = state.rows.filter(row => ids.includes(row.id));
+    if (rows.length === 0) return;
+    
+    const confirmed = await showConfirmDialog({
+      title: rows.length === 1 ? 'Delete task?' : `Delete ${rows.length} tasks?`,
+      message: rows.length === 1
+        ? `"${rows[0].name}" will be removed from the grid.`
+        : `${rows.length} selected tasks will be removed from the grid.`,
+      confirmLabel: 'Delete',
+      danger: true
+    });
+    if (!confirmed) return;
+    
+    // Remember positions so Undo puts rows back where they were
+    const removed = rows.map(row => ({ row, index: state.rows.indexOf(row) }));
+    state.rows = state.rows.filter(row => !ids.includes(row.id));
+    ids.forEach(id => selected.delete(id));
+    if (ids.includes(editingId)) editingId = null;
+    save();
+    logEvent('grid.deleted', { ids, names: rows.map(row => row.name) });
+    render();
+    
+    const label = rows.length === 1 ? `Deleted "${rows[0].name}"` : `Deleted ${rows.length} tasks`;
+    window.showToast?.(label, 'success', 5000, {
+      action: { label: 'Undo', onClick: () => restoreRows(removed) }
+    });
+  }
+  
+  function restoreRows(removed) {
+    removed
+      .filter(({ row }) => !state.rows.some(existing => existing.id === row.id))
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ row, index }) => state.rows.splice(Math.min(index, state.rows.length), 0, row));
+    save();
+    logEvent('grid.restored', { ids: removed.map(({ row }) => row.id) });
+    render();
+    window.showToast?.(removed.length === 1 ? 'Task restored' : `${removed.length} tasks restored`, 'info');
+  }
+  
+  selectAll?.addEventListener('change', () => {
+    if (selectAll.checked) state.rows.forEach(row => selected.add(row.id));
+    else selected.clear();
+    render();
+  });
+  
+  bulkApply?.addEventListener('click', () => {
+    const status = bulkStatus?.value;
+    if (!status || selected.size === 0) return;
+    state.rows.forEach(row => {
+      if (selected.has(row.id)) row.status = status;
+    });
+    const count = selected.size;
+    save();
+    logEvent('grid.bulk-status', { ids: Array.from(selected), status });
+    render();
+    window.showToast?.(`Status of ${count} task${count === 1 ? '' : 's'} changed to ${GRID_STATUSES[status]}`, 'success');
+  });
+  
+  bulkDelete?.addEventListener('click', () => confirmDelete(Array.from(selected)));
+  
+  addForm?.addEventListener('submit', event => {
+    event.preventDefault();
+    const name = newName.value.trim();
+    const problem = validateName(name);
+    if (problem) {
+      addError.textContent = problem;
+      newName.setAttribute('aria-invalid', 'true');
+      newName.focus();
+      return;
     }
+    addError.textContent = '';
+    newName.removeAttribute('aria-invalid');
+    
+    const row = { id: state.nextId++, name, status: newStatus?.value || 'pending' };
+    state.rows.push(row);
+    save();
+    logEvent('grid.added', row);
+    render();
+    addForm.reset();
+    newName.focus();
+    window.showToast?.(`Added "${name}"`, 'success');
   });
   
-  // Status toggle functionality
-  const statusBadges = tbody.querySelectorAll('[data-test="grid-status"]');
-  statusBadges.forEach(badge => {
-    badge.style.cursor = 'pointer';
-    badge.addEventListener('click', () => {
-      const currentStatus = badge.textContent.trim();
-      const statuses = ['ACTIVE', 'INACTIVE', 'PENDING'];
-      const currentIdx = statuses.indexOf(currentStatus);
-      const nextStatus = statuses[(currentIdx + 1) % statuses.length];
-      
-      badge.textContent = nextStatus;
-      badge.className = `status-badge ${nextStatus.toLowerCase()}`;
-      window.showToast?.(`Status changed to ${nextStatus}`, 'success');
+  resetBtn?.addEventListener('click', async () => {
+    const confirmed = await showConfirmDialog({
+      title: 'Reset grid?',
+      message: 'All changes will be discarded and the original tasks restored.',
+      confirmLabel: 'Reset',
+      danger: true
     });
+    if (!confirmed) return;
+    resetGrid();
+    logEvent('grid.reset');
+  });
+  
+  function resetGrid() {
+    state = createDefaultState();
+    editingId = null;
+    selected.clear();
+    try {
+      localStorage.removeItem(GRID_STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable: nothing saved to remove
+    }
+    render();
+  }
+  
+  render();
+  
+  registerScenarioApi('grid', 14, {
+    reset() {
+      addForm?.reset();
+      if (addError) addError.textContent = '';
+      newName?.removeAttribute('aria-invalid');
+      resetGrid();
+    },
+    snapshot() {
+      return {
+        rows: state.rows.map(row => ({ ...row })),
+        selected: Array.from(selected),
+        editingId
+      };
+    },
+    // { rows: [{ id?, name, status? }] } replaces every task and is saved like a user edit
+    seed(data) {
+      if (!Array.isArray(data.rows)) throw new Error('Grid seed needs { rows: [...] }');
+      // Explicit ids first, so generated ones never collide with a later row's id
+      const taken = new Set();
+      data.rows.forEach(row => {
+        if (typeof row.id !== 'number') return;
+        if (taken.has(row.id)) throw new Error(`Duplicate grid row id ${row.id}`);
+        taken.add(row.id);
+      });
+      let autoId = 1;
+      const rows = data.rows.map(row => {
+        let id = row.id;
+        if (typeof id !== 'number') {
+          while (taken.has(autoId)) autoId++;
+          id = autoId;
+          taken.add(id);
+        }
+        const status = row.status || 'pending';
+        if (!(status in GRID_STATUSES)) throw new Error(`Unknown grid status "${status}"`);
+        return { id, name: String(row.name), status };
+      });
+      const nextId = Math.max(0, ...rows.map(row => row.id)) + 1;
+      state = { rows, nextId };
+      editingId = null;
+      selected.clear();
+      save();
+      render();
+    }
   });
 }
@@ -0,0 +1,71 @@
+/**
+ * StudyHub Preferences
+ *
+ * Theme, notification and motion preferences shared by every page
+ * (localStorage key "studyhub-preferences"):
+ * - theme: "light" | "dark" | "high-contrast" | "system" (follows prefers-color-scheme)
+ * - notifications: false silences non-error toasts
+ * - reducedMotion: true turns off animations even when the OS doesn't ask for it
+ *
+ * This file is loaded without defer in <head>, before main.js, so the saved theme
+ * is on <html> before the first paint and pages never flash the wrong theme.
+ * Applied state is exposed as attributes on <html>:
+ *   data-theme (resolved), data-theme-preference, data-notifications, data-reduced-motion
+ */
+
+const PREFERENCES_STORAGE_KEY = "studyhub-preferences";
+const PREFERENCE_THEMES = ["light", "dark", "high-contrast", "system"];
+const PREFERENCE_DEFAULTS = { theme: "system", notifications: true, reducedMotion: false };
+
+function loadPreferences() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY));
+  } catch (error) {
+    saved = null;
+  }
+  if (!saved || typeof saved !== "object") return { ...PREFERENCE_DEFAULTS };
+
+  return {
+    theme: PREFERENCE_THEMES.includes(saved.theme) ? saved.theme : PREFERENCE_DEFAULTS.theme,
+    notifications: typeof saved.notifications === "boolean" ? saved.notifications : PREFERENCE_DEFAULTS.notifications,
+    reducedMotion: typeof saved.reducedMotion === "boolean" ? saved.reducedMotion : PREFERENCE_DEFAULTS.reducedMotion
+  };
+}
+
+function savePreferences(preferences) {
+  localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+  applyPreferences(preferences);
+}
+
+/** The theme actually shown: "system" becomes light or dark from prefers-color-scheme. */
+function resolveTheme(theme) {
+  if (theme !== "system") return theme;
+  const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+  return prefersDark ? "dark" : "light";
+}
+
+function applyPreferences(preferences) {
+  const root = document.documentElement;
+  root.dataset.theme = resolveTheme(preferences.theme);
+  root.dataset.themePreference = preferences.theme;
+  root.dataset.notifications = preferences.notifications ? "on" : "off";
+  root.dataset.reducedMotion = String(preferences.reducedMotion);
+}
+
+applyPreferences(loadPreferences());
+
+// Follow OS theme changes while on "system", and changes saved in other tabs
+if (window.matchMedia) {
+  const colorScheme = window.matchMedia("(prefers-color-scheme: dark)");
+  const onSchemeChange = () => {
+    const preferences = loadPreferences();
+    if (preferences.theme === "system") applyPreferences(preferences);
+  };
+  if (colorScheme.addEventListener) colorScheme.addEventListener("change", onSchemeChange);
+  else if (colorScheme.addListener) colorScheme.addListener(onSchemeChange);
+}
+
+window.addEventListener("storage", function (event) {
+  if (event.key === PREFERENCES_STORAGE_KEY) applyPreferences(loadPreferences());
+});